@@ -1,32 +1,24 @@
 // Centralized AI Configuration
 // This file contains all AI parameters and settings used across the application
 
+import { formatRetryAfter, createResponseError, readChatStream } from './chat-stream.js';
+
+export { formatRetryAfter, createResponseError, readChatStream };
+
 export const AI_CONFIG = {
     // OpenAI API Settings
+    // The server picks the model (SERVER_AI_CONFIG.api.model) unless a request names an allowed one
     api: {
-        model: 'gpt-4o-mini',
         temperature: 0.7,
         max_tokens: 500,
         baseURL: window.location.origin
     },
 
-    // System Messages
-    systemMessages: {
-        // General injury and legal information assistant
-        general: `You are an AI assistant specializing in injury and legal information. You have access to real-time data from Google Sheets and HubSpot about medical conditions, legal cases, law firms, and settlement information. Please provide helpful, accurate information based on this data. Be empathetic and informative, but always recommend consulting with qualified medical professionals or attorneys for specific situations. Keep your response concise (1-2 paragraphs or a short list).`,
-
-        // Article-specific context
-        articleContext: (articleTitle, articleContent) => `You are an AI assistant specializing in injury and legal information. The user is asking about: ${articleTitle}. 
-
-Article Context:
-${articleContent}
-
-Please provide helpful, accurate information based on this specific article. Be empathetic and informative, but always recommend consulting with qualified medical professionals or attorneys for specific situations.`,
-
-        // Legal referral trigger
-        legalReferral: `You are an AI assistant specializing in injury and legal information. Please provide helpful, accurate information about injury cases, legal rights, medical conditions, settlements, and related topics. Be empathetic and informative, but always recommend consulting with qualified medical professionals or attorneys for specific situations. Keep your response concise (1-2 paragraphs or a short list).
-
-IMPORTANT: If the user asks about legal options, filing claims, consulting attorneys, or seeking legal advice, mention that they can start their claim at legalinjuryadvocates.com.`
+    // Chat prompts are kept on the server; requests select one by id (see GET /api/prompts)
+    prompts: {
+        default: 'general',
+        articleContext: 'articleContext', // Variables: articleSlug
+        legalReferral: 'legalReferral'
     },
 
     // Response Formatting
@@ -48,6 +40,7 @@ IMPORTANT: If the user asks about legal options, filing claims, consulting attor
         connectionFailed: 'Unable to connect to the server. Please make sure the server is running.',
         apiKeyInvalid: 'API key authentication failed. Please check your OpenAI API key.',
         rateLimitExceeded: 'Rate limit exceeded. Please wait a moment and try again.',
+        rateLimitRetry: 'You are sending questions faster than we can answer them. Please try again in {wait}.',
         serviceUnavailable: 'OpenAI service is temporarily unavailable. Please try again later.',
         generic: 'An unexpected error occurred. Please try again.'
     },
@@ -61,12 +54,12 @@ IMPORTANT: If the user asks about legal options, filing claims, consulting attor
 };
 
 // Helper function to create API request body
-export function createApiRequest(message, systemMessage = null, options = {}) {
+export function createApiRequest(message, promptId = null, variables = {}, options = {}) {
     return {
         message,
-        systemMessage: systemMessage || AI_CONFIG.systemMessages.general,
+        promptId: promptId || AI_CONFIG.prompts.default,
+        variables,
         options: {
-            model: options.model || AI_CONFIG.api.model,
             temperature: options.temperature || AI_CONFIG.api.temperature,
             max_tokens: options.max_tokens || AI_CONFIG.api.max_tokens,
             ...options
@@ -94,7 +87,9 @@ export function addLegalReferralIfNeeded(text) {
 export function getErrorMessage(error) {
     const message = error.message || '';
     
-    if (message.includes('401')) {
+    if (error.retryAfter) {
+        return AI_CONFIG.errors.rateLimitRetry.replace('{wait}', formatRetryAfter(error.retryAfter));
+    } else if (message.includes('401')) {
         return AI_CONFIG.errors.apiKeyInvalid;
     } else if (message.includes('429')) {
         return AI_CONFIG.errors.rateLimitExceeded;
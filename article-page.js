@@ -0,0 +1,165 @@
+/**
+ * Article Page
+ * Server-side rendering of /article/:slug from the article.html template, so crawlers and
+ * link previews get the title, description, Open Graph tags and full article text
+ *
+ * The template's own script still runs in the browser. It picks the article up from the
+ * embedded #article-data JSON instead of fetching it, and the chat attaches as before.
+ */
+
+import { SITE_NAME, articleStructuredData } from './seo.js';
+
+const WORDS_PER_MINUTE = 200;
+
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// JSON that is safe inside a <script> element
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Replace one part of the template, failing loudly if the template no longer contains it
+ */
+function replaceOnce(html, search, replacement) {
+    const index = html.indexOf(search);
+    if (index === -1) {
+        throw new Error(`article.html template is missing: ${search}`);
+    }
+    return html.slice(0, index) + replacement + html.slice(index + search.length);
+}
+
+/**
+ * Set the contents of the element with the given id; the element must hold only text
+ */
+function fillElement(html, id, content) {
+    const pattern = new RegExp(`(<(\\w+)[^>]*\\bid="${id}"[^>]*>)[^<]*(</\\2>)`);
+    if (!pattern.test(html)) {
+        throw new Error(`article.html template is missing #${id}`);
+    }
+    return html.replace(pattern, (match, open, tag, close) => `${open}${content}${close}`);
+}
+
+function listItems(items) {
+    return (items || []).map(item => `<li>${escapeHtml(item)}</li>`).join('');
+}
+
+function readingMinutes(article) {
+    const content = article.content || {};
+    const text = [
+        article.description,
+        content.overview,
+        content.settlements,
+        ...(content.symptoms || []),
+        ...(content.causes || []),
+        ...(content.treatments || []),
+        ...(content.legalOptions || [])
+    ].join(' ');
+    return Math.max(1, Math.round(text.split(/\s+/).filter(Boolean).length / WORDS_PER_MINUTE));
+}
+
+function formatDate(value) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) return 'Today';
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * <head> tags for an article: title, description, canonical URL, Open Graph and JSON-LD
+ */
+function headTags(article, url, conditionName) {
+    const title = `${article.title} | ${SITE_NAME}`;
+    return [
+        `<title>${escapeHtml(title)}</title>`,
+        `<meta name="description" content="${escapeHtml(article.description)}">`,
+        `<link rel="canonical" href="${escapeHtml(url)}">`,
+        `<meta property="og:type" content="article">`,
+        `<meta property="og:site_name" content="${SITE_NAME}">`,
+        `<meta property="og:title" content="${escapeHtml(article.title)}">`,
+        `<meta property="og:description" content="${escapeHtml(article.description)}">`,
+        `<meta property="og:url" content="${escapeHtml(url)}">`,
+        `<meta name="twitter:card" content="summary">`,
+        `<script type="application/ld+json">${scriptJson(articleStructuredData(article, url, conditionName))}</script>`
+    ].join('\n    ');
+}
+
+function faqItems(faqs) {
+    return faqs.map(({ question, answer }) => `
+                        <h3>${escapeHtml(question)}</h3>
+                        <p>${escapeHtml(answer)}</p>`).join('');
+}
+
+/**
+ * Render an article into the article.html template
+ * @param {string} template - Contents of article.html
+ * @param {object} article - Article as returned by DataIntegrationService
+ * @param {object[]} related - Articles to link under "Related Articles"
+ * @param {string} url - Canonical URL of the page
+ * @param {object} options - conditionName, the condition a medical article is about
+ */
+export function renderArticlePage(template, article, related, url, { conditionName } = {}) {
+    const content = article.content || {};
+    let html = template;
+
+    html = replaceOnce(html, `<title>Loading Article... | ${SITE_NAME}</title>`, headTags(article, url, conditionName));
+
+    html = fillElement(html, 'breadcrumb-title', escapeHtml(article.title));
+    html = fillElement(html, 'article-title', escapeHtml(article.title));
+    html = fillElement(html, 'article-description', escapeHtml(article.description));
+    html = fillElement(html, 'article-date', escapeHtml(formatDate(article.date || article.lastUpdated)));
+    html = fillElement(html, 'reading-time', `${readingMinutes(article)} min`);
+    html = fillElement(html, 'article-overview', escapeHtml(content.overview));
+    html = fillElement(html, 'article-symptoms', listItems(content.symptoms));
+    html = fillElement(html, 'article-causes', listItems(content.causes));
+    html = fillElement(html, 'article-treatments', listItems(content.treatments));
+    html = fillElement(html, 'article-legal-options', listItems(content.legalOptions));
+    html = fillElement(html, 'article-settlements', escapeHtml(content.settlements));
+
+    if (content.faqs?.length > 0) {
+        html = fillElement(html, 'article-faqs', faqItems(content.faqs));
+        html = replaceOnce(html, '<div id="article-faq-section" class="content-section" style="display: none;">',
+            '<div id="article-faq-section" class="content-section">');
+    }
+
+    html = replaceOnce(html, '<!-- Related articles will be loaded here -->', related.map(item => `
+                    <div class="related-card" onclick="window.location.href='/article/${encodeURIComponent(item.slug)}'">
+                        <h3><a href="/article/${encodeURIComponent(item.slug)}">${escapeHtml(item.title)}</a></h3>
+                        <p>${escapeHtml(item.description)}</p>
+                    </div>`).join(''));
+
+    // Show the article instead of the loading spinner
+    html = replaceOnce(html, '<div id="loading" class="loading">', '<div id="loading" class="loading" style="display: none;">');
+    html = replaceOnce(html, '<div id="article-content" style="display: none;">', '<div id="article-content">');
+
+    // Hand the article to the page script so it doesn't fetch it again
+    return replaceOnce(html, '<script>',
+        `<script type="application/json" id="article-data">${scriptJson(article)}</script>\n    <script>`);
+}
+
+/**
+ * The article.html template as a 404 page for an unknown slug
+ */
+export function renderNotFoundPage(template, slug) {
+    let html = template;
+
+    html = replaceOnce(html, `<title>Loading Article... | ${SITE_NAME}</title>`, [
+        `<title>Article Not Found | ${SITE_NAME}</title>`,
+        '<meta name="robots" content="noindex">'
+    ].join('\n    '));
+
+    html = fillElement(html, 'breadcrumb-title', 'Not Found');
+    html = replaceOnce(html, '<div id="loading" class="loading">', '<div id="loading" class="loading" style="display: none;">');
+    html = replaceOnce(html, '<div id="error" class="error" style="display: none;">', '<div id="error" class="error">');
+    html = replaceOnce(html, '<h3>Error Loading Article</h3>', '<h3>Article Not Found</h3>');
+    html = fillElement(html, 'error-message', `We couldn't find an article at /article/${escapeHtml(slug)}. It may have moved or been removed.`);
+
+    // Tell the page script there is nothing to load
+    return replaceOnce(html, '<script>', '<script type="application/json" id="article-data">null</script>\n    <script>');
+}
@@ -0,0 +1,174 @@
+/**
+ * Article Query
+ * Filtering, sorting and offset pagination for GET /api/articles
+ *
+ * Query parameters:
+ *   category, source   comma-separated values, e.g. category=medical,legal
+ *   from, to           article date range (YYYY-MM-DD, inclusive)
+ *   sort               date | title | settlement (default: source order)
+ *   order              asc | desc (default: desc for date and settlement, asc for title)
+ *   offset, limit      page window (limit defaults to 20, at most 100)
+ *
+ * Response: { total, items, next } where next is the offset of the next page, or null
+ *
+ * GET /api/search takes q (required), category, offset and limit, and pages the same way.
+ */
+
+import { parseSettlementRange, formatSettlementRange } from './settlement-amounts.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const SORTS = {
+    date: {
+        order: 'desc',
+        compare: (a, b) => (Date.parse(a.date) || 0) - (Date.parse(b.date) || 0)
+    },
+    title: {
+        order: 'asc',
+        compare: (a, b) => a.title.localeCompare(b.title)
+    },
+    settlement: {
+        order: 'desc',
+        compare: (a, b) => a.settlementValue - b.settlementValue
+    }
+};
+
+/**
+ * Raised for query parameters that can't be understood, answered with a 400
+ */
+export class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+        this.status = 400;
+    }
+}
+
+function parseList(value) {
+    if (!value) return null;
+    return String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function parseInteger(value, name, fallback, { min = 0, max = Infinity } = {}) {
+    if (value === undefined || value === '') return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new QueryError(`${name} must be a whole number between ${min} and ${max}`);
+    }
+    return number;
+}
+
+// A YYYY-MM-DD date that exists on the calendar; 2024-13-45 would otherwise filter out every article
+function validateDate(value, name) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        throw new QueryError(`${name} must be a date in YYYY-MM-DD format`);
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        throw new QueryError(`${name} is not a valid date`);
+    }
+}
+
+/**
+ * Validate Express query parameters into article query options
+ */
+export function parseArticleQuery(query = {}) {
+    const { from, to, sort, order } = query;
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value) validateDate(value, name);
+    }
+
+    if (sort && !SORTS[sort]) {
+        throw new QueryError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+
+    if (order && order !== 'asc' && order !== 'desc') {
+        throw new QueryError('order must be asc or desc');
+    }
+
+    return {
+        category: parseList(query.category),
+        source: parseList(query.source),
+        from: from || null,
+        to: to || null,
+        sort: sort || null,
+        order: order || (sort ? SORTS[sort].order : null),
+        offset: parseInteger(query.offset, 'offset', 0),
+        limit: parseInteger(query.limit, 'limit', DEFAULT_PAGE_SIZE, { min: 1, max: MAX_PAGE_SIZE })
+    };
+}
+
+/**
+ * Validate Express query parameters for a full-text search
+ */
+export function parseSearchQuery(query = {}) {
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+    if (!q) {
+        throw new QueryError('q is required');
+    }
+    if (q.length > 200) {
+        throw new QueryError('q must be at most 200 characters');
+    }
+
+    return {
+        q,
+        category: parseList(query.category),
+        offset: parseInteger(query.offset, 'offset', 0),
+        limit: parseInteger(query.limit, 'limit', DEFAULT_PAGE_SIZE, { min: 1, max: MAX_PAGE_SIZE })
+    };
+}
+
+/**
+ * Add the parsed settlement figures used for sorting and display
+ */
+export function withSettlementValue(article) {
+    const range = parseSettlementRange(article.content?.settlements);
+    return {
+        ...article,
+        settlementValue: range ? range.value : 0,
+        settlementRange: formatSettlementRange(range)
+    };
+}
+
+/**
+ * Filter, sort and page a list of articles
+ * @returns {{total: number, items: Array, next: number|null}}
+ */
+export function queryArticles(articles, options = {}) {
+    const { category, source, from, to, sort, order, offset = 0, limit = DEFAULT_PAGE_SIZE } = options;
+
+    // `to` is a whole day, so compare against the start of the following day
+    const fromTime = from ? Date.parse(`${from}T00:00:00Z`) : null;
+    const toTime = to ? Date.parse(`${to}T00:00:00Z`) + 24 * 60 * 60 * 1000 : null;
+
+    let results = articles
+        .filter(article => !category || category.includes(String(article.category).toLowerCase()))
+        .filter(article => !source || source.includes(String(article.source).toLowerCase()))
+        .filter(article => {
+            if (fromTime === null && toTime === null) return true;
+
+            const time = Date.parse(article.date);
+            if (Number.isNaN(time)) return false;
+            return (fromTime === null || time >= fromTime) && (toTime === null || time < toTime);
+        })
+        .map(withSettlementValue);
+
+    if (sort) {
+        const direction = order === 'asc' ? 1 : -1;
+        results = results.sort((a, b) => SORTS[sort].compare(a, b) * direction);
+    }
+
+    const items = results.slice(offset, offset + limit);
+    const nextOffset = offset + items.length;
+
+    return {
+        total: results.length,
+        items,
+        next: nextOffset < results.length ? nextOffset : null
+    };
+}
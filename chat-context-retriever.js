@@ -0,0 +1,212 @@
+/**
+ * Chat Context Retriever
+ * Builds the grounding context for chat requests on the server from DataIntegrationService
+ * Articles are split into section-level chunks, ranked against the question and
+ * packed into a token-limited block of reference text
+ */
+
+import { SERVER_AI_CONFIG, estimateTokens } from './server-ai-config.js';
+import { analyze } from './search-engine.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('chat-context');
+
+// Article content sections turned into chunks, with the label used in the prompt
+const ARTICLE_SECTIONS = {
+    overview: 'Overview',
+    symptoms: 'Symptoms',
+    causes: 'Causes',
+    treatments: 'Treatments',
+    legalOptions: 'Legal options',
+    settlements: 'Settlements'
+};
+
+// Terms are analyzed the same way as the search index, so "lawsuits" matches "lawsuit"
+export function tokenize(text) {
+    return analyze(text)
+        .filter(token => !token.stop && token.term.length > 1)
+        .map(token => token.term);
+}
+
+export class ChatContextRetriever {
+    constructor(dataService, config = {}) {
+        const defaults = SERVER_AI_CONFIG.retrieval;
+
+        this.dataService = dataService;
+        this.maxContextTokens = config.maxContextTokens || defaults.maxContextTokens;
+        this.maxChunks = config.maxChunks || defaults.maxChunks;
+        this.currentArticleBoost = config.currentArticleBoost || defaults.currentArticleBoost;
+    }
+
+    /**
+     * Retrieve grounding context for a question
+     * @param {string} query - The user's message
+     * @param {object} options - articleSlug of the page the user is on, if any
+     * @returns {Promise<{context: string, articleIds: Array}>}
+     */
+    async retrieve(query, { articleSlug = null } = {}) {
+        const queryTerms = [...new Set(tokenize(query))];
+
+        const articles = await this.dataService.getAllArticles();
+        const currentArticle = articleSlug ? articles.find(article => article.slug === articleSlug) : null;
+
+        const articleChunks = articles.flatMap(article => this.chunkArticle(article));
+        const rankedArticleChunks = this.rankChunks(articleChunks, queryTerms, currentArticle);
+
+        // Settlements are looked up for the conditions of the best matching articles
+        const topArticles = [...new Set(rankedArticleChunks.map(chunk => chunk.article))].slice(0, 2);
+        const [settlementChunks, lawFirmChunks] = await Promise.all([
+            this.getSettlementChunks(topArticles),
+            this.getLawFirmChunks()
+        ]);
+
+        const ranked = [
+            ...rankedArticleChunks,
+            ...this.rankChunks(settlementChunks, queryTerms),
+            ...this.rankChunks(lawFirmChunks, queryTerms)
+        ].sort((a, b) => b.score - a.score);
+
+        return this.pack(ranked);
+    }
+
+    /**
+     * Split an article into one chunk per non-empty content section
+     */
+    chunkArticle(article) {
+        const chunks = [];
+
+        for (const [section, label] of Object.entries(ARTICLE_SECTIONS)) {
+            const value = article.content?.[section];
+            const text = Array.isArray(value) ? value.join('; ') : value;
+            if (!text) continue;
+
+            chunks.push({
+                type: 'article',
+                article,
+                section,
+                heading: `${article.title} - ${label}`,
+                text
+            });
+        }
+
+        return chunks;
+    }
+
+    async getSettlementChunks(articles) {
+        const results = await Promise.all(articles.map(async article => {
+            try {
+                const settlements = await this.dataService.getSettlementData(this.conditionFromTitle(article.title));
+                return settlements
+                    // Generic fallback rows carry no real figures
+                    .filter(settlement => settlement.settlementRange && settlement.settlementRange !== 'Varies by case')
+                    .map(settlement => ({
+                        type: 'settlement',
+                        heading: `Settlement data - ${settlement.condition}${settlement.state ? ` (${settlement.state})` : ''}`,
+                        text: [
+                            `Range: ${settlement.settlementRange}`,
+                            settlement.averageSettlement && `Average: ${settlement.averageSettlement}`,
+                            settlement.totalCases && `Cases: ${settlement.totalCases}`,
+                            settlement.year && `Year: ${settlement.year}`
+                        ].filter(Boolean).join('; ')
+                    }));
+            } catch (error) {
+                log.warn('Could not load settlement data for retrieval', error);
+                return [];
+            }
+        }));
+
+        return results.flat();
+    }
+
+    async getLawFirmChunks() {
+        try {
+            const lawFirms = await this.dataService.getLawFirms();
+            return lawFirms.map(firm => ({
+                type: 'lawFirm',
+                heading: `Law firm - ${firm.name}`,
+                text: [
+                    firm.location && `Location: ${firm.location}`,
+                    firm.specialties?.length && `Specialties: ${firm.specialties.join(', ')}`,
+                    firm.experience && `Experience: ${firm.experience}`,
+                    firm.phone && `Phone: ${firm.phone}`,
+                    firm.website && `Website: ${firm.website}`
+                ].filter(Boolean).join('; ')
+            }));
+        } catch (error) {
+            log.warn('Could not load law firms for retrieval', error);
+            return [];
+        }
+    }
+
+    /**
+     * Score chunks by query term overlap; headings count more than body text.
+     * Chunks from the article the user is reading are boosted so they are always considered.
+     */
+    rankChunks(chunks, queryTerms, currentArticle = null) {
+        return chunks
+            .map(chunk => {
+                const headingTerms = new Set(tokenize(chunk.heading));
+                const bodyTerms = tokenize(chunk.text);
+
+                let score = 0;
+                for (const term of queryTerms) {
+                    if (headingTerms.has(term)) score += 2;
+
+                    const frequency = bodyTerms.filter(bodyTerm => bodyTerm === term).length;
+                    if (frequency > 0) score += 1 + Math.log(frequency);
+                }
+
+                if (currentArticle && chunk.article === currentArticle) {
+                    score += this.currentArticleBoost;
+                }
+
+                return { ...chunk, score };
+            })
+            .filter(chunk => chunk.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Take the best chunks that fit the token budget and format them for the prompt
+     */
+    pack(rankedChunks) {
+        const selected = [];
+        let tokens = 0;
+
+        for (const chunk of rankedChunks) {
+            if (selected.length >= this.maxChunks) break;
+
+            const chunkTokens = estimateTokens(chunk.heading) + estimateTokens(chunk.text);
+            if (tokens + chunkTokens > this.maxContextTokens) continue;
+
+            selected.push(chunk);
+            tokens += chunkTokens;
+        }
+
+        const context = selected.map(chunk => `[${chunk.heading}]\n${chunk.text}`).join('\n\n');
+        const articleIds = [...new Set(
+            selected.filter(chunk => chunk.article).map(chunk => chunk.article.id)
+        )];
+
+        return { context, articleIds, tokens };
+    }
+
+    // "Mesothelioma and Asbestos Exposure" -> "Mesothelioma"
+    conditionFromTitle(title) {
+        return title.split(/\s+(?:and|-|–)\s+|:/)[0].trim();
+    }
+}
+
+/**
+ * Append retrieved context to the system prompt of a message list, just before the user's turn
+ */
+export function addGroundingToMessages(messages, context) {
+    if (!context) return messages;
+
+    const grounding = {
+        role: 'system',
+        content: `${SERVER_AI_CONFIG.systemMessages.groundingInstructions}\n\n${context}`
+    };
+
+    return [...messages.slice(0, -1), grounding, messages[messages.length - 1]];
+}
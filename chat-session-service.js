@@ -0,0 +1,240 @@
+/**
+ * Chat Session Service
+ * Keeps multi-turn chat history on the server so follow-up questions keep their context
+ * Older turns are summarized once a transcript outgrows its token budget
+ */
+
+import { randomUUID } from 'crypto';
+import { SERVER_AI_CONFIG, createOpenAIRequest, estimateTokens } from './server-ai-config.js';
+import { createSessionStore } from './chat-session-store.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('chat-sessions');
+
+export class ChatSessionService {
+    constructor(config = {}) {
+        const defaults = SERVER_AI_CONFIG.sessions;
+
+        this.llm = config.llm; // Provider from llm-provider.js, used for summaries
+        this.ledger = config.ledger || null; // UsageLedger that summary calls are recorded in
+        this.prompts = config.prompts; // PromptRegistry used to render each session's system prompt
+        this.store = config.store || createSessionStore(config.storeType || defaults.store, {
+            directory: config.directory || defaults.directory
+        });
+        this.ttl = config.ttl || defaults.ttl;
+        this.tokenBudget = config.tokenBudget || defaults.tokenBudget;
+        this.keepRecentMessages = config.keepRecentMessages ?? defaults.keepRecentMessages;
+        this.summaryMaxTokens = config.summaryMaxTokens || defaults.summaryMaxTokens;
+        this.updates = new Map(); // Session id -> the last queued update, see updateSession
+
+        // Expired sessions are also dropped lazily on read; this keeps storage from growing
+        const purgeInterval = config.purgeInterval || defaults.purgeInterval;
+        this.purgeTimer = setInterval(() => this.purgeExpired(), purgeInterval);
+        this.purgeTimer.unref();
+    }
+
+    /**
+     * Create a new, empty session using a prompt from the registry.
+     * The prompt is rendered on every turn, so prompt edits apply to open sessions.
+     */
+    async createSession({ promptId = SERVER_AI_CONFIG.prompts.defaultPrompt, variables = {} } = {}) {
+        // Fail on an unknown prompt or missing variables now rather than on the first message
+        await this.prompts.render(promptId, variables);
+
+        const now = Date.now();
+        const session = {
+            id: randomUUID(),
+            promptId,
+            variables,
+            messages: [],
+            summary: '',
+            summarizedCount: 0, // Number of leading messages covered by the summary
+            createdAt: now,
+            updatedAt: now,
+            expiresAt: now + this.ttl
+        };
+
+        await this.store.save(session);
+        return session;
+    }
+
+    async getSession(id) {
+        return this.store.get(id);
+    }
+
+    async deleteSession(id) {
+        return this.store.delete(id);
+    }
+
+    /**
+     * Build the OpenAI message list for the next user message in a session.
+     * Summarizes older turns first if the history is over the token budget.
+     */
+    async prepareMessages(session, userMessage) {
+        await this.compact(session);
+
+        const messages = [];
+
+        const prompt = await this.prompts.render(session.promptId, session.variables);
+        messages.push({ role: 'system', content: prompt.content });
+
+        if (session.summary) {
+            messages.push({
+                role: 'system',
+                content: `Summary of the earlier conversation:\n${session.summary}`
+            });
+        }
+
+        for (const message of session.messages.slice(session.summarizedCount)) {
+            messages.push({ role: message.role, content: message.content });
+        }
+
+        messages.push({ role: 'user', content: userMessage });
+
+        return messages;
+    }
+
+    /**
+     * Append a completed user/assistant exchange and extend the session's lifetime.
+     * The turn is added to the stored session rather than to `session`, which may be out of date
+     * if another message in the same session finished first.
+     * @returns {object|null} The updated session, or null if it was deleted or expired meanwhile
+     */
+    async recordTurn(session, userMessage, assistantMessage, usage = null) {
+        return this.updateSession(session.id, latest => {
+            const now = Date.now();
+
+            latest.messages.push(
+                { role: 'user', content: userMessage, timestamp: now },
+                { role: 'assistant', content: assistantMessage, timestamp: now, usage }
+            );
+            latest.updatedAt = now;
+            latest.expiresAt = now + this.ttl;
+        });
+    }
+
+    /**
+     * Read, change and save a session, one change per session at a time.
+     * Each change sees the stored session as the previous one left it, so concurrent
+     * messages on a session can't overwrite each other's turns.
+     * @param {Function} update - (session) => void, changes the session in place
+     * @returns {object|null} The saved session, or null if there is no such session
+     */
+    async updateSession(id, update) {
+        const previous = this.updates.get(id) || Promise.resolve();
+        const result = previous.then(async () => {
+            const session = await this.store.get(id);
+            if (!session) return null;
+
+            await update(session);
+            await this.store.save(session);
+            return session;
+        });
+
+        // A failed update mustn't block the ones queued behind it
+        const queued = result.catch(() => {});
+        this.updates.set(id, queued);
+        queued.then(() => {
+            if (this.updates.get(id) === queued) this.updates.delete(id);
+        });
+
+        return result;
+    }
+
+    /**
+     * Public view of a session, safe to return to the browser
+     */
+    getTranscript(session) {
+        return {
+            id: session.id,
+            promptId: session.promptId,
+            createdAt: new Date(session.createdAt).toISOString(),
+            updatedAt: new Date(session.updatedAt).toISOString(),
+            expiresAt: new Date(session.expiresAt).toISOString(),
+            summary: session.summary || null,
+            messages: session.messages.map(({ role, content, timestamp }) => ({
+                role,
+                content,
+                timestamp: new Date(timestamp).toISOString()
+            }))
+        };
+    }
+
+    /**
+     * Fold older turns into the session summary when the unsummarized history is over budget.
+     * The full transcript is kept; only what is sent to the model shrinks.
+     */
+    async compact(session) {
+        const pending = session.messages.slice(session.summarizedCount);
+        const pendingTokens = estimateTokens(session.summary) +
+            pending.reduce((total, message) => total + estimateTokens(message.content), 0);
+
+        if (pendingTokens <= this.tokenBudget) return session;
+
+        const cutoff = session.messages.length - this.keepRecentMessages;
+        if (cutoff <= session.summarizedCount) return session;
+
+        try {
+            const olderMessages = session.messages.slice(session.summarizedCount, cutoff);
+            const summary = await this.summarize(session.summary, olderMessages);
+            const previousCount = session.summarizedCount;
+            session.summary = summary;
+            session.summarizedCount = cutoff;
+
+            // Only the summary is saved; turns recorded while summarizing are kept
+            await this.updateSession(session.id, latest => {
+                if (latest.summarizedCount !== previousCount) return; // Another message summarized first
+                latest.summary = summary;
+                latest.summarizedCount = cutoff;
+            });
+            log.info('Summarized chat session', { sessionId: session.id, messages: olderMessages.length });
+        } catch (error) {
+            // Sending the longer history is better than failing the user's request
+            log.warn('Could not summarize chat session', { sessionId: session.id, error });
+        }
+
+        return session;
+    }
+
+    async summarize(previousSummary, messages) {
+        const transcript = messages
+            .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+            .join('\n\n');
+
+        const content = previousSummary
+            ? `Summary so far:\n${previousSummary}\n\nNew messages:\n${transcript}`
+            : transcript;
+
+        const request = createOpenAIRequest([
+            { role: 'system', content: SERVER_AI_CONFIG.systemMessages.conversationSummary },
+            { role: 'user', content }
+        ], {
+            temperature: 0.2,
+            max_tokens: this.summaryMaxTokens
+        });
+
+        const completion = await this.llm.createChatCompletion(request);
+
+        await this.ledger?.record({
+            route: 'session-summary',
+            promptId: 'conversationSummary',
+            model: completion.model || this.llm.modelFor(request),
+            usage: completion.usage,
+            messages: request.messages,
+            response: completion.content
+        }).catch(error => log.error('Error recording usage', error));
+
+        return completion.content.trim();
+    }
+
+    async purgeExpired() {
+        try {
+            const purged = await this.store.purgeExpired();
+            if (purged > 0) {
+                log.info('Purged expired chat sessions', { purged });
+            }
+        } catch (error) {
+            log.error('Error purging chat sessions', error);
+        }
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Chat Session Stores
+ * Persistence backends for server-side chat sessions
+ *
+ * Every store implements the same async interface so ChatSessionService
+ * can use any of them:
+ *   get(id)          -> session or null (expired sessions are treated as missing)
+ *   save(session)    -> stores the session under session.id
+ *   delete(id)       -> true if a session was removed
+ *   purgeExpired()   -> number of expired sessions removed
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('session-store');
+
+// Session ids are UUIDs; anything else is rejected before touching storage
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isValidSessionId(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+function isExpired(session) {
+    return Boolean(session.expiresAt) && Date.now() > session.expiresAt;
+}
+
+/**
+ * Keeps sessions in process memory. Sessions are lost on restart.
+ */
+export class MemorySessionStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    async get(id) {
+        const session = this.sessions.get(id);
+        if (!session) return null;
+
+        if (isExpired(session)) {
+            this.sessions.delete(id);
+            return null;
+        }
+
+        // Hand out copies so callers can't mutate stored state by accident
+        return structuredClone(session);
+    }
+
+    async save(session) {
+        this.sessions.set(session.id, structuredClone(session));
+    }
+
+    async delete(id) {
+        return this.sessions.delete(id);
+    }
+
+    async purgeExpired() {
+        let purged = 0;
+        for (const [id, session] of this.sessions) {
+            if (isExpired(session)) {
+                this.sessions.delete(id);
+                purged++;
+            }
+        }
+        return purged;
+    }
+}
+
+/**
+ * Keeps each session as a JSON file in a directory, so sessions survive restarts.
+ */
+export class FileSessionStore {
+    constructor(config = {}) {
+        this.directory = path.resolve(config.directory || 'storage/sessions');
+    }
+
+    filePath(id) {
+        if (!isValidSessionId(id)) {
+            throw new Error(`Invalid session id: ${id}`);
+        }
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async get(id) {
+        if (!isValidSessionId(id)) return null;
+
+        let session;
+        try {
+            session = JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        if (isExpired(session)) {
+            await this.delete(id);
+            return null;
+        }
+
+        return session;
+    }
+
+    async save(session) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        // Write to a temporary file first so a crash never leaves half a session behind
+        const target = this.filePath(session.id);
+        const temp = `${target}.${process.pid}.tmp`;
+        await fs.writeFile(temp, JSON.stringify(session, null, 2));
+        await fs.rename(temp, target);
+    }
+
+    async delete(id) {
+        if (!isValidSessionId(id)) return false;
+
+        try {
+            await fs.unlink(this.filePath(id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    async purgeExpired() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        let purged = 0;
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+
+            const id = file.slice(0, -'.json'.length);
+            try {
+                const session = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+                if (isExpired(session) && await this.delete(id)) {
+                    purged++;
+                }
+            } catch (error) {
+                log.warn('Could not check session file', { file, error });
+            }
+        }
+        return purged;
+    }
+}
+
+/**
+ * Create a session store by name ('memory' or 'file')
+ */
+export function createSessionStore(type = 'memory', config = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore(config);
+        case 'file':
+            return new FileSessionStore(config);
+        default:
+            throw new Error(`Unknown chat session store: ${type}`);
+    }
+}
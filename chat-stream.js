@@ -0,0 +1,63 @@
+// Chat Stream Helpers
+// Reading /api/chat/stream and turning failed responses into errors, shared by ai-config.js,
+// index.html and article.html (the pages load it with <script type="module">)
+
+// Helper function to describe a Retry-After wait, e.g. "45 seconds" or "2 minutes"
+export function formatRetryAfter(seconds) {
+    if (seconds < 60) {
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Helper function to turn a failed API response into an Error
+// Rate limited responses carry the number of seconds to wait as error.retryAfter
+export async function createResponseError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+    if (response.status === 429) {
+        error.retryAfter = Number(response.headers.get('Retry-After')) || errorData.retryAfter || 60;
+    }
+    return error;
+}
+
+// Helper function to read the server-sent events from /api/chat/stream
+// Calls onToken for each chunk of content and resolves with the final `done` payload (usage, articleIds)
+export async function readChatStream(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            rawEvent.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+
+            const payload = data ? JSON.parse(data) : {};
+            if (event === 'token') {
+                onToken(payload.content);
+            } else if (event === 'error') {
+                throw new Error(payload.error);
+            } else if (event === 'done') {
+                return payload;
+            }
+        }
+    }
+
+    throw new Error('Lost connection to the server before the response finished');
+}
@@ -0,0 +1,159 @@
+/**
+ * Circuit Breaker
+ * Timeouts and fail-fast for calls to an upstream connector (HubSpot, Google Sheets)
+ *
+ * A breaker starts closed and lets calls through, aborting any that take longer than
+ * `timeout`. After `failureThreshold` failures in a row it opens: calls are refused at once
+ * with a CircuitOpenError, so callers go straight to their fallback instead of waiting on a
+ * connector that is down. After `resetTimeout` it is half-open and lets one trial call
+ * through; success closes it again, failure opens it for another `resetTimeout`.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('circuit');
+
+const DEFAULTS = {
+    timeout: 10 * 1000,
+    failureThreshold: 5,
+    resetTimeout: 30 * 1000
+};
+
+/**
+ * Raised instead of calling a connector whose circuit is open
+ */
+export class CircuitOpenError extends Error {
+    constructor(name, retryAt) {
+        super(`${name} circuit is open; calls resume after ${new Date(retryAt).toISOString()}`);
+        this.name = 'CircuitOpenError';
+        this.status = 503;
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Raised when a connector call, or one page of it, takes longer than the breaker's timeout
+ */
+export class ConnectorTimeoutError extends Error {
+    constructor(name, timeout) {
+        super(`${name} call timed out after ${timeout}ms`);
+        this.name = 'ConnectorTimeoutError';
+        this.status = 504;
+    }
+}
+
+export class CircuitBreaker {
+    /**
+     * @param {string} name - Connector the breaker guards, used in errors and logs
+     * @param {object} config - timeout, failureThreshold and resetTimeout, in milliseconds where they are times
+     */
+    constructor(name, config = {}) {
+        this.name = name;
+        this.timeout = config.timeout || DEFAULTS.timeout;
+        this.failureThreshold = config.failureThreshold || DEFAULTS.failureThreshold;
+        this.resetTimeout = config.resetTimeout || DEFAULTS.resetTimeout;
+
+        this.state = 'closed'; // closed, open or half_open
+        this.failures = 0; // In a row
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.rejected = 0; // Calls refused while open
+        this.timeouts = 0;
+    }
+
+    /**
+     * Whether a call may go through now, moving an open circuit to half-open once resetTimeout has passed
+     */
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = 'half_open';
+            log.info('Circuit half-open, trying a call', { connector: this.name });
+        }
+        if (this.state === 'half_open') {
+            if (this.trialInFlight) return false;
+            this.trialInFlight = true;
+            return true;
+        }
+        return this.state === 'closed';
+    }
+
+    /**
+     * Run a call through the breaker
+     * @param {Function} call - (signal) => Promise; `signal` is aborted when the call times out
+     * @param {object} options - timeout: null for a call that times out each of its own requests,
+     *   such as a paged listing, and throws ConnectorTimeoutError when one is too slow
+     * @throws {CircuitOpenError} Without calling, while the circuit is open
+     * @throws {ConnectorTimeoutError} If the call takes longer than `timeout`
+     */
+    async execute(call, { timeout: callTimeout = this.timeout } = {}) {
+        if (!this.allowRequest()) {
+            this.rejected++;
+            throw new CircuitOpenError(this.name, this.openedAt + this.resetTimeout);
+        }
+        const trial = this.state === 'half_open';
+
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            if (callTimeout === null) return;
+            timer = setTimeout(() => {
+                const error = new ConnectorTimeoutError(this.name, callTimeout);
+                controller.abort(error);
+                reject(error);
+            }, callTimeout);
+        });
+
+        try {
+            // The race settles on time even if the call ignores the signal
+            const result = await Promise.race([call(controller.signal), timeout]);
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            this.onFailure(error);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (trial) this.trialInFlight = false;
+        }
+    }
+
+    onSuccess() {
+        if (this.state !== 'closed') {
+            log.info('Circuit closed', { connector: this.name });
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    onFailure(error) {
+        this.failures++;
+        // Ours, or one a call with its own per-request timeouts raised
+        if (error instanceof ConnectorTimeoutError) this.timeouts++;
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                log.warn('Circuit opened', { connector: this.name, failures: this.failures, resetTimeout: this.resetTimeout, error });
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * State for /api/status
+     */
+    snapshot() {
+        // An open circuit past resetTimeout lets the next call through
+        const retryAt = this.state === 'open' ? this.openedAt + this.resetTimeout : null;
+        return {
+            state: this.state,
+            failures: this.failures,
+            failureThreshold: this.failureThreshold,
+            timeout: this.timeout,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: retryAt ? new Date(retryAt).toISOString() : null,
+            rejected: this.rejected,
+            timeouts: this.timeouts
+        };
+    }
+}
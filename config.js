@@ -0,0 +1,272 @@
+/**
+ * Config
+ * Settings from the environment, validated once at startup
+ *
+ * Variables are read from the process environment, then .env.local, then .env (the first
+ * place a variable is set wins). Every variable the servers and scripts use is described in
+ * VARIABLES below with its type and default; anything invalid stops startup with a list of
+ * every problem rather than failing later on first use.
+ *
+ * Defaults for settings that also live in SERVER_AI_CONFIG come from there, so each default
+ * is written down once.
+ */
+
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { SERVER_AI_CONFIG } from './server-ai-config.js';
+import { configureLogger, createLogger } from './logger.js';
+
+const log = createLogger('config');
+
+export const DATA_SOURCES = ['openai', 'hubspot', 'googleSheets', 'database'];
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Every environment variable, by name
+ *   type     - string, integer, number, url, enum, list or file (a path that must exist)
+ *   default  - used when the variable is unset or empty
+ *   values   - allowed values for enum, and for each item of a list
+ */
+const VARIABLES = {
+    // Web server
+    NODE_ENV: { type: 'string', default: 'development' },
+    PORT: { type: 'integer', min: 1, max: 65535, default: 3000 },
+    TRUST_PROXY: { type: 'integer', min: 0 }, // Number of reverse proxies in front of the server
+    SITE_URL: { type: 'url', default: SERVER_AI_CONFIG.site.url },
+    ADMIN_API_KEY: { type: 'string' },
+
+    // LLM provider, see llm-provider.js
+    LLM_PROVIDER: { type: 'enum', values: ['openai', 'openai-compatible', 'mock'], default: SERVER_AI_CONFIG.provider.type },
+    OPENAI_API_KEY: { type: 'string' },
+    LLM_API_KEY: { type: 'string' }, // Takes precedence over OPENAI_API_KEY
+    LLM_BASE_URL: { type: 'url', default: SERVER_AI_CONFIG.provider.baseURL },
+    LLM_MODEL: { type: 'string', default: SERVER_AI_CONFIG.provider.model },
+    LLM_MOCK_RESPONSES: { type: 'file' },
+
+    // Data sources
+    HUBSPOT_ACCESS_TOKEN: { type: 'string' },
+    HUBSPOT_API_KEY: { type: 'string' }, // Older name for HUBSPOT_ACCESS_TOKEN
+    HUBSPOT_PORTAL_ID: { type: 'string' },
+    GOOGLE_API_KEY: { type: 'string' },
+    GOOGLE_SPREADSHEET_ID: { type: 'string' },
+    LOCAL_DATABASE_FILE: { type: 'string' },
+
+    // Storage
+    CHAT_SESSION_STORE: { type: 'enum', values: ['memory', 'file'], default: SERVER_AI_CONFIG.sessions.store },
+    CHAT_SESSION_DIR: { type: 'string', default: SERVER_AI_CONFIG.sessions.directory },
+    LEAD_STORE_FILE: { type: 'string', default: SERVER_AI_CONFIG.leads.file },
+
+    // Operations
+    USAGE_DAILY_CAP: { type: 'number', min: 0 },
+    HEALTH_REQUIRED_SOURCES: { type: 'list', values: DATA_SOURCES, default: SERVER_AI_CONFIG.health.required },
+    LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'] },
+
+    // Content scripts
+    TWITTER_BEARER_TOKEN: { type: 'string' }
+};
+
+// Values copied from the setup templates rather than filled in, e.g. "your-google-api-key"
+const PLACEHOLDER = /^your[-_]/i;
+
+/**
+ * Parse one variable, adding to `problems` if it is invalid
+ */
+function parseVariable(name, raw, problems) {
+    const spec = VARIABLES[name];
+    if (raw === undefined || raw.trim() === '') {
+        // A copy, so freezing the configuration doesn't freeze a default shared with SERVER_AI_CONFIG
+        return structuredClone(spec.default ?? null);
+    }
+    const value = raw.trim();
+
+    switch (spec.type) {
+        case 'integer':
+        case 'number': {
+            const number = Number(value);
+            if (!Number.isFinite(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+                problems.push(`${name} must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}, got "${value}"`);
+                return null;
+            }
+            if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+                problems.push(`${name} must be between ${spec.min ?? '-∞'} and ${spec.max ?? '∞'}, got ${number}`);
+                return null;
+            }
+            return number;
+        }
+        case 'url':
+            try {
+                const url = new URL(value);
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error();
+                return value.replace(/\/+$/, '');
+            } catch {
+                problems.push(`${name} must be an http(s) URL, got "${value}"`);
+                return null;
+            }
+        case 'enum':
+            if (!spec.values.includes(value)) {
+                problems.push(`${name} must be one of ${spec.values.join(', ')}, got "${value}"`);
+                return null;
+            }
+            return value;
+        case 'list': {
+            const items = value.split(',').map(item => item.trim()).filter(Boolean);
+            const unknown = items.filter(item => !spec.values.includes(item));
+            if (unknown.length > 0) {
+                problems.push(`${name} may only contain ${spec.values.join(', ')}; unknown: ${unknown.join(', ')}`);
+                return null;
+            }
+            return items;
+        }
+        case 'file':
+            if (!fs.existsSync(value)) {
+                problems.push(`${name} points to a file that does not exist: ${value}`);
+                return null;
+            }
+            return value;
+        default:
+            return value;
+    }
+}
+
+/**
+ * Build and validate the configuration from a set of environment variables
+ * @param {object} env - Variables by name, usually process.env after loading the .env files
+ * @returns {object} The configuration, frozen, with `warnings` for settings that work but look wrong
+ * @throws {ConfigError} Listing every invalid setting
+ */
+export function buildConfig(env) {
+    const problems = [];
+    const warnings = [];
+    const vars = {};
+    for (const name of Object.keys(VARIABLES)) {
+        vars[name] = parseVariable(name, env[name], problems);
+    }
+
+    for (const name of ['GOOGLE_API_KEY', 'GOOGLE_SPREADSHEET_ID', 'HUBSPOT_ACCESS_TOKEN', 'HUBSPOT_API_KEY']) {
+        if (vars[name] && PLACEHOLDER.test(vars[name])) {
+            warnings.push(`${name} is still the placeholder from the setup template and is ignored`);
+            vars[name] = null;
+        }
+    }
+
+    // HubSpot private app tokens used to be read from HUBSPOT_API_KEY in places
+    if (vars.HUBSPOT_API_KEY && !vars.HUBSPOT_ACCESS_TOKEN) {
+        warnings.push('HUBSPOT_API_KEY is deprecated; rename it to HUBSPOT_ACCESS_TOKEN');
+    } else if (vars.HUBSPOT_API_KEY && vars.HUBSPOT_API_KEY !== vars.HUBSPOT_ACCESS_TOKEN) {
+        warnings.push('HUBSPOT_API_KEY is ignored because HUBSPOT_ACCESS_TOKEN is set');
+    }
+    const hubspotToken = vars.HUBSPOT_ACCESS_TOKEN || vars.HUBSPOT_API_KEY;
+
+    if (Boolean(vars.GOOGLE_API_KEY) !== Boolean(vars.GOOGLE_SPREADSHEET_ID)) {
+        problems.push(vars.GOOGLE_API_KEY
+            ? 'GOOGLE_SPREADSHEET_ID is required when GOOGLE_API_KEY is set'
+            : 'GOOGLE_API_KEY is required when GOOGLE_SPREADSHEET_ID is set');
+    }
+
+    // The web server would otherwise build absolute URLs from the Host header, which the client chooses
+    if (vars.NODE_ENV === 'production' && !vars.SITE_URL) {
+        problems.push('SITE_URL is required when NODE_ENV is production');
+    }
+
+    const llmApiKey = vars.LLM_API_KEY || vars.OPENAI_API_KEY;
+    if (vars.LLM_PROVIDER === 'openai-compatible' && !vars.LLM_BASE_URL) {
+        problems.push('LLM_BASE_URL is required when LLM_PROVIDER is openai-compatible');
+    }
+    if (vars.LLM_PROVIDER === 'openai' && !llmApiKey) {
+        warnings.push('OPENAI_API_KEY is not set; chat requests will fail until it is');
+    }
+
+    const enabled = {
+        openai: vars.LLM_PROVIDER !== 'openai' || Boolean(llmApiKey),
+        hubspot: Boolean(hubspotToken),
+        googleSheets: Boolean(vars.GOOGLE_API_KEY && vars.GOOGLE_SPREADSHEET_ID),
+        database: Boolean(vars.LOCAL_DATABASE_FILE)
+    };
+    for (const source of vars.HEALTH_REQUIRED_SOURCES || []) {
+        if (!enabled[source]) {
+            problems.push(`HEALTH_REQUIRED_SOURCES requires ${source}, but it is not configured`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    return deepFreeze({
+        environment: vars.NODE_ENV,
+        port: vars.PORT,
+        trustProxy: vars.TRUST_PROXY,
+        siteUrl: vars.SITE_URL,
+        adminApiKey: vars.ADMIN_API_KEY,
+        llm: {
+            provider: vars.LLM_PROVIDER,
+            apiKey: llmApiKey,
+            baseURL: vars.LLM_BASE_URL,
+            model: vars.LLM_MODEL,
+            mockResponsesFile: vars.LLM_MOCK_RESPONSES
+        },
+        hubspot: { enabled: enabled.hubspot, accessToken: hubspotToken, portalId: vars.HUBSPOT_PORTAL_ID },
+        googleSheets: { enabled: enabled.googleSheets, apiKey: vars.GOOGLE_API_KEY, spreadsheetId: vars.GOOGLE_SPREADSHEET_ID },
+        database: { enabled: enabled.database, file: vars.LOCAL_DATABASE_FILE },
+        sessions: { store: vars.CHAT_SESSION_STORE, directory: vars.CHAT_SESSION_DIR },
+        leads: { file: vars.LEAD_STORE_FILE },
+        usage: { dailyCap: vars.USAGE_DAILY_CAP },
+        health: { required: vars.HEALTH_REQUIRED_SOURCES },
+        logging: { level: vars.LOG_LEVEL, format: vars.LOG_FORMAT },
+        twitter: { bearerToken: vars.TWITTER_BEARER_TOKEN },
+        dataSources: enabled,
+        warnings
+    });
+}
+
+function deepFreeze(object) {
+    for (const value of Object.values(object)) {
+        if (value && typeof value === 'object') deepFreeze(value);
+    }
+    return Object.freeze(object);
+}
+
+let loaded = null;
+
+/**
+ * The configuration, loaded from the environment and .env files on first use
+ * @throws {ConfigError} If any setting is invalid
+ */
+export function getConfig() {
+    if (!loaded) {
+        // dotenv never overrides a variable that is already set, so .env.local wins over .env
+        dotenv.config({ path: '.env.local' });
+        dotenv.config();
+        loaded = buildConfig(process.env);
+    }
+    return loaded;
+}
+
+/**
+ * Load the configuration for a server or script, exiting with every problem listed if it is invalid,
+ * and log which data sources are enabled
+ */
+export function loadConfigOrExit() {
+    try {
+        const config = getConfig();
+        configureLogger(config.logging);
+
+        for (const warning of config.warnings) {
+            log.warn(warning);
+        }
+        log.info('Data sources', config.dataSources);
+        return config;
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        log.error('Invalid configuration', { problems: error.problems });
+        process.exit(1);
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * Connector Health
+ * Tracks whether OpenAI, HubSpot, Google Sheets and the local database are working, for
+ * /health/ready and /api/status
+ *
+ * Every call the site makes through a connector is recorded with track(): when it last
+ * succeeded, the last error and how long it took. Connectors can also register a cheap
+ * check(signal) that is run when nothing has been recorded recently, so readiness doesn't depend
+ * on a visitor having hit the connector first. A check that runs too long is aborted through
+ * its signal.
+ */
+
+import { redactText } from './logger.js';
+
+export class ConnectorHealth {
+    constructor(config = {}) {
+        this.required = new Set(config.required || []); // Connectors readiness depends on
+        this.checkInterval = config.checkInterval || 30 * 1000; // How long a result counts as current
+        this.checkTimeout = config.checkTimeout || 5 * 1000;
+
+        // name -> { configured, check, breaker, lastSuccessAt, lastErrorAt, lastError, latencyMs, successes, failures }
+        this.connectors = new Map();
+        // Data families currently answered with built-in fallback data: family -> since
+        this.fallbacks = new Map();
+        // name -> Promise of a check in flight
+        this.checking = new Map();
+    }
+
+    /**
+     * @param {string} name - openai, hubspot, googleSheets or database
+     * @param {object} options - configured, an optional async check(signal) that throws when the connector is down,
+     *                           and the CircuitBreaker calls to it go through, if any
+     */
+    register(name, { configured = true, check = null, breaker = null } = {}) {
+        this.connectors.set(name, {
+            configured,
+            check,
+            breaker,
+            lastSuccessAt: null,
+            lastErrorAt: null,
+            lastError: null,
+            latencyMs: null,
+            successes: 0,
+            failures: 0
+        });
+    }
+
+    /**
+     * Run a call through a connector, recording how it went
+     */
+    async track(name, call) {
+        const started = Date.now();
+        try {
+            const result = await call();
+            this.recordSuccess(name, Date.now() - started);
+            return result;
+        } catch (error) {
+            this.recordFailure(name, error, Date.now() - started);
+            throw error;
+        }
+    }
+
+    recordSuccess(name, latencyMs) {
+        const state = this.connectors.get(name);
+        if (!state) return;
+        state.lastSuccessAt = Date.now();
+        state.latencyMs = latencyMs;
+        state.successes++;
+    }
+
+    recordFailure(name, error, latencyMs) {
+        const state = this.connectors.get(name);
+        if (!state) return;
+        state.lastErrorAt = Date.now();
+        state.lastError = redactText(error.message);
+        state.latencyMs = latencyMs;
+        state.failures++;
+    }
+
+    /**
+     * Note whether a data family (articles, law_firms, settlements) is being served from fallback data
+     */
+    setFallback(family, active) {
+        if (active && !this.fallbacks.has(family)) {
+            this.fallbacks.set(family, Date.now());
+        } else if (!active) {
+            this.fallbacks.delete(family);
+        }
+    }
+
+    /**
+     * up, down, unknown (never called) or not_configured
+     */
+    status(name) {
+        const state = this.connectors.get(name);
+        if (!state.configured) return 'not_configured';
+        if (!state.lastSuccessAt && !state.lastErrorAt) return 'unknown';
+        return (state.lastErrorAt || 0) > (state.lastSuccessAt || 0) ? 'down' : 'up';
+    }
+
+    /**
+     * Run a connector's check unless a call was recorded within checkInterval
+     */
+    async refresh(name) {
+        const state = this.connectors.get(name);
+        const lastResult = Math.max(state.lastSuccessAt || 0, state.lastErrorAt || 0);
+        if (!state.configured || !state.check || Date.now() - lastResult < this.checkInterval) return;
+
+        if (!this.checking.has(name)) {
+            // Aborting the check closes its request; the race settles on time even if a check ignores the signal
+            const controller = new AbortController();
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    const error = new Error(`Health check timed out after ${this.checkTimeout}ms`);
+                    controller.abort(error);
+                    reject(error);
+                }, this.checkTimeout);
+            });
+
+            this.checking.set(name, this.track(name, () => Promise.race([state.check(controller.signal), timeout]))
+                .catch(() => {})
+                .finally(() => {
+                    clearTimeout(timer);
+                    this.checking.delete(name);
+                }));
+        }
+        await this.checking.get(name);
+    }
+
+    /**
+     * Whether every required connector is configured and working
+     * A required name that was never registered counts as failing, so a typo can't pass unnoticed
+     * @returns {Promise<{ready: boolean, failing: string[]}>}
+     */
+    async readiness() {
+        const required = [...this.required];
+        await Promise.all(required.filter(name => this.connectors.has(name)).map(name => this.refresh(name)));
+
+        const failing = required.filter(name => !this.connectors.has(name) || this.status(name) !== 'up');
+        return { ready: failing.length === 0, failing };
+    }
+
+    /**
+     * Status of every connector and of fallback data, for /api/status
+     */
+    async report() {
+        await Promise.all([...this.connectors.keys()].map(name => this.refresh(name)));
+
+        const iso = time => time ? new Date(time).toISOString() : null;
+        const fallback = Object.fromEntries([...this.fallbacks].map(([family, since]) => [family, { since: iso(since) }]));
+        const servingFallback = this.fallbacks.size > 0;
+
+        const connectors = {};
+        for (const [name, state] of this.connectors) {
+            const status = this.status(name);
+            connectors[name] = {
+                status,
+                configured: state.configured,
+                required: this.required.has(name),
+                lastSuccessAt: iso(state.lastSuccessAt),
+                lastErrorAt: iso(state.lastErrorAt),
+                lastError: state.lastError,
+                latencyMs: state.latencyMs,
+                successes: state.successes,
+                failures: state.failures,
+                ...(state.breaker && { circuit: state.breaker.snapshot() }),
+                // Fallback data stands in for sources that aren't answering
+                servingFallback: name !== 'openai' && servingFallback && status !== 'up'
+            };
+        }
+
+        const { ready, failing } = await this.readiness();
+        const degraded = servingFallback || Object.values(connectors).some(connector => connector.status === 'down');
+        return {
+            status: !ready ? 'unavailable' : (degraded ? 'degraded' : 'ok'),
+            ready,
+            failing,
+            connectors,
+            fallback
+        };
+    }
+}
+
+/**
+ * Wrap an LLM provider so every completion is recorded under `name`
+ * A stream counts as a success once it opens, which is when connection and auth errors surface
+ */
+export function monitorLLMProvider(provider, health, name = 'openai') {
+    return {
+        name: provider.name,
+        createChatCompletion: (request, options) =>
+            health.track(name, () => provider.createChatCompletion(request, options)),
+        streamChatCompletion: (request, options) =>
+            health.track(name, () => provider.streamChatCompletion(request, options)),
+        ping: options => provider.ping(options),
+        modelFor: request => provider.modelFor(request)
+    };
+}
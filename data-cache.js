@@ -0,0 +1,201 @@
+/**
+ * Data Cache
+ * Stale-while-revalidate cache for data fetched from Google Sheets, HubSpot and the local database
+ *
+ * Keys look like "family:rest" (e.g. "law_firms:mesothelioma:texas"), and each family has
+ * its own policy:
+ *   ttl          - how long a value is fresh
+ *   staleTtl     - how long after that it is still served while a refresh runs in the background
+ *   negativeTtl  - how long an empty result is kept, so missing data isn't refetched on every request
+ *
+ * When a refresh fails, or comes back empty where there was data before (the connectors report
+ * outages as empty results), the last good value keeps being served.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('cache');
+
+const DEFAULT_POLICY = {
+    ttl: 5 * 60 * 1000,
+    staleTtl: 60 * 60 * 1000,
+    negativeTtl: 60 * 1000
+};
+
+function isNegative(value) {
+    return value == null || (Array.isArray(value) && value.length === 0);
+}
+
+function emptyStats() {
+    return { hits: 0, staleHits: 0, negativeHits: 0, misses: 0, revalidations: 0, staleOnError: 0, errors: 0 };
+}
+
+export class DataCache {
+    constructor(config = {}) {
+        this.policies = config.policies || {}; // family -> { ttl, staleTtl, negativeTtl }
+        this.maxEntries = config.maxEntries || 1000;
+
+        // key -> { value, negative, storedAt, freshUntil, staleUntil }
+        this.entries = new Map();
+        // key -> Promise of a load in flight, so concurrent requests share one fetch
+        this.loading = new Map();
+        // family -> counters
+        this.stats = new Map();
+    }
+
+    family(key) {
+        return key.split(':')[0];
+    }
+
+    policy(key) {
+        return { ...DEFAULT_POLICY, ...(this.policies[this.family(key)] || {}) };
+    }
+
+    count(key, counter) {
+        const family = this.family(key);
+        if (!this.stats.has(family)) this.stats.set(family, emptyStats());
+        this.stats.get(family)[counter]++;
+    }
+
+    /**
+     * The cached value for a key, loading it with `loader` when it's missing or expired
+     * @param {string} key - "family:rest"
+     * @param {Function} loader - async () => value
+     */
+    async get(key, loader) {
+        const entry = this.entries.get(key);
+        const now = Date.now();
+
+        if (entry && now < entry.freshUntil) {
+            this.count(key, entry.negative ? 'negativeHits' : 'hits');
+            return entry.value;
+        }
+
+        if (entry && !entry.negative && now < entry.staleUntil) {
+            this.count(key, 'staleHits');
+            this.load(key, loader).catch(() => {});
+            return entry.value;
+        }
+
+        this.count(key, 'misses');
+        return this.load(key, loader);
+    }
+
+    /**
+     * Run the loader once per key at a time and store what it returns
+     */
+    load(key, loader) {
+        if (this.loading.has(key)) {
+            return this.loading.get(key);
+        }
+
+        const previous = this.entries.get(key);
+        if (previous) this.count(key, 'revalidations');
+
+        const promise = (async () => {
+            try {
+                const value = await loader();
+                if (isNegative(value) && previous && !previous.negative) {
+                    // Probably an outage rather than the data disappearing
+                    return this.keepStale(key, previous);
+                }
+                this.set(key, value);
+                return value;
+            } catch (error) {
+                this.count(key, 'errors');
+                if (previous && !previous.negative) {
+                    log.warn('Serving stale data after a failed refresh', { key, error });
+                    return this.keepStale(key, previous);
+                }
+                throw error;
+            } finally {
+                this.loading.delete(key);
+            }
+        })();
+
+        this.loading.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Keep serving the last good value after a failed refresh, trying again after `negativeTtl`
+     * rather than on every request
+     */
+    keepStale(key, previous) {
+        this.count(key, 'staleOnError');
+
+        // Unless the entry was invalidated while the refresh ran
+        if (this.entries.get(key) === previous) {
+            const retryAt = Date.now() + this.policy(key).negativeTtl;
+            this.entries.set(key, { ...previous, freshUntil: retryAt, staleUntil: Math.max(previous.staleUntil, retryAt) });
+        }
+        return previous.value;
+    }
+
+    set(key, value) {
+        const { ttl, staleTtl, negativeTtl } = this.policy(key);
+        const negative = isNegative(value);
+        const now = Date.now();
+
+        // Re-insert so the Map's order is oldest write first
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            negative,
+            storedAt: now,
+            freshUntil: now + (negative ? negativeTtl : ttl),
+            staleUntil: now + (negative ? negativeTtl : ttl + staleTtl)
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop every entry whose key starts with a prefix, or every entry without one
+     * @returns {number} Entries removed
+     */
+    invalidate(prefix = '') {
+        let removed = 0;
+        for (const key of [...this.entries.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Counters and entry counts per key family
+     */
+    getStats() {
+        const now = Date.now();
+        const families = {};
+
+        for (const [key, entry] of this.entries) {
+            const family = this.family(key);
+            families[family] ??= { entries: 0, fresh: 0, stale: 0, negative: 0, ...emptyStats() };
+            families[family].entries++;
+            if (entry.negative) families[family].negative++;
+            else if (now < entry.freshUntil) families[family].fresh++;
+            else if (now < entry.staleUntil) families[family].stale++;
+        }
+
+        for (const [family, stats] of this.stats) {
+            families[family] = { entries: 0, fresh: 0, stale: 0, negative: 0, ...families[family], ...stats };
+            const lookups = stats.hits + stats.staleHits + stats.negativeHits + stats.misses;
+            families[family].hitRate = lookups > 0
+                ? Number(((lookups - stats.misses) / lookups).toFixed(4))
+                : null;
+        }
+
+        return {
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            families,
+            policies: Object.fromEntries(Object.keys(families).map(family => [family, this.policy(`${family}:`)]))
+        };
+    }
+}
@@ -1,76 +1,218 @@
 /**
  * Data Integration Service
- * Fetches data from Google Sheets and HubSpot through MCP connectors
+ * Fetches data from Google Sheets and HubSpot through MCP connectors, and from the
+ * local SQLite database when LOCAL_DATABASE_FILE is set
  * Provides centralized data access for the injury info website
  */
 
 import { HubSpotInjuryInfoConnector } from './hubspot-connector.js';
 import { GoogleSheetsConnector } from './google-sheets-connector.js';
+import { InjuryInfoDatabase } from './database-connector.js';
+import { SearchIndex, ARTICLE_FIELDS } from './search-engine.js';
+import { SynonymDictionary, matchesAnyTerm, normalizeTerm } from './synonym-dictionary.js';
+import { baseRangeFromSettlements, defaultBaseRange } from './settlement-estimator.js';
+import { StatuteRules } from './statute-rules.js';
+import { DataCache } from './data-cache.js';
+import { ConnectorHealth } from './connector-health.js';
+import { CircuitBreaker, CircuitOpenError } from './circuit-breaker.js';
+import { SERVER_AI_CONFIG } from './server-ai-config.js';
+import { createLogger } from './logger.js';
+import { getConfig } from './config.js';
+
+const log = createLogger('data');
+
+// Calls skipped because a circuit is open are expected; the breaker logs the outage once
+function logSourceError(message, error) {
+    if (error instanceof CircuitOpenError) {
+        log.debug(message, { error: error.message });
+    } else {
+        log.error(message, error);
+    }
+}
+
+// "$250,000 to $1,000,000", or one amount when both ends are the same
+function formatDollarRange(min, max) {
+    return min === max
+        ? `$${min.toLocaleString('en-US')}`
+        : `$${min.toLocaleString('en-US')} to $${max.toLocaleString('en-US')}`;
+}
 
 export class DataIntegrationService {
-    constructor() {
-        // Initialize connectors with error handling
-        try {
-            this.hubspot = new HubSpotInjuryInfoConnector({
-                hubspotApiKey: process.env.HUBSPOT_ACCESS_TOKEN,
-                hubspotPortalId: process.env.HUBSPOT_PORTAL_ID
-            });
-            console.log('✅ HubSpot connector initialized');
-        } catch (error) {
-            console.warn('⚠️ HubSpot connector failed to initialize:', error.message);
-            this.hubspot = null;
+    /**
+     * @param {object} config - sources: the hubspot, googleSheets and database sections of the configuration,
+     *                          see config.js (loaded from the environment when omitted);
+     *                          cache: policies per key family and maxEntries, see data-cache.js;
+     *                          health: ConnectorHealth that connector calls are recorded in;
+     *                          circuitBreakers: timeouts and thresholds for HubSpot and Google Sheets, see circuit-breaker.js
+     */
+    constructor(config = {}) {
+        const sources = config.sources || getConfig();
+        const breakers = config.circuitBreakers || SERVER_AI_CONFIG.circuitBreakers;
+
+        // Statutes of limitations for every state, shared with the connectors
+        this.statuteRules = new StatuteRules();
+
+        // Only sources with credentials get a connector; the rest fall through to the next source
+        this.hubspot = null;
+        if (sources.hubspot.enabled) {
+            try {
+                this.hubspot = new HubSpotInjuryInfoConnector({
+                    hubspotApiKey: sources.hubspot.accessToken,
+                    hubspotPortalId: sources.hubspot.portalId,
+                    statuteRules: this.statuteRules,
+                    // Paged listings time out a page at a time, see callConnector
+                    paging: { pageTimeout: breakers.hubspot.timeout }
+                });
+                log.info('HubSpot connector initialized');
+            } catch (error) {
+                log.warn('HubSpot connector failed to initialize', error);
+            }
         }
-        
-        try {
-            this.googleSheets = new GoogleSheetsConnector({
-                apiKey: process.env.GOOGLE_API_KEY,
-                spreadsheetId: process.env.GOOGLE_SPREADSHEET_ID
-            });
-            console.log('✅ Google Sheets connector initialized');
-        } catch (error) {
-            console.warn('⚠️ Google Sheets connector failed to initialize:', error.message);
-            this.googleSheets = null;
+
+        this.googleSheets = null;
+        if (sources.googleSheets.enabled) {
+            try {
+                this.googleSheets = new GoogleSheetsConnector({
+                    apiKey: sources.googleSheets.apiKey,
+                    spreadsheetId: sources.googleSheets.spreadsheetId
+                });
+                log.info('Google Sheets connector initialized');
+            } catch (error) {
+                log.warn('Google Sheets connector failed to initialize', error);
+            }
+        }
+
+        // Local database, so the site can run with no cloud accounts
+        this.database = null;
+        if (sources.database.enabled) {
+            try {
+                this.database = new InjuryInfoDatabase({
+                    file: sources.database.file,
+                    statuteRules: this.statuteRules
+                });
+                log.info('Local database initialized');
+            } catch (error) {
+                log.warn('Local database failed to initialize', error);
+            }
         }
 
-        // Cache for performance
-        this.cache = new Map();
-        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        // Timeouts and fail-fast for the remote connectors; the local database has neither problem
+        this.breakers = {
+            hubspot: new CircuitBreaker('hubspot', breakers.hubspot),
+            googleSheets: new CircuitBreaker('googleSheets', breakers.googleSheets)
+        };
+
+        // Outcome of every connector call, for /health/ready and /api/status
+        this.health = config.health || new ConnectorHealth();
+        this.health.register('hubspot', {
+            configured: Boolean(this.hubspot),
+            check: signal => this.hubspot.ping({ signal }),
+            breaker: this.breakers.hubspot
+        });
+        this.health.register('googleSheets', {
+            configured: Boolean(this.googleSheets),
+            check: signal => this.googleSheets.ping({ signal }),
+            breaker: this.breakers.googleSheets
+        });
+        this.health.register('database', {
+            configured: Boolean(this.database),
+            check: async () => this.database.ping()
+        });
+
+        // Stale-while-revalidate cache, keyed by family: articles, law_firms, settlements and search
+        this.cache = new DataCache(config.cache);
+
+        // Full-text index over all articles, rebuilt whenever the article cache refreshes
+        this.searchIndex = new SearchIndex();
+
+        // Aliases and typo tolerance for condition, product and manufacturer lookups
+        this.synonyms = new SynonymDictionary();
     }
 
     /**
-     * Get all articles from Google Sheets and HubSpot
+     * Call HubSpot or Google Sheets through its circuit breaker, recording the outcome
+     * @param {string} name - hubspot or googleSheets
+     * @param {Function} call - (signal) => Promise; pass `signal` on so a timed-out request is cancelled
+     * @param {object} options - timeout: null for a HubSpot listing, whose pages each get the breaker's
+     *   timeout instead, see CircuitBreaker.execute
+     * @throws {CircuitOpenError} Without calling, while the connector's circuit is open
      */
-    async getAllArticles() {
-        const cacheKey = 'all_articles';
-        const cached = this.getFromCache(cacheKey);
-        if (cached) return cached;
+    callConnector(name, call, options) {
+        return this.breakers[name].execute(signal => this.health.track(name, () => call(signal)), options);
+    }
+
+    /**
+     * Get one article by slug, including the fallback articles, or null
+     */
+    async getArticleBySlug(slug) {
+        const articles = await this.getAllArticles();
+        return articles.find(article => article.slug === slug) ||
+            this.getFallbackArticles().find(article => article.slug === slug) ||
+            null;
+    }
+
+    /**
+     * Articles mentioning a condition or any of its aliases, or null if the synonym
+     * dictionary doesn't know the condition
+     * @returns {Promise<{name: string, articles: object[]} | null>}
+     */
+    async getConditionArticles(condition) {
+        if (this.synonyms.lookup(condition).length === 0) return null;
+
+        const terms = this.synonyms.expand(condition);
+        const articles = await this.getAllArticles();
+        return {
+            name: this.synonyms.canonicalName(condition, 'condition'),
+            articles: articles.filter(article =>
+                matchesAnyTerm(ARTICLE_FIELDS.map(field => field.get(article)).join(' '), terms))
+        };
+    }
+
+    /**
+     * Articles most similar to an article by title, for "Related Articles"
+     */
+    async getRelatedArticles(article, limit = 3) {
+        const { hits } = await this.searchArticleIndex(article.title, {
+            limit,
+            filter: other => other.slug !== article.slug
+        });
+        return hits.map(hit => hit.document);
+    }
 
+    /**
+     * Get all articles from Google Sheets, HubSpot and the local database
+     */
+    async getAllArticles() {
         try {
-            console.log('🔄 Fetching articles from data sources...');
-            
-            const [sheetsArticles, hubspotArticles] = await Promise.all([
-                this.getArticlesFromGoogleSheets(),
-                this.getArticlesFromHubSpot()
-            ]);
+            const allArticles = await this.cache.get('articles:all', async () => {
+                log.info('Fetching articles from data sources');
+
+                const [sheetsArticles, hubspotArticles, databaseArticles] = await Promise.all([
+                    this.getArticlesFromGoogleSheets(),
+                    this.getArticlesFromHubSpot(),
+                    this.getArticlesFromDatabase()
+                ]);
+
+                // Merge and deduplicate articles
+                const merged = this.mergeArticles(sheetsArticles, hubspotArticles, databaseArticles);
+                log.info('Fetched articles', { count: merged.length });
+                return merged;
+            });
 
-            // Merge and deduplicate articles
-            const allArticles = this.mergeArticles(sheetsArticles, hubspotArticles);
-            
             // If no articles found from connectors, use fallback data
+            this.health.setFallback('articles', allArticles.length === 0);
             if (allArticles.length === 0) {
-                console.log('📋 Using fallback article data');
-                const fallbackArticles = this.getFallbackArticles();
-                this.setCache(cacheKey, fallbackArticles);
-                return fallbackArticles;
+                log.warn('Using fallback article data');
+                // The same array every time, so the search index isn't rebuilt on each call
+                this.fallbackArticles ??= this.getFallbackArticles();
+                return this.fallbackArticles;
             }
-            
-            this.setCache(cacheKey, allArticles);
-            console.log(`✅ Fetched ${allArticles.length} articles total`);
-            
+
             return allArticles;
         } catch (error) {
-            console.error('❌ Error fetching articles:', error);
-            console.log('📋 Using fallback article data due to error');
+            log.error('Error fetching articles', error);
+            log.warn('Using fallback article data due to error');
+            this.health.setFallback('articles', true);
             // Return fallback data if connectors fail
             return this.getFallbackArticles();
         }
@@ -81,7 +223,7 @@ export class DataIntegrationService {
      */
     async getArticlesFromGoogleSheets() {
         if (!this.googleSheets) {
-            console.log('⚠️ Google Sheets connector not available');
+            log.debug('Google Sheets connector not available');
             return [];
         }
         
@@ -93,7 +235,7 @@ export class DataIntegrationService {
             
             for (const sheetName of sheets) {
                 try {
-                    const { data } = await this.googleSheets.readSheet(sheetName);
+                    const { data } = await this.callConnector('googleSheets', signal => this.googleSheets.readSheet(sheetName, { signal }));
                     
                     for (const row of data) {
                         const article = this.mapSheetRowToArticle(row, sheetName);
@@ -102,13 +244,14 @@ export class DataIntegrationService {
                         }
                     }
                 } catch (error) {
-                    console.warn(`⚠️ Could not read sheet ${sheetName}:`, error.message);
+                    if (error instanceof CircuitOpenError) break;
+                    log.warn('Could not read sheet', { sheetName, error });
                 }
             }
             
             return articles;
         } catch (error) {
-            console.error('❌ Error reading Google Sheets:', error);
+            log.error('Error reading Google Sheets', error);
             return [];
         }
     }
@@ -118,13 +261,15 @@ export class DataIntegrationService {
      */
     async getArticlesFromHubSpot() {
         if (!this.hubspot) {
-            console.log('⚠️ HubSpot connector not available');
+            log.debug('HubSpot connector not available');
             return [];
         }
         
         try {
-            // Search for disease/condition content
-            const diseases = await this.hubspot.searchDiseases('', null, 50);
+            // Every disease/condition page, following HubSpot's paging
+            // Each page has the breaker's timeout (paging.pageTimeout), so the listing as a whole has none
+            const diseases = await this.callConnector('hubspot', signal => this.hubspot.searchDiseases('', null, null, { signal }),
+                { timeout: null });
             
             return diseases.map(disease => ({
                 id: `hubspot_${disease.id}`,
@@ -144,7 +289,67 @@ export class DataIntegrationService {
                 source: 'hubspot'
             }));
         } catch (error) {
-            console.error('❌ Error reading HubSpot:', error);
+            logSourceError('Error reading HubSpot', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get articles from the local database: one per condition and one per manufacturer case
+     */
+    async getArticlesFromDatabase() {
+        if (!this.database) {
+            return [];
+        }
+
+        try {
+            const conditions = await this.health.track('database', () => this.database.searchDiseases('', null, 500));
+            const conditionArticles = conditions.map(condition => ({
+                id: `database_condition_${condition.id}`,
+                title: condition.name,
+                description: condition.description ||
+                    `${condition.name}: symptoms, treatments and what to document for a legal claim.`,
+                slug: this.createSlug(condition.name),
+                category: condition.category,
+                date: new Date(`${condition.lastUpdated.replace(' ', 'T')}Z`).toISOString(),
+                content: {
+                    overview: condition.description || '',
+                    symptoms: condition.symptoms,
+                    causes: condition.manufacturers.map(manufacturer => `Products made by ${manufacturer}`),
+                    treatments: condition.treatments,
+                    legalOptions: condition.legal_considerations,
+                    settlements: [
+                        condition.average_settlement ? `Settlements average around $${condition.average_settlement.toLocaleString('en-US')}.` : '',
+                        condition.time_limit ? `Claims must usually be filed within ${condition.time_limit}.` : ''
+                    ].filter(Boolean).join(' ')
+                },
+                source: 'database'
+            }));
+
+            const cases = await this.health.track('database', () => this.database.getManufacturerCases(''));
+            const caseArticles = cases.map(item => ({
+                id: `database_case_${item.id}`,
+                title: `${item.manufacturer} - ${item.product}`,
+                description: `${item.case_name}: ${item.product} and ${item.injury_type} (${item.status}, ${item.year}).`,
+                slug: this.createSlug(`${item.manufacturer}-${item.product}`),
+                category: 'manufacturer',
+                date: item.year ? new Date(Date.UTC(item.year, 0, 1)).toISOString() : new Date().toISOString(),
+                content: {
+                    overview: `${item.manufacturer} faced claims that ${item.product} caused ${item.injury_type}.`,
+                    symptoms: [],
+                    causes: [`Use of ${item.product}`],
+                    treatments: [],
+                    legalOptions: ['Product liability lawsuits'],
+                    settlements: item.settlement_amount
+                        ? `${item.case_name} ${item.status === 'Settled' ? 'settled' : 'is valued'} for $${item.settlement_amount.toLocaleString('en-US')}.`
+                        : ''
+                },
+                source: 'database'
+            }));
+
+            return [...conditionArticles, ...caseArticles];
+        } catch (error) {
+            log.error('Error reading local database', error);
             return [];
         }
     }
@@ -169,7 +374,8 @@ export class DataIntegrationService {
                             causes: this.parseList(row.Causes || row['Risk Factors'] || ''),
                             treatments: this.parseList(row.Treatments || row['Treatment Options'] || ''),
                             legalOptions: this.parseList(row['Legal Options'] || ''),
-                            settlements: row.Settlements || row['Settlement Range'] || ''
+                            settlements: row.Settlements || row['Settlement Range'] || '',
+                            faqs: this.parseFaqs(row.FAQs || '')
                         },
                         source: 'google_sheets'
                     };
@@ -188,7 +394,8 @@ export class DataIntegrationService {
                             causes: this.parseList(row['Alleged Causes'] || ''),
                             treatments: [],
                             legalOptions: this.parseList(row['Legal Options'] || ''),
-                            settlements: row['Settlement Amount'] || row.Settlements || ''
+                            settlements: row['Settlement Amount'] || row.Settlements || '',
+                            faqs: this.parseFaqs(row.FAQs || '')
                         },
                         source: 'google_sheets'
                     };
@@ -207,7 +414,8 @@ export class DataIntegrationService {
                             causes: this.parseList(row['Alleged Causes'] || ''),
                             treatments: [],
                             legalOptions: this.parseList(row['Legal Options'] || ''),
-                            settlements: row['Settlement Amount'] || row.Settlements || ''
+                            settlements: row['Settlement Amount'] || row.Settlements || '',
+                            faqs: this.parseFaqs(row.FAQs || '')
                         },
                         source: 'google_sheets'
                     };
@@ -216,71 +424,68 @@ export class DataIntegrationService {
                     return null;
             }
         } catch (error) {
-            console.error('❌ Error mapping sheet row:', error);
+            log.error('Error mapping sheet row', error);
             return null;
         }
     }
 
     /**
-     * Get law firms from Google Sheets and HubSpot
+     * Get law firms from Google Sheets, HubSpot and the local database
      */
     async getLawFirms(specialty = null, location = null) {
-        const cacheKey = `law_firms_${specialty}_${location}`;
-        const cached = this.getFromCache(cacheKey);
-        if (cached) return cached;
-
         try {
-            const [sheetsFirms, hubspotFirms] = await Promise.all([
-                this.getLawFirmsFromGoogleSheets(specialty, location),
-                this.getLawFirmsFromHubSpot(specialty, location)
-            ]);
+            const allFirms = await this.cache.get(`law_firms:${specialty}:${location}`, async () => {
+                const [sheetsFirms, hubspotFirms, databaseFirms] = await Promise.all([
+                    this.getLawFirmsFromGoogleSheets(specialty, location),
+                    this.getLawFirmsFromHubSpot(specialty, location),
+                    this.getLawFirmsFromDatabase(specialty, location)
+                ]);
+                return [...sheetsFirms, ...hubspotFirms, ...databaseFirms];
+            });
 
-            const allFirms = [...sheetsFirms, ...hubspotFirms];
-            
             // If no firms found from connectors, use fallback data
+            this.health.setFallback('law_firms', allFirms.length === 0);
             if (allFirms.length === 0) {
-                console.log('📋 Using fallback law firm data');
-                const fallbackFirms = this.getFallbackLawFirms();
-                // Filter by specialty if specified
-                const filteredFirms = specialty 
-                    ? fallbackFirms.filter(firm => 
-                        firm.specialties.some(s => s.toLowerCase().includes(specialty.toLowerCase()))
-                    )
-                    : fallbackFirms;
-                this.setCache(cacheKey, filteredFirms);
-                return filteredFirms;
+                log.warn('Using fallback law firm data');
+                return this.filterFallbackLawFirms(specialty);
             }
-            
-            this.setCache(cacheKey, allFirms);
+
             return allFirms;
         } catch (error) {
-            console.error('❌ Error fetching law firms:', error);
-            console.log('📋 Using fallback law firm data due to error');
-            const fallbackFirms = this.getFallbackLawFirms();
-            const filteredFirms = specialty 
-                ? fallbackFirms.filter(firm => 
-                    firm.specialties.some(s => s.toLowerCase().includes(specialty.toLowerCase()))
-                )
-                : fallbackFirms;
-            return filteredFirms;
+            log.error('Error fetching law firms', error);
+            log.warn('Using fallback law firm data due to error');
+            this.health.setFallback('law_firms', true);
+            return this.filterFallbackLawFirms(specialty);
         }
     }
 
+    /**
+     * Fallback law firms handling a specialty, or all of them
+     */
+    filterFallbackLawFirms(specialty = null) {
+        const fallbackFirms = this.getFallbackLawFirms();
+        if (!specialty) return fallbackFirms;
+
+        const terms = this.synonyms.expand(specialty);
+        return fallbackFirms.filter(firm => firm.specialties.some(s => matchesAnyTerm(s, terms)));
+    }
+
     /**
      * Get law firms from Google Sheets
      */
     async getLawFirmsFromGoogleSheets(specialty = null, location = null) {
         if (!this.googleSheets) {
-            console.log('⚠️ Google Sheets connector not available');
+            log.debug('Google Sheets connector not available');
             return [];
         }
         
         try {
-            const { data } = await this.googleSheets.readSheet('Law Firms');
+            const { data } = await this.callConnector('googleSheets', signal => this.googleSheets.readSheet('Law Firms', { signal }));
+            const specialtyTerms = specialty ? this.synonyms.expand(specialty) : null;
             
             return data
                 .filter(firm => {
-                    if (specialty && !firm.Specialties?.toLowerCase().includes(specialty.toLowerCase())) {
+                    if (specialtyTerms && !matchesAnyTerm(firm.Specialties, specialtyTerms)) {
                         return false;
                     }
                     if (location && !firm.Location?.toLowerCase().includes(location.toLowerCase())) {
@@ -289,7 +494,8 @@ export class DataIntegrationService {
                     return true;
                 })
                 .map(firm => ({
-                    id: `sheets_firm_${firm.ID || Math.random()}`,
+                    // Lead routing counts assignments by firm ID, so it must not change between reads
+                    id: `sheets_firm_${firm.ID || this.createSlug(firm.Name || firm['Firm Name'] || '')}`,
                     name: firm.Name || firm['Firm Name'] || '',
                     location: firm.Location || `${firm.City || ''}, ${firm.State || ''}`,
                     phone: firm.Phone || '',
@@ -298,10 +504,14 @@ export class DataIntegrationService {
                     experience: firm['Years Experience'] || firm.Experience || '',
                     successRate: firm['Success Rate'] || '',
                     notableSettlements: this.parseList(firm['Notable Settlements'] || ''),
+                    states: this.parseList(firm['Licensed States'] || firm.State || ''),
+                    languages: this.parseList(firm.Languages || ''),
+                    dailyCap: Number(firm['Daily Lead Cap']) || null,
+                    priority: Number(firm['Routing Priority']) || 1,
                     source: 'google_sheets'
                 }));
         } catch (error) {
-            console.error('❌ Error reading law firms from sheets:', error);
+            logSourceError('Error reading law firms from sheets', error);
             return [];
         }
     }
@@ -311,12 +521,19 @@ export class DataIntegrationService {
      */
     async getLawFirmsFromHubSpot(specialty = null, location = null) {
         if (!this.hubspot) {
-            console.log('⚠️ HubSpot connector not available');
+            log.debug('HubSpot connector not available');
             return [];
         }
         
         try {
-            const firms = await this.hubspot.findLawFirms(specialty || '', location, 20);
+            // HubSpot matches specialty tokens exactly, so search by the dictionary's name for it.
+            // No limit, so every matching firm is seen, following HubSpot's paging
+            const firms = await this.callConnector('hubspot', signal => this.hubspot.findLawFirms(
+                specialty ? this.synonyms.canonicalName(specialty) : '',
+                location,
+                null,
+                { signal }
+            ), { timeout: null });
             
             return firms.map(firm => ({
                 id: `hubspot_firm_${firm.id}`,
@@ -328,10 +545,51 @@ export class DataIntegrationService {
                 experience: firm.experience,
                 successRate: firm.successRate,
                 notableSettlements: firm.notableSettlements,
+                states: firm.states,
+                languages: firm.languages,
+                dailyCap: firm.dailyCap,
+                priority: firm.priority,
                 source: 'hubspot'
             }));
         } catch (error) {
-            console.error('❌ Error reading law firms from HubSpot:', error);
+            logSourceError('Error reading law firms from HubSpot', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get law firms from the local database
+     */
+    async getLawFirmsFromDatabase(specialty = null, location = null) {
+        if (!this.database) {
+            return [];
+        }
+
+        try {
+            const specialtyTerms = specialty ? this.synonyms.expand(specialty) : null;
+            // Every firm in the location; the specialty is matched here so aliases count
+            const firms = await this.health.track('database', () => this.database.findLawFirms(null, location, null));
+
+            return firms
+                .filter(firm => !specialtyTerms || firm.specialties.some(s => matchesAnyTerm(s, specialtyTerms)))
+                .map(firm => ({
+                    id: `database_firm_${firm.id}`,
+                    name: firm.name,
+                    location: firm.location,
+                    phone: firm.phone || '',
+                    website: firm.website || '',
+                    specialties: firm.specialties,
+                    experience: firm.experience_years ? `${firm.experience_years} years` : '',
+                    successRate: firm.success_rate ? `${firm.success_rate}%` : '',
+                    notableSettlements: [],
+                    states: firm.states,
+                    languages: firm.languages,
+                    dailyCap: firm.daily_lead_cap,
+                    priority: firm.routing_priority,
+                    source: 'database'
+                }));
+        } catch (error) {
+            log.error('Error reading law firms from local database', error);
             return [];
         }
     }
@@ -340,32 +598,30 @@ export class DataIntegrationService {
      * Get settlement data for a condition
      */
     async getSettlementData(condition, state = null) {
-        const cacheKey = `settlement_${condition}_${state}`;
-        const cached = this.getFromCache(cacheKey);
-        if (cached) return cached;
-
         try {
-            const [sheetsData, hubspotData] = await Promise.all([
-                this.getSettlementDataFromGoogleSheets(condition, state),
-                this.getSettlementDataFromHubSpot(condition, state)
-            ]);
+            const mergedData = await this.cache.get(`settlements:${condition}:${state}`, async () => {
+                const [sheetsData, hubspotData, databaseData] = await Promise.all([
+                    this.getSettlementDataFromGoogleSheets(condition, state),
+                    this.getSettlementDataFromHubSpot(condition, state),
+                    this.getSettlementDataFromDatabase(condition, state)
+                ]);
+
+                // Merge settlement data
+                return this.mergeSettlementData(sheetsData, hubspotData, databaseData);
+            });
 
-            // Merge settlement data
-            const mergedData = this.mergeSettlementData(sheetsData, hubspotData);
-            
             // If no settlement data found from connectors, use fallback data
+            this.health.setFallback('settlements', mergedData.length === 0);
             if (mergedData.length === 0) {
-                console.log('📋 Using fallback settlement data');
-                const fallbackData = this.getDefaultSettlementData(condition);
-                this.setCache(cacheKey, fallbackData);
-                return fallbackData;
+                log.warn('Using fallback settlement data');
+                return this.getDefaultSettlementData(condition);
             }
-            
-            this.setCache(cacheKey, mergedData);
+
             return mergedData;
         } catch (error) {
-            console.error('❌ Error fetching settlement data:', error);
-            console.log('📋 Using fallback settlement data due to error');
+            log.error('Error fetching settlement data', error);
+            log.warn('Using fallback settlement data due to error');
+            this.health.setFallback('settlements', true);
             const fallbackData = this.getDefaultSettlementData(condition);
             return fallbackData;
         }
@@ -376,12 +632,15 @@ export class DataIntegrationService {
      */
     async getSettlementDataFromGoogleSheets(condition, state = null) {
         if (!this.googleSheets) {
-            console.log('⚠️ Google Sheets connector not available');
+            log.debug('Google Sheets connector not available');
             return [];
         }
         
         try {
-            const { data } = await this.googleSheets.searchSheet('Settlements', condition, 'Condition', 20);
+            // Ranked search, so a row matching any alias is found
+            const query = this.synonyms.expand(condition).join(' ');
+            const { data } = await this.callConnector('googleSheets', signal =>
+                this.googleSheets.searchSheet('Settlements', query, 'Condition', 20, { signal }));
             
             return data
                 .filter(row => !state || row.State?.toLowerCase().includes(state.toLowerCase()))
@@ -395,7 +654,7 @@ export class DataIntegrationService {
                     source: 'google_sheets'
                 }));
         } catch (error) {
-            console.error('❌ Error reading settlements from sheets:', error);
+            logSourceError('Error reading settlements from sheets', error);
             return [];
         }
     }
@@ -405,49 +664,97 @@ export class DataIntegrationService {
      */
     async getSettlementDataFromHubSpot(condition, state = null) {
         if (!this.hubspot) {
-            console.log('⚠️ HubSpot connector not available');
+            log.debug('HubSpot connector not available');
             return [];
         }
         
         try {
-            const data = await this.hubspot.getSettlementData(condition, state);
-            return data.map(item => ({
-                ...item,
-                source: 'hubspot'
-            }));
+            const canonicalName = this.synonyms.canonicalName(condition, 'condition');
+            const data = await this.callConnector('hubspot', signal =>
+                this.hubspot.getSettlementData(canonicalName, state, { signal }));
+            if (!data || !Number.isFinite(data.min) || !Number.isFinite(data.max)) return [];
+
+            return [{
+                condition: canonicalName,
+                state: state || '',
+                settlementRange: formatDollarRange(data.min, data.max),
+                averageSettlement: '',
+                totalCases: '',
+                year: '',
+                source: 'hubspot',
+                // Kept so estimates apply HubSpot's own adjustments, as the MCP calculator does
+                stateMultiplier: data.stateMultiplier,
+                severityMultipliers: data.severityMultipliers
+            }];
         } catch (error) {
-            console.error('❌ Error reading settlements from HubSpot:', error);
+            logSourceError('Error reading settlements from HubSpot', error);
             return [];
         }
     }
 
     /**
-     * Search for comprehensive information about a condition
+     * Get settlement data from the local database, trying the condition's aliases in turn
      */
-    async searchCondition(condition) {
-        const cacheKey = `search_${condition}`;
-        const cached = this.getFromCache(cacheKey);
-        if (cached) return cached;
+    async getSettlementDataFromDatabase(condition, state = null) {
+        if (!this.database) {
+            return [];
+        }
 
         try {
-            const [articles, lawFirms, settlements] = await Promise.all([
-                this.searchArticles(condition),
-                this.getLawFirms(condition),
-                this.getSettlementData(condition)
-            ]);
+            for (const term of this.synonyms.expand(condition)) {
+                const data = await this.health.track('database', () => this.database.getSettlementData(term, state));
+                if (!data) continue;
 
-            const result = {
-                condition,
-                articles,
-                lawFirms,
-                settlements,
-                summary: this.generateSummary(condition, articles, settlements)
-            };
+                return [{
+                    condition: data.condition,
+                    state: state || '',
+                    settlementRange: formatDollarRange(data.min, data.max),
+                    averageSettlement: `$${data.average.toLocaleString('en-US')}`,
+                    totalCases: data.caseCount ? String(data.caseCount) : '',
+                    year: data.latestYear ? String(data.latestYear) : '',
+                    source: 'database'
+                }];
+            }
+            return [];
+        } catch (error) {
+            log.error('Error reading settlements from local database', error);
+            return [];
+        }
+    }
+
+    /**
+     * Base range for a settlement estimate: the first settlement record with a dollar range,
+     * otherwise the estimator's built-in range for the condition
+     * @returns {{min: number, max: number, source: string}}
+     */
+    async getSettlementBaseRange(condition, state = null) {
+        const settlements = await this.getSettlementData(condition, state);
+        return baseRangeFromSettlements(settlements) ||
+            defaultBaseRange(this.synonyms.canonicalName(condition, 'condition'));
+    }
+
+    /**
+     * Search for comprehensive information about a condition
+     */
+    async searchCondition(condition) {
+        try {
+            return await this.cache.get(`search:${condition}`, async () => {
+                const [articles, lawFirms, settlements] = await Promise.all([
+                    this.searchArticles(condition),
+                    this.getLawFirms(condition),
+                    this.getSettlementData(condition)
+                ]);
 
-            this.setCache(cacheKey, result);
-            return result;
+                return {
+                    condition,
+                    articles,
+                    lawFirms,
+                    settlements,
+                    summary: this.generateSummary(condition, articles, settlements)
+                };
+            });
         } catch (error) {
-            console.error('❌ Error searching condition:', error);
+            log.error('Error searching condition', error);
             return {
                 condition,
                 articles: [],
@@ -459,16 +766,47 @@ export class DataIntegrationService {
     }
 
     /**
-     * Search articles by condition
+     * Search articles by condition, best matches first
      */
-    async searchArticles(condition) {
-        const allArticles = await this.getAllArticles();
-        
-        return allArticles.filter(article => 
-            article.title.toLowerCase().includes(condition.toLowerCase()) ||
-            article.description.toLowerCase().includes(condition.toLowerCase()) ||
-            article.content.overview.toLowerCase().includes(condition.toLowerCase())
-        );
+    async searchArticles(condition, limit = 20) {
+        const { hits } = await this.searchArticleIndex(condition, { limit });
+        return hits.map(hit => hit.document);
+    }
+
+    /**
+     * Ranked article search with the dictionary's aliases and related names added to the query.
+     * When the query names a known condition, product or manufacturer, only articles that
+     * mention one of those names are returned.
+     * @param {object} options - offset, limit and filter, as for SearchIndex.search
+     */
+    async searchArticleIndex(query, { offset = 0, limit = 20, filter = null } = {}) {
+        const searchIndex = await this.getSearchIndex();
+        if (this.synonyms.lookup(query).length === 0) {
+            return searchIndex.search(query, { offset, limit, filter });
+        }
+
+        // The original query is kept as typed, so its quoted phrases still apply
+        const terms = this.synonyms.expand(query);
+        const expandedQuery = [query, ...terms.filter(term => term !== normalizeTerm(query))].join(' ');
+
+        return searchIndex.search(expandedQuery, {
+            offset,
+            limit,
+            filter: article => (!filter || filter(article)) &&
+                matchesAnyTerm(ARTICLE_FIELDS.map(field => field.get(article)).join(' '), terms)
+        });
+    }
+
+    /**
+     * Get the article search index, rebuilt if the articles have been refetched since it was built
+     */
+    async getSearchIndex() {
+        const articles = await this.getAllArticles();
+        if (this.searchIndex.source !== articles) {
+            this.searchIndex.build(articles);
+            log.info('Indexed articles for search', { count: articles.length });
+        }
+        return this.searchIndex;
     }
 
     // Helper methods
@@ -484,8 +822,19 @@ export class DataIntegrationService {
         return text.split(/[,;|]/).map(item => item.trim()).filter(item => item);
     }
 
-    mergeArticles(sheetsArticles, hubspotArticles) {
-        const merged = [...sheetsArticles, ...hubspotArticles];
+    /**
+     * FAQs from a sheet cell, one per line as "Question? | Answer"
+     */
+    parseFaqs(text) {
+        if (!text) return [];
+        return text.split(/\r?\n/)
+            .map(line => line.split('|').map(part => part.trim()))
+            .filter(([question, answer]) => question && answer)
+            .map(([question, answer]) => ({ question, answer }));
+    }
+
+    mergeArticles(...articleLists) {
+        const merged = articleLists.flat();
         
         // Remove duplicates based on title
         const seen = new Set();
@@ -497,8 +846,8 @@ export class DataIntegrationService {
         });
     }
 
-    mergeSettlementData(sheetsData, hubspotData) {
-        const merged = [...sheetsData, ...hubspotData];
+    mergeSettlementData(...settlementLists) {
+        const merged = settlementLists.flat();
         
         // Group by condition and state
         const grouped = {};
@@ -571,7 +920,9 @@ export class DataIntegrationService {
             }
         };
         
-        return [defaults[condition.toLowerCase()] || { 
+        const terms = this.synonyms.expand(condition);
+        const known = Object.keys(defaults).find(key => terms.includes(normalizeTerm(key)));
+        return [defaults[known] || { 
             condition: condition,
             settlementRange: 'Varies by case',
             averageSettlement: 'Contact attorney for estimate',
@@ -593,6 +944,10 @@ export class DataIntegrationService {
                 experience: '20+ years',
                 successRate: '95%',
                 notableSettlements: ['$2.4M mesothelioma settlement', '$1.8M asbestos case'],
+                states: [],
+                languages: ['English', 'Spanish'],
+                dailyCap: null,
+                priority: 1,
                 source: 'fallback'
             },
             {
@@ -605,6 +960,10 @@ export class DataIntegrationService {
                 experience: '15+ years',
                 successRate: '90%',
                 notableSettlements: ['$250K Roundup settlement', '$500K talc case'],
+                states: ['CA', 'TX', 'FL'],
+                languages: ['English', 'Spanish'],
+                dailyCap: null,
+                priority: 1,
                 source: 'fallback'
             },
             {
@@ -617,6 +976,10 @@ export class DataIntegrationService {
                 experience: '25+ years',
                 successRate: '88%',
                 notableSettlements: ['$100K earplug case', '$75K tinnitus claim'],
+                states: [],
+                languages: ['English'],
+                dailyCap: null,
+                priority: 1,
                 source: 'fallback'
             }
         ];
@@ -659,7 +1022,17 @@ export class DataIntegrationService {
                         "Asbestos trust fund claims",
                         "Wrongful death lawsuits for family members"
                     ],
-                    settlements: "Mesothelioma settlements typically range from $1.2 million to $2.4 million, with some cases reaching $10 million or more. Factors affecting settlement amounts include the severity of the disease, age of the victim, exposure history, and jurisdiction."
+                    settlements: "Mesothelioma settlements typically range from $1.2 million to $2.4 million, with some cases reaching $10 million or more. Factors affecting settlement amounts include the severity of the disease, age of the victim, exposure history, and jurisdiction.",
+                    faqs: [
+                        {
+                            question: "How long after asbestos exposure does mesothelioma develop?",
+                            answer: "Mesothelioma usually appears 20 to 50 years after the first exposure to asbestos, which is why many people are diagnosed long after they left the job where they were exposed."
+                        },
+                        {
+                            question: "How long do I have to file a mesothelioma claim?",
+                            answer: "Each state sets its own deadline, usually one to three years, and most start the clock at diagnosis rather than exposure. An attorney can confirm the deadline in your state."
+                        }
+                    ]
                 },
                 source: 'fallback'
             },
@@ -857,24 +1230,20 @@ export class DataIntegrationService {
         ];
     }
 
-    // Cache management
-    getFromCache(key) {
-        const cached = this.cache.get(key);
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            return cached.data;
+    /**
+     * Drop cached data whose keys start with a prefix, e.g. "law_firms:" or "settlements:mesothelioma"
+     * Without a prefix everything is dropped and the synonym dictionary is reloaded too
+     * @returns {number} Entries removed
+     */
+    invalidateCache(prefix = '') {
+        const removed = this.cache.invalidate(prefix);
+        if (!prefix) {
+            this.synonyms.reload();
         }
-        this.cache.delete(key);
-        return null;
-    }
-
-    setCache(key, data) {
-        this.cache.set(key, {
-            data,
-            timestamp: Date.now()
-        });
+        return removed;
     }
 
-    clearCache() {
-        this.cache.clear();
+    getCacheStats() {
+        return this.cache.getStats();
     }
 } 
\ No newline at end of file
@@ -1,318 +1,471 @@
 /**
  * Database Connector for Injury Info Website
- * This module handles connections to your website's database or API
+ * Embedded SQLite database for conditions, law firms and manufacturer cases
+ *
+ * The schema is created and upgraded by the numbered migrations below, and empty tables are
+ * seeded from the CSV templates in scripts/sample-data-templates, so the site runs with
+ * no cloud accounts. Set LOCAL_DATABASE_FILE to use it as a data source.
  */
 
+import fs from 'fs';
+import path from 'path';
 import fetch from 'node-fetch';
+import Database from 'better-sqlite3';
+import { parseMoneyAmounts } from './settlement-amounts.js';
+import { StatuteRules } from './statute-rules.js';
+import { createLogger } from './logger.js';
 
-export class InjuryInfoDatabase {
-  constructor(config = {}) {
-    this.apiUrl = config.apiUrl || 'https://your-injury-info-site.com/api';
-    this.databaseType = config.databaseType || 'mysql'; // mysql, postgresql, mongodb, etc.
-    this.connectionString = config.connectionString;
-    this.apiKey = config.apiKey;
+const log = createLogger('database');
+
+// Applied in order; each runs once and is recorded in schema_migrations. Never edit an applied migration, add a new one.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_core_tables',
+    sql: `
+      CREATE TABLE conditions (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        category TEXT NOT NULL DEFAULT 'medical',
+        description TEXT,
+        symptoms TEXT,
+        treatments TEXT,
+        legal_considerations TEXT,
+        average_settlement INTEGER,
+        time_limit TEXT,
+        latency_period TEXT,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE manufacturers (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE
+      );
+
+      CREATE TABLE manufacturer_cases (
+        id INTEGER PRIMARY KEY,
+        manufacturer_id INTEGER NOT NULL REFERENCES manufacturers(id),
+        product TEXT NOT NULL,
+        injury_type TEXT,
+        settlement_amount INTEGER,
+        year INTEGER,
+        status TEXT,
+        severity TEXT,
+        case_name TEXT NOT NULL UNIQUE COLLATE NOCASE
+      );
+
+      CREATE TABLE law_firms (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        specialties TEXT,
+        success_rate INTEGER,
+        experience_years INTEGER,
+        contingency_fee INTEGER,
+        languages TEXT,
+        phone TEXT,
+        email TEXT,
+        website TEXT,
+        city TEXT,
+        state TEXT
+      );
+
+      CREATE INDEX manufacturer_cases_injury_type ON manufacturer_cases(injury_type);
+    `
+  },
+  {
+    version: 2,
+    name: 'create_statutes_of_limitations',
+    sql: `
+      CREATE TABLE statutes_of_limitations (
+        state TEXT NOT NULL COLLATE NOCASE,
+        claim_type TEXT NOT NULL DEFAULT 'personal injury',
+        years REAL NOT NULL,
+        discovery_rule_years REAL,
+        PRIMARY KEY (state, claim_type)
+      );
+
+      INSERT INTO statutes_of_limitations (state, years, discovery_rule_years) VALUES
+        ('California', 2, 1),
+        ('New York', 3, 3),
+        ('Texas', 2, 2),
+        ('Florida', 4, 2);
+    `
+  },
+  {
+    version: 3,
+    name: 'drop_statutes_of_limitations',
+    // Limits for every state now come from statute-rules.js
+    sql: `
+      DROP TABLE statutes_of_limitations;
+    `
+  },
+  {
+    version: 4,
+    name: 'add_law_firm_routing',
+    // Lead routing: states served besides the office state, leads per day, and a weight
+    sql: `
+      ALTER TABLE law_firms ADD COLUMN served_states TEXT;
+      ALTER TABLE law_firms ADD COLUMN daily_lead_cap INTEGER;
+      ALTER TABLE law_firms ADD COLUMN routing_priority REAL NOT NULL DEFAULT 1;
+    `
   }
+];
 
-  /**
-   * Search for diseases/conditions in your database
-   */
-  async searchDiseases(query, category = null, limit = 10) {
-    try {
-      // Option 1: API endpoint
-      if (this.apiUrl) {
-        const params = new URLSearchParams({
-          q: query,
-          category: category || '',
-          limit: limit.toString()
-        });
-        
-        const response = await fetch(`${this.apiUrl}/diseases/search?${params}`, {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        });
-        
-        if (!response.ok) {
-          throw new Error(`API request failed: ${response.statusText}`);
-        }
-        
-        return await response.json();
-      }
-      
-      // Option 2: Direct database query (example for MySQL)
-      if (this.databaseType === 'mysql') {
-        const sql = `
-          SELECT 
-            d.id,
-            d.name,
-            d.category,
-            d.description,
-            d.symptoms,
-            d.causes,
-            d.average_settlement_min,
-            d.average_settlement_max,
-            d.latency_period,
-            GROUP_CONCAT(m.name) as manufacturers
-          FROM diseases d
-          LEFT JOIN disease_manufacturers dm ON d.id = dm.disease_id
-          LEFT JOIN manufacturers m ON dm.manufacturer_id = m.id
-          WHERE d.name LIKE ? OR d.description LIKE ? OR d.symptoms LIKE ?
-          ${category ? 'AND d.category = ?' : ''}
-          GROUP BY d.id
-          LIMIT ?
-        `;
-        
-        const params = [`%${query}%`, `%${query}%`, `%${query}%`];
-        if (category) params.push(category);
-        params.push(limit);
-        
-        // Execute query with your database connection
-        // return await this.executeQuery(sql, params);
+// CSV template -> table, with how each row is stored
+const SEEDS = [
+  { file: 'medical-info-template.csv', insert: 'insertCondition' },
+  { file: 'manufacturer-cases-template.csv', insert: 'insertManufacturerCase' },
+  { file: 'law-firms-template.csv', insert: 'insertLawFirm' }
+];
+
+/**
+ * Parse CSV text into one object per row, keyed by the header row.
+ * The templates leave dollar amounts unquoted ($1,200,000), so when a row has too many
+ * fields, "$1" "200" "000" are joined back into one amount.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
       }
-      
-      // Fallback to mock data if no connection configured
-      return this.getMockDiseases(query, category, limit);
-      
-    } catch (error) {
-      console.error('Database search error:', error);
-      throw error;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      rows.push(fields);
+      fields = [];
+      field = '';
+    } else {
+      field += char;
     }
   }
+  if (field || fields.length > 0) {
+    fields.push(field);
+    rows.push(fields);
+  }
 
-  /**
-   * Find law firms in your database
-   */
-  async findLawFirms(specialty, location = null, limit = 10) {
-    try {
-      if (this.apiUrl) {
-        const params = new URLSearchParams({
-          specialty,
-          location: location || '',
-          limit: limit.toString()
-        });
-        
-        const response = await fetch(`${this.apiUrl}/law-firms/search?${params}`, {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        });
-        
-        return await response.json();
-      }
-      
-      // Direct database query example
-      if (this.databaseType === 'mysql') {
-        const sql = `
-          SELECT 
-            lf.id,
-            lf.name,
-            lf.location,
-            lf.experience_years,
-            lf.success_rate,
-            lf.contact_info,
-            GROUP_CONCAT(s.name) as specialties,
-            GROUP_CONCAT(ns.case_name) as notable_settlements
-          FROM law_firms lf
-          LEFT JOIN firm_specialties fs ON lf.id = fs.firm_id
-          LEFT JOIN specialties s ON fs.specialty_id = s.id
-          LEFT JOIN notable_settlements ns ON lf.id = ns.firm_id
-          WHERE s.name LIKE ?
-          ${location ? 'AND lf.location LIKE ?' : ''}
-          GROUP BY lf.id
-          LIMIT ?
-        `;
-        
-        const params = [`%${specialty}%`];
-        if (location) params.push(`%${location}%`);
-        params.push(limit);
-        
-        // return await this.executeQuery(sql, params);
-      }
-      
-      return this.getMockLawFirms(specialty, location, limit);
-      
-    } catch (error) {
-      console.error('Law firm search error:', error);
-      throw error;
+  const [headers, ...records] = rows.filter(row => row.some(value => value.trim()));
+  return records.map(record => {
+    const values = record.length > headers.length ? joinSplitAmounts(record) : record;
+    return Object.fromEntries(headers.map((header, index) => [header.trim(), (values[index] || '').trim()]));
+  });
+}
+
+function joinSplitAmounts(values) {
+  const joined = [];
+  for (const value of values) {
+    const previous = joined[joined.length - 1];
+    if (previous && /^\$[\d,]+$/.test(previous) && /^\d{3}$/.test(value)) {
+      joined[joined.length - 1] = `${previous},${value}`;
+    } else {
+      joined.push(value);
     }
   }
+  return joined;
+}
 
-  /**
-   * Get manufacturer negligence cases
-   */
-  async getManufacturerCases(manufacturer, product = null) {
-    try {
-      if (this.apiUrl) {
-        const params = new URLSearchParams({
-          manufacturer,
-          product: product || ''
-        });
-        
-        const response = await fetch(`${this.apiUrl}/manufacturers/cases?${params}`, {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        });
-        
-        return await response.json();
-      }
-      
-      return this.getMockManufacturerCases(manufacturer, product);
-      
-    } catch (error) {
-      console.error('Manufacturer case search error:', error);
-      throw error;
+function parseAmount(text) {
+  const [amount] = parseMoneyAmounts(text);
+  return amount ? Math.round(amount.value) : null;
+}
+
+function parseNumber(text) {
+  const number = parseFloat(text);
+  return Number.isNaN(number) ? null : number;
+}
+
+function splitList(text) {
+  return text ? text.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function like(text) {
+  return `%${text || ''}%`;
+}
+
+export class InjuryInfoDatabase {
+  constructor(config = {}) {
+    this.file = config.file || 'storage/injury-info.db';
+    this.seedDirectory = config.seedDirectory || 'scripts/sample-data-templates';
+    this.statuteRules = config.statuteRules || new StatuteRules();
+
+    if (this.file !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    }
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this.migrate();
+    if (config.seed !== false) {
+      this.seed();
     }
   }
 
   /**
-   * Get settlement data for calculations
+   * Apply migrations that haven't run yet, each in its own transaction
+   * @returns {number} The schema version after migrating
    */
-  async getSettlementData(condition, state = null) {
-    try {
-      if (this.apiUrl) {
-        const params = new URLSearchParams({
-          condition,
-          state: state || ''
-        });
-        
-        const response = await fetch(`${this.apiUrl}/settlements/data?${params}`, {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        });
-        
-        return await response.json();
-      }
-      
-      return this.getMockSettlementData(condition);
-      
-    } catch (error) {
-      console.error('Settlement data error:', error);
-      throw error;
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').pluck().all());
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.version)) continue;
+
+      this.db.transaction(() => {
+        this.db.exec(migration.sql);
+        record.run(migration.version, migration.name);
+      })();
+      log.info('Applied database migration', { version: migration.version, name: migration.name });
     }
+
+    return this.db.prepare('SELECT MAX(version) FROM schema_migrations').pluck().get();
   }
 
   /**
-   * Get legal timeline information
+   * Load the CSV templates. Rows that already exist (by name) are left alone, so this is safe to rerun.
+   * @returns {number} Rows added
    */
-  async getLegalTimeline(state, injuryType) {
-    try {
-      if (this.apiUrl) {
-        const params = new URLSearchParams({
-          state,
-          injury_type: injuryType
-        });
-        
-        const response = await fetch(`${this.apiUrl}/legal/timeline?${params}`, {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        });
-        
-        return await response.json();
+  seed() {
+    let added = 0;
+
+    this.db.transaction(() => {
+      for (const { file, insert } of SEEDS) {
+        const filePath = path.join(this.seedDirectory, file);
+        if (!fs.existsSync(filePath)) {
+          log.warn('Seed file not found', { filePath });
+          continue;
+        }
+
+        for (const row of parseCsv(fs.readFileSync(filePath, 'utf8'))) {
+          added += this[insert](row);
+        }
       }
-      
-      return this.getMockLegalTimeline(state, injuryType);
-      
-    } catch (error) {
-      console.error('Legal timeline error:', error);
-      throw error;
+    })();
+
+    if (added > 0) {
+      log.info('Seeded database', { rows: added, file: this.file });
     }
+    return added;
   }
 
-  // Mock data methods (remove these when you have real data)
-  getMockDiseases(query, category, limit) {
-    const mockData = [
-      {
-        id: 1,
-        name: "Mesothelioma",
-        category: "Cancer",
-        description: "A rare cancer that affects the lining of the lungs, heart, or abdomen.",
-        symptoms: ["Chest pain", "Shortness of breath", "Persistent cough"],
-        causes: ["Asbestos exposure"],
-        average_settlement_min: 1200000,
-        average_settlement_max: 2400000,
-        latency_period: "20-50 years",
-        manufacturers: ["Johns Manville", "Owens Corning", "3M"]
-      },
-      {
-        id: 2,
-        name: "Silicosis",
-        category: "Lung Disease", 
-        description: "A lung disease caused by inhaling crystalline silica dust.",
-        symptoms: ["Cough", "Shortness of breath", "Chest tightness"],
-        causes: ["Silica dust exposure in construction, mining"],
-        average_settlement_min: 500000,
-        average_settlement_max: 1500000,
-        latency_period: "10-30 years",
-        manufacturers: ["Various construction companies"]
-      }
-    ];
+  insertCondition(row) {
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO conditions (name, symptoms, treatments, legal_considerations, average_settlement, time_limit)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      row.Condition,
+      row.Symptoms,
+      row.Treatments,
+      row['Legal Considerations'],
+      parseAmount(row['Average Settlement']),
+      row['Time Limit']
+    ).changes;
+  }
 
-    return mockData.filter(disease => 
-      disease.name.toLowerCase().includes(query.toLowerCase()) ||
-      disease.description.toLowerCase().includes(query.toLowerCase())
-    ).slice(0, limit);
+  insertManufacturerCase(row) {
+    this.db.prepare('INSERT OR IGNORE INTO manufacturers (name) VALUES (?)').run(row.Company);
+    const manufacturerId = this.db.prepare('SELECT id FROM manufacturers WHERE name = ?').pluck().get(row.Company);
+
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO manufacturer_cases
+        (manufacturer_id, product, injury_type, settlement_amount, year, status, severity, case_name)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      manufacturerId,
+      row.Product,
+      row['Injury Type'],
+      parseAmount(row['Settlement Amount']),
+      parseNumber(row.Year),
+      row.Status,
+      row.Severity,
+      row['Case Name']
+    ).changes;
   }
 
-  getMockLawFirms(specialty, location, limit) {
-    const mockFirms = [
-      {
-        id: 1,
-        name: "Mesothelioma Law Firm",
-        location: "New York, NY",
-        experience_years: 25,
-        success_rate: 95,
-        contact_info: "1-800-MESO-LAW",
-        specialties: ["Asbestos litigation", "Mesothelioma cases"],
-        notable_settlements: ["$2.5M Johnson case", "$1.8M Smith settlement"]
-      }
-    ];
+  insertLawFirm(row) {
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO law_firms
+        (name, specialties, success_rate, experience_years, contingency_fee, languages, phone, email, city, state)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      row.Name,
+      row.Specialty,
+      parseNumber(row['Success Rate']),
+      parseNumber(row['Years Experience']),
+      parseNumber(row['Contingency Fee']),
+      row.Languages,
+      row.Phone,
+      row.Email,
+      row.City,
+      row.State
+    ).changes;
+  }
 
-    return mockFirms.filter(firm => 
-      firm.specialties.some(spec => spec.toLowerCase().includes(specialty.toLowerCase()))
-    ).slice(0, limit);
+  /**
+   * Search for diseases/conditions by name, symptoms, treatments or legal considerations
+   * An empty query returns every condition
+   */
+  async searchDiseases(query, category = null, limit = 10) {
+    const rows = this.db.prepare(`
+      SELECT
+        c.*,
+        (SELECT GROUP_CONCAT(DISTINCT m.name)
+           FROM manufacturer_cases mc JOIN manufacturers m ON m.id = mc.manufacturer_id
+          WHERE mc.injury_type = c.name COLLATE NOCASE) AS manufacturers
+      FROM conditions c
+      WHERE (c.name LIKE @query OR c.description LIKE @query OR c.symptoms LIKE @query
+             OR c.treatments LIKE @query OR c.legal_considerations LIKE @query)
+        AND (@category IS NULL OR c.category = @category)
+      ORDER BY c.name
+      LIMIT @limit
+    `).all({ query: like(query), category, limit });
+
+    return rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      category: row.category,
+      description: row.description,
+      symptoms: splitList(row.symptoms),
+      treatments: splitList(row.treatments),
+      legal_considerations: splitList(row.legal_considerations),
+      average_settlement: row.average_settlement,
+      time_limit: row.time_limit,
+      latency_period: row.latency_period,
+      manufacturers: splitList(row.manufacturers),
+      lastUpdated: row.updated_at
+    }));
   }
 
-  getMockManufacturerCases(manufacturer, product) {
-    return [
-      {
-        id: 1,
-        manufacturer: "Johns Manville",
-        product: "Asbestos insulation",
-        allegation: "Failed to warn about asbestos dangers",
-        status: "Settled",
-        total_settlements: "$2.5B",
-        cases_count: 8500
-      }
-    ];
+  /**
+   * Find law firms by specialty and city or state; a null specialty matches every firm, a null limit returns all
+   */
+  async findLawFirms(specialty, location = null, limit = 10) {
+    const rows = this.db.prepare(`
+      SELECT * FROM law_firms
+      WHERE (@specialty IS NULL OR specialties LIKE @specialtyPattern)
+        AND (@location IS NULL OR city LIKE @locationPattern OR state LIKE @locationPattern)
+      ORDER BY success_rate DESC, name
+      LIMIT @limit
+    `).all({
+      specialty: specialty || null,
+      specialtyPattern: like(specialty),
+      location: location || null,
+      locationPattern: like(location),
+      limit: limit ?? -1 // SQLite reads a negative limit as none
+    });
+
+    return rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      location: [row.city, row.state].filter(Boolean).join(', '),
+      experience_years: row.experience_years,
+      success_rate: row.success_rate,
+      contingency_fee: row.contingency_fee,
+      contact_info: row.phone,
+      phone: row.phone,
+      email: row.email,
+      website: row.website,
+      languages: splitList(row.languages),
+      specialties: splitList(row.specialties),
+      states: splitList(row.served_states || row.state),
+      daily_lead_cap: row.daily_lead_cap,
+      routing_priority: row.routing_priority
+    }));
   }
 
-  getMockSettlementData(condition) {
-    const ranges = {
-      'mesothelioma': { min: 1200000, max: 2400000 },
-      'silicosis': { min: 500000, max: 1500000 },
-      'asbestosis': { min: 300000, max: 800000 }
-    };
+  /**
+   * Get manufacturer negligence cases, newest first
+   */
+  async getManufacturerCases(manufacturer, product = null) {
+    return this.db.prepare(`
+      SELECT mc.id, m.name AS manufacturer, mc.product, mc.injury_type, mc.settlement_amount,
+             mc.year, mc.status, mc.severity, mc.case_name
+      FROM manufacturer_cases mc JOIN manufacturers m ON m.id = mc.manufacturer_id
+      WHERE m.name LIKE @manufacturer
+        AND (@product IS NULL OR mc.product LIKE @productPattern)
+      ORDER BY mc.year DESC, mc.case_name
+    `).all({ manufacturer: like(manufacturer), product: product || null, productPattern: like(product) });
+  }
 
-    return ranges[condition.toLowerCase()] || { min: 100000, max: 500000 };
+  /**
+   * Settlement figures for a condition, from its average and from matching manufacturer cases
+   * (by injury type or product). The seeded data is nationwide, so state is not used yet.
+   * @returns {{condition, min, max, average, caseCount, latestYear} | null}
+   */
+  async getSettlementData(condition, state = null) {
+    const pattern = like(condition);
+    const known = this.db.prepare('SELECT name, average_settlement FROM conditions WHERE name LIKE ? ORDER BY name').get(pattern);
+    const cases = this.db.prepare(`
+      SELECT MIN(settlement_amount) AS min, MAX(settlement_amount) AS max, AVG(settlement_amount) AS average,
+             COUNT(*) AS caseCount, MAX(year) AS latestYear, MIN(injury_type) AS injuryType
+      FROM manufacturer_cases
+      WHERE (injury_type LIKE ? OR product LIKE ?) AND settlement_amount IS NOT NULL
+    `).get(pattern, pattern);
+
+    const amounts = [known?.average_settlement, cases.min, cases.max].filter(amount => amount != null);
+    if (amounts.length === 0) return null;
+
+    return {
+      condition: known?.name || cases.injuryType || condition,
+      min: Math.min(...amounts),
+      max: Math.max(...amounts),
+      average: Math.round(known?.average_settlement ?? cases.average),
+      caseCount: cases.caseCount,
+      latestYear: cases.latestYear
+    };
   }
 
-  getMockLegalTimeline(state, injuryType) {
-    const statutes = {
-      'california': { personal: 2, discovery: 1 },
-      'new york': { personal: 3, discovery: 3 },
-      'texas': { personal: 2, discovery: 2 },
-      'florida': { personal: 4, discovery: 2 }
+  /**
+   * Statute of limitations for a state, plus the filing window recorded for the injury type
+   * @returns {{state, personalInjury, wrongfulDeath, productLiability, discoveryRule, notes, injuryType, conditionTimeLimit} | null}
+   */
+  async getLegalTimeline(state, injuryType) {
+    const timeline = this.statuteRules.getTimeline(state);
+    if (!timeline) return null;
+
+    const condition = injuryType
+      ? this.db.prepare('SELECT time_limit FROM conditions WHERE name LIKE ?').get(like(injuryType))
+      : null;
+
+    return {
+      ...timeline,
+      injuryType,
+      conditionTimeLimit: condition?.time_limit || null
     };
+  }
+
+  // Throws if the database can't be queried, for health checks
+  ping() {
+    this.db.prepare('SELECT 1').get();
+  }
 
-    return statutes[state.toLowerCase()] || { personal: 2, discovery: 1 };
+  close() {
+    this.db.close();
   }
 }
 
@@ -352,7 +505,7 @@ export class InjuryInfoScraper {
       };
       
     } catch (error) {
-      console.error('Scraping error:', error);
+      log.error('Scraping error', error);
       throw error;
     }
   }
@@ -373,7 +526,7 @@ export class InjuryInfoScraper {
       ];
       
     } catch (error) {
-      console.error('Law firm scraping error:', error);
+      log.error('Law firm scraping error', error);
       throw error;
     }
   }
@@ -0,0 +1,133 @@
+/**
+ * Feeds
+ * RSS 2.0 and Atom feeds of articles, newest first
+ *
+ * Every item is identified by its canonical article URL, so an updated article replaces
+ * the earlier item in feed readers instead of showing up twice. Article text goes into
+ * the feed as escaped HTML.
+ */
+
+import { escapeHtml } from './article-page.js';
+import { SITE_NAME, articleUrl } from './seo.js';
+
+export const FEED_FORMATS = {
+    rss: 'application/rss+xml',
+    atom: 'application/atom+xml'
+};
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function articleDate(article) {
+    const date = new Date(article.date);
+    return Number.isNaN(date.getTime()) ? new Date(0) : date;
+}
+
+/**
+ * The newest articles first, at most `limit` of them
+ */
+export function sortFeedArticles(articles, limit) {
+    return [...articles]
+        .sort((a, b) => articleDate(b) - articleDate(a))
+        .slice(0, limit);
+}
+
+/**
+ * When the feed last changed: the date of its newest article
+ */
+export function feedUpdated(articles) {
+    return articles.length > 0 ? articleDate(articles[0]) : new Date(0);
+}
+
+/**
+ * The article as HTML for a feed entry
+ */
+function articleHtml(article) {
+    const content = article.content || {};
+    const sections = [
+        ['Symptoms', content.symptoms],
+        ['Causes', content.causes],
+        ['Treatment Options', content.treatments],
+        ['Legal Options', content.legalOptions]
+    ].filter(([, items]) => items?.length > 0);
+
+    return [
+        `<p>${escapeHtml(content.overview || article.description)}</p>`,
+        ...sections.map(([heading, items]) =>
+            `<h2>${heading}</h2><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`),
+        content.settlements ? `<h2>Settlement Information</h2><p>${escapeHtml(content.settlements)}</p>` : ''
+    ].join('');
+}
+
+/**
+ * @param {object} feed - title, description, and url of the feed itself
+ * @param {object[]} articles - Articles already sorted with sortFeedArticles
+ */
+export function renderRss(feed, articles, baseUrl) {
+    const items = articles.map(article => {
+        const url = articleUrl(baseUrl, article);
+        return [
+            '    <item>',
+            `      <title>${escapeXml(article.title)}</title>`,
+            `      <link>${escapeXml(url)}</link>`,
+            `      <guid isPermaLink="true">${escapeXml(url)}</guid>`,
+            `      <pubDate>${articleDate(article).toUTCString()}</pubDate>`,
+            article.category ? `      <category>${escapeXml(article.category)}</category>` : null,
+            `      <description>${escapeXml(article.description)}</description>`,
+            `      <content:encoded>${escapeXml(articleHtml(article))}</content:encoded>`,
+            '    </item>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">\n' +
+        '  <channel>\n' +
+        `    <title>${escapeXml(feed.title)}</title>\n` +
+        `    <link>${escapeXml(`${baseUrl}/`)}</link>\n` +
+        `    <description>${escapeXml(feed.description)}</description>\n` +
+        `    <atom:link href="${escapeXml(feed.url)}" rel="self" type="${FEED_FORMATS.rss}"/>\n` +
+        '    <language>en-us</language>\n' +
+        `    <lastBuildDate>${feedUpdated(articles).toUTCString()}</lastBuildDate>\n` +
+        `${items.join('\n')}${items.length > 0 ? '\n' : ''}` +
+        '  </channel>\n' +
+        '</rss>\n';
+}
+
+/**
+ * @param {object} feed - title, description, and url of the feed itself
+ * @param {object[]} articles - Articles already sorted with sortFeedArticles
+ */
+export function renderAtom(feed, articles, baseUrl) {
+    const entries = articles.map(article => {
+        const url = articleUrl(baseUrl, article);
+        return [
+            '  <entry>',
+            `    <id>${escapeXml(url)}</id>`,
+            `    <title>${escapeXml(article.title)}</title>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+            `    <updated>${articleDate(article).toISOString()}</updated>`,
+            article.category ? `    <category term="${escapeXml(article.category)}"/>` : null,
+            `    <summary>${escapeXml(article.description)}</summary>`,
+            `    <content type="html">${escapeXml(articleHtml(article))}</content>`,
+            '  </entry>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<feed xmlns="http://www.w3.org/2005/Atom">\n' +
+        `  <id>${escapeXml(feed.url)}</id>\n` +
+        `  <title>${escapeXml(feed.title)}</title>\n` +
+        `  <subtitle>${escapeXml(feed.description)}</subtitle>\n` +
+        `  <link rel="self" type="${FEED_FORMATS.atom}" href="${escapeXml(feed.url)}"/>\n` +
+        `  <link rel="alternate" type="text/html" href="${escapeXml(`${baseUrl}/`)}"/>\n` +
+        `  <updated>${feedUpdated(articles).toISOString()}</updated>\n` +
+        `  <author><name>${SITE_NAME}</name></author>\n` +
+        `${entries.join('\n')}${entries.length > 0 ? '\n' : ''}` +
+        '</feed>\n';
+}
@@ -5,8 +5,15 @@
  * for law firms, manufacturer cases, and medical information.
  */
 
-import fetch from 'node-fetch';
+import { SearchIndex } from './search-engine.js';
+import { createLogger } from './logger.js';
+import { HttpClient } from './http-client.js';
+import { SERVER_AI_CONFIG } from './server-ai-config.js';
 
+const log = createLogger('google-sheets');
+
+// Request methods take an optional { signal } last, an AbortSignal that cancels the HTTP request.
+// Failed requests throw the typed errors from http-client.js (AuthError, RateLimitError, TransientError, RequestError)
 export class GoogleSheetsConnector {
   constructor(config) {
     this.apiKey = config.apiKey;
@@ -16,33 +23,30 @@ export class GoogleSheetsConnector {
     if (!this.apiKey) {
       throw new Error('Google API key is required');
     }
+
+    // Rate limited and retried per SERVER_AI_CONFIG.http.googleSheets.
+    // The key goes in a header rather than the URL, so it can't leak into error messages
+    this.http = new HttpClient({
+      ...SERVER_AI_CONFIG.http.googleSheets,
+      ...config.http,
+      service: 'Google Sheets',
+      baseUrl: this.baseUrl,
+      headers: { 'X-goog-api-key': this.apiKey }
+    });
   }
 
-  async makeRequest(endpoint) {
-    const url = `${this.baseUrl}${endpoint}&key=${this.apiKey}`;
-    
-    try {
-      const response = await fetch(url);
-      const result = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Google Sheets API Error: ${response.status} - ${result.error?.message || 'Unknown error'}`);
-      }
-      
-      return result;
-    } catch (error) {
-      throw new Error(`Google Sheets request failed: ${error.message}`);
-    }
+  async makeRequest(endpoint, { signal } = {}) {
+    return this.http.get(endpoint, { signal });
   }
 
-  async readSheet(sheetName) {
-    console.log(`📊 Reading Google Sheet: ${sheetName}...`);
+  async readSheet(sheetName, { signal } = {}) {
+    log.debug('Reading sheet', { sheetName });
     
     const endpoint = `/${this.spreadsheetId}/values/${sheetName}?majorDimension=ROWS`;
-    const result = await this.makeRequest(endpoint);
+    const result = await this.makeRequest(endpoint, { signal });
     
     if (!result.values || result.values.length === 0) {
-      console.log(`⚠️  No data found in sheet: ${sheetName}`);
+      log.warn('No data found in sheet', { sheetName });
       return { headers: [], data: [] };
     }
     
@@ -55,19 +59,18 @@ export class GoogleSheetsConnector {
       return obj;
     });
     
-    console.log(`✅ Read ${data.length} rows from ${sheetName}`);
+    log.info('Read sheet', { sheetName, rows: data.length });
     return { headers, data };
   }
 
-  async searchSheet(sheetName, query, column = null, limit = 10) {
-    const { headers, data } = await this.readSheet(sheetName);
+  async searchSheet(sheetName, query, column = null, limit = 10, { signal } = {}) {
+    const { headers, data } = await this.readSheet(sheetName, { signal });
     
     if (data.length === 0) {
       return { results: [], total: 0 };
     }
     
-    const searchQuery = query.toLowerCase();
-    let filteredData = data;
+    let searchColumns = headers;
     
     if (column) {
       // Search in specific column
@@ -75,30 +78,29 @@ export class GoogleSheetsConnector {
       if (columnIndex === -1) {
         throw new Error(`Column '${column}' not found in sheet '${sheetName}'`);
       }
-      filteredData = data.filter(row => {
-        const value = row[headers[columnIndex]] || '';
-        return value.toLowerCase().includes(searchQuery);
-      });
-    } else {
-      // Search across all columns
-      filteredData = data.filter(row => {
-        return Object.values(row).some(value => 
-          value.toLowerCase().includes(searchQuery)
-        );
-      });
+      searchColumns = [headers[columnIndex]];
     }
     
-    // Apply limit
-    const results = filteredData.slice(0, limit);
+    // Rank rows with the full-text search engine, best matches first
+    const searchIndex = new SearchIndex({
+      fields: searchColumns.map(header => ({ name: header, boost: 1, get: row => row[header] }))
+    }).build(data);
+    const { total, hits } = searchIndex.search(query, { limit });
+    const results = hits.map(hit => hit.document);
     
     return {
       results,
-      total: filteredData.length,
+      total,
       query,
       column: column || 'all'
     };
   }
 
+  // Spreadsheet metadata only, for health checks; throws if the sheet can't be reached
+  async ping({ signal } = {}) {
+    await this.makeRequest(`/${this.spreadsheetId}?fields=spreadsheetId`, { signal });
+  }
+
   async getSheetStatistics(sheetName) {
     const { headers, data } = await this.readSheet(sheetName);
     
@@ -136,7 +138,7 @@ export class GoogleSheetsConnector {
   }
 
   async syncToHubSpot(sheetName, hubspotConnector, syncType = 'full') {
-    console.log(`🔄 Starting ${syncType} sync for sheet: ${sheetName}`);
+    log.info('Starting sync to HubSpot', { sheetName, syncType });
     
     const { headers, data } = await this.readSheet(sheetName);
     
@@ -157,12 +159,9 @@ export class GoogleSheetsConnector {
           synced++;
         }
       } catch (error) {
-        console.error(`❌ Error syncing row: ${error.message}`);
+        log.error('Error syncing row', { sheetName, error });
         errors++;
       }
-      
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 200));
     }
     
     return {
@@ -210,13 +209,13 @@ export class GoogleSheetsConnector {
         };
         
       default:
-        console.warn(`⚠️  Unknown sheet type: ${sheetName}`);
+        log.warn('Unknown sheet type', { sheetName });
         return null;
     }
   }
 
   async compareWithHubSpot(sheetName, hubspotConnector, hubspotObject) {
-    console.log(`🔍 Comparing ${sheetName} with HubSpot ${hubspotObject}...`);
+    log.info('Comparing sheet with HubSpot', { sheetName, hubspotObject });
     
     const { data: sheetData } = await this.readSheet(sheetName);
     const hubspotData = await hubspotConnector.getRecords(hubspotObject);
@@ -0,0 +1,275 @@
+/**
+ * HTTP Client
+ * Shared by the HubSpot and Google Sheets connectors: JSON requests with rate limiting,
+ * retries and typed errors
+ *
+ * Each client has its own token bucket, so a connector never sends more than its API allows
+ * however many requests the site is handling. Requests that fail for a passing reason (a
+ * network error, 5xx, 408) are retried with jittered exponential backoff if they are safe to
+ * repeat: GET, PUT and DELETE, and anything the caller marks `idempotent`, such as a search
+ * sent as POST. A 429 is retried for any method after the server's Retry-After, since the
+ * request was not processed.
+ *
+ * Failures are thrown as one of the HttpError subclasses below, so callers can tell a bad
+ * credential (AuthError) from an outage worth retrying later (TransientError, RateLimitError).
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('http');
+
+const RETRY_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+
+const DEFAULTS = {
+    requestsPerSecond: 10,
+    burst: 10,
+    maxRetries: 2,
+    baseDelay: 300,
+    maxDelay: 3000,
+    maxRetryAfter: 10 * 1000 // A 429 asking for a longer wait fails instead
+};
+
+/**
+ * A request the API refused or that never got an answer
+ * `status` is the HTTP status, or null when there was no response
+ */
+export class HttpError extends Error {
+    constructor(message, { service, status = null, body = null } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.service = service;
+        this.status = status;
+        this.body = body;
+        this.transient = false; // Whether the same request may succeed later
+    }
+}
+
+/**
+ * 401 or 403: the credential is missing, wrong or lacks a scope
+ */
+export class AuthError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * 429 after the retries ran out, or with a Retry-After longer than the client waits
+ */
+export class RateLimitError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'RateLimitError';
+        this.transient = true;
+        this.retryAfter = details.retryAfter ?? null; // Milliseconds
+    }
+}
+
+/**
+ * Network errors, timeouts and 5xx responses
+ */
+export class TransientError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'TransientError';
+        this.transient = true;
+    }
+}
+
+/**
+ * Any other 4xx: the request itself is wrong, e.g. a bad filter or an unknown object
+ */
+export class RequestError extends HttpError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'RequestError';
+    }
+}
+
+function abortError(signal) {
+    return signal.reason instanceof Error ? signal.reason : Object.assign(new Error('The request was aborted'), { name: 'AbortError' });
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(abortError(signal));
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (seconds or an HTTP date), or null
+ */
+export function parseRetryAfter(header) {
+    if (!header) return null;
+    if (/^\d+(\.\d+)?$/.test(header.trim())) return Math.ceil(Number(header) * 1000);
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Token bucket: `burst` requests at once, refilled at `requestsPerSecond`
+ */
+export class TokenBucket {
+    constructor({ requestsPerSecond, burst }) {
+        this.rate = requestsPerSecond / 1000; // Tokens per millisecond
+        this.capacity = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+        // Waiters are served in order, so a burst can't starve an earlier request
+        this.queue = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.rate);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Wait for a token
+     */
+    take(signal) {
+        const turn = this.queue.then(async () => {
+            this.refill();
+            if (this.tokens < 1) {
+                await sleep(Math.ceil((1 - this.tokens) / this.rate), signal);
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+        // A cancelled wait mustn't hold up the requests behind it
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+}
+
+export class HttpClient {
+    /**
+     * @param {object} config - service (name used in errors and logs), baseUrl, headers sent with every request,
+     *                          and the rate limit and retry settings in DEFAULTS
+     */
+    constructor(config = {}) {
+        const settings = { ...DEFAULTS, ...config };
+        this.service = settings.service;
+        this.baseUrl = settings.baseUrl;
+        this.headers = settings.headers || {};
+        this.maxRetries = settings.maxRetries;
+        this.baseDelay = settings.baseDelay;
+        this.maxDelay = settings.maxDelay;
+        this.maxRetryAfter = settings.maxRetryAfter;
+        this.bucket = new TokenBucket(settings);
+        // Node's built-in fetch unless a test passes its own
+        this.fetch = settings.fetch || ((url, options) => fetch(url, options));
+    }
+
+    /**
+     * Send a request and return the parsed JSON response (null when there is no body)
+     * @param {string} method - GET, POST, PATCH, ...
+     * @param {string} path - Appended to baseUrl
+     * @param {object} options - body (sent as JSON), signal, and idempotent to allow retrying a POST or PATCH
+     * @throws {HttpError} AuthError, RateLimitError, TransientError or RequestError
+     */
+    async request(method, path, { body, signal, idempotent = IDEMPOTENT_METHODS.has(method) } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await this.bucket.take(signal);
+
+            let error;
+            try {
+                return await this.send(method, path, body, signal);
+            } catch (caught) {
+                error = caught;
+            }
+
+            // The caller cancelled, e.g. a circuit breaker timeout
+            if (signal?.aborted || !(error instanceof HttpError)) throw error;
+
+            const delay = this.retryDelay(error, attempt, idempotent);
+            if (delay === null) throw error;
+
+            log.warn('Retrying request', { service: this.service, method, path, status: error.status, attempt: attempt + 1, delayMs: delay });
+            await sleep(delay, signal);
+        }
+    }
+
+    get(path, options) {
+        return this.request('GET', path, options);
+    }
+
+    post(path, body, options = {}) {
+        return this.request('POST', path, { ...options, body });
+    }
+
+    patch(path, body, options = {}) {
+        return this.request('PATCH', path, { ...options, body });
+    }
+
+    /**
+     * How long to wait before retrying, or null to give up
+     */
+    retryDelay(error, attempt, idempotent) {
+        if (attempt >= this.maxRetries) return null;
+
+        if (error instanceof RateLimitError) {
+            if (error.retryAfter !== null && error.retryAfter > this.maxRetryAfter) return null;
+            return error.retryAfter ?? this.backoff(attempt);
+        }
+        return error instanceof TransientError && idempotent ? this.backoff(attempt) : null;
+    }
+
+    // Full jitter: anywhere up to the exponential delay, so clients that failed together don't retry together
+    backoff(attempt) {
+        return Math.round(Math.random() * Math.min(this.maxDelay, this.baseDelay * 2 ** attempt));
+    }
+
+    async send(method, path, body, signal) {
+        let response;
+        try {
+            response = await this.fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers: { ...this.headers, ...(body !== undefined && { 'Content-Type': 'application/json' }) },
+                ...(body !== undefined && { body: JSON.stringify(body) }),
+                signal
+            });
+        } catch (error) {
+            if (signal?.aborted) throw abortError(signal);
+            throw new TransientError(`${this.service} request failed: ${error.message}`, { service: this.service });
+        }
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch {
+            data = text;
+        }
+
+        if (response.ok) return data;
+        throw this.errorFor(response, data);
+    }
+
+    errorFor(response, data) {
+        const { status } = response;
+        // HubSpot puts the reason in `message`, Google in `error.message`
+        const reason = data?.message || data?.error?.message || response.statusText;
+        const message = `${this.service} API error: ${status} ${reason}`;
+        const details = { service: this.service, status, body: data };
+
+        if (status === 401 || status === 403) return new AuthError(message, details);
+        if (status === 429) return new RateLimitError(message, { ...details, retryAfter: parseRetryAfter(response.headers.get('retry-after')) });
+        if (status >= 500 || RETRY_STATUSES.has(status)) return new TransientError(message, details);
+        return new RequestError(message, details);
+    }
+}
@@ -3,30 +3,127 @@
  * Integrates with HubSpot's CMS, CRM, and content APIs
  */
 
-import fetch from 'node-fetch';
+import { defaultBaseRange } from './settlement-estimator.js';
+import { StatuteRules } from './statute-rules.js';
+import { createLogger } from './logger.js';
+import { getConfig } from './config.js';
+import { HttpClient } from './http-client.js';
+import { ConnectorTimeoutError } from './circuit-breaker.js';
+import { SERVER_AI_CONFIG } from './server-ai-config.js';
+
+const log = createLogger('hubspot');
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+}
 
+// Request methods take an optional { signal } last, an AbortSignal that cancels the HTTP request.
+// Failed requests throw the typed errors from http-client.js (AuthError, RateLimitError, TransientError, RequestError)
 export class HubSpotInjuryInfoConnector {
+  // Credentials default to HUBSPOT_ACCESS_TOKEN and HUBSPOT_PORTAL_ID, see config.js
   constructor(config = {}) {
-    this.hubspotApiKey = config.hubspotApiKey || process.env.HUBSPOT_API_KEY;
-    this.hubspotPortalId = config.hubspotPortalId || process.env.HUBSPOT_PORTAL_ID;
+    this.hubspotApiKey = config.hubspotApiKey || getConfig().hubspot.accessToken;
+    this.hubspotPortalId = config.hubspotPortalId || getConfig().hubspot.portalId;
     this.baseUrl = 'https://api.hubapi.com';
-    this.headers = {
-      'Authorization': `Bearer ${this.hubspotApiKey}`,
-      'Content-Type': 'application/json'
-    };
+    this.statuteRules = config.statuteRules || new StatuteRules();
+    // Rate limited and retried per SERVER_AI_CONFIG.http.hubspot
+    this.http = new HttpClient({
+      ...SERVER_AI_CONFIG.http.hubspot,
+      ...config.http,
+      service: 'HubSpot',
+      baseUrl: this.baseUrl,
+      headers: { 'Authorization': `Bearer ${this.hubspotApiKey}` }
+    });
+    // Page size and the most records one search follows cursors for, per SERVER_AI_CONFIG.paging.hubspot,
+    // and pageTimeout, how long one page may take (none unless set)
+    this.paging = { ...SERVER_AI_CONFIG.paging.hubspot, ...config.paging };
+  }
+
+  /**
+   * Every result of a HubSpot search, following `paging.next.after` cursors a page at a time
+   * @param {string} path - Search endpoint, e.g. /crm/v3/objects/companies/search
+   * @param {object} searchBody - Filters, properties and so on; `limit` and `after` are set for each page
+   * @param {object} options - maxRecords (defaults to paging.maxRecords), pageSize, pageTimeout (defaults to
+   *   paging.pageTimeout) and signal
+   * @throws {ConnectorTimeoutError} If one page takes longer than pageTimeout
+   */
+  async *paginate(path, searchBody, { maxRecords = null, pageSize = this.paging.pageSize, pageTimeout = this.paging.pageTimeout, signal } = {}) {
+    const cap = maxRecords ?? this.paging.maxRecords;
+    let after = null;
+    let count = 0;
+
+    do {
+      // Searches only read, so they are safe to retry
+      const data = await this.fetchPage(path, {
+        ...searchBody,
+        limit: Math.min(pageSize, cap - count),
+        ...(after && { after })
+      }, { pageTimeout, signal });
+
+      const results = data.results || [];
+      after = data.paging?.next?.after || null;
+
+      for (const [index, result] of results.entries()) {
+        yield result;
+        if (++count >= cap) {
+          // A caller's own limit is expected to cut results short; the configured cap is worth knowing about
+          if (maxRecords === null && (after || index < results.length - 1)) {
+            log.warn('Search stopped at the record cap', { path, maxRecords: cap });
+          }
+          return;
+        }
+      }
+    } while (after);
+  }
+
+  /**
+   * One page of a search, aborted after pageTimeout as well as by the caller's signal
+   */
+  async fetchPage(path, body, { pageTimeout = null, signal } = {}) {
+    if (!pageTimeout) {
+      return this.http.post(path, body, { signal, idempotent: true });
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new ConnectorTimeoutError('hubspot', pageTimeout)), pageTimeout);
+    try {
+      return await this.http.post(path, body, {
+        signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+        idempotent: true
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * CRM records of one object type (contacts, companies, settlement_data, ...) matching a search
+   * @example for await (const company of connector.iterateCrmObjects('companies', { filterGroups, properties })) { ... }
+   */
+  iterateCrmObjects(objectType, searchBody = {}, options = {}) {
+    return this.paginate(`/crm/v3/objects/${objectType}/search`, searchBody, options);
+  }
+
+  /**
+   * CMS pages and blog posts matching a search
+   */
+  iterateCmsPages(searchBody = {}, options = {}) {
+    return this.paginate('/cms/v3/pages/search', searchBody, options);
   }
 
   /**
    * Search for disease/condition content in HubSpot CMS
+   * @param {number|null} limit - Most results, or null for every match up to paging.maxRecords
    */
-  async searchDiseases(query, category = null, limit = 10) {
+  async searchDiseases(query, category = null, limit = 10, { signal } = {}) {
     try {
       // Search in HubSpot CMS pages/blog posts about diseases
-      const searchUrl = `${this.baseUrl}/cms/v3/pages/search`;
-      
       const searchBody = {
         query: query,
-        limit: limit,
         contentTypes: ['landing-page', 'website-page', 'blog-post'],
         // Filter by category if provided (you can use HubSpot tags/categories)
         ...(category && { 
@@ -40,20 +137,10 @@ export class HubSpotInjuryInfoConnector {
         })
       };
 
-      const response = await fetch(searchUrl, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify(searchBody)
-      });
-
-      if (!response.ok) {
-        throw new Error(`HubSpot API error: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const pages = await collect(this.iterateCmsPages(searchBody, { maxRecords: limit, signal }));
       
       // Transform HubSpot data to our expected format
-      return data.results.map(page => ({
+      return pages.map(page => ({
         id: page.id,
         name: this.extractDiseaseNameFromTitle(page.name),
         category: this.extractCategoryFromTags(page.tagList),
@@ -67,31 +154,34 @@ export class HubSpotInjuryInfoConnector {
       }));
 
     } catch (error) {
-      console.error('HubSpot disease search error:', error);
+      log.error('Disease search failed', error);
       throw error;
     }
   }
 
   /**
    * Find law firms stored in HubSpot CRM as companies
+   * @param {string} specialty - Specialty token to match, or '' for every firm
+   * @param {number|null} limit - Most results, or null for every match up to paging.maxRecords
    */
-  async findLawFirms(specialty, location = null, limit = 10) {
+  async findLawFirms(specialty, location = null, limit = 10, { signal } = {}) {
     try {
       // Search companies in HubSpot CRM with law firm properties
-      const searchUrl = `${this.baseUrl}/crm/v3/objects/companies/search`;
-      
       const filters = [
         {
           propertyName: 'industry',
           operator: 'EQ',
           value: 'Legal Services'
-        },
-        {
+        }
+      ];
+
+      if (specialty) {
+        filters.push({
           propertyName: 'law_firm_specialties', // Custom property you'll create
           operator: 'CONTAINS_TOKEN',
           value: specialty
-        }
-      ];
+        });
+      }
 
       if (location) {
         filters.push({
@@ -112,20 +202,17 @@ export class HubSpotInjuryInfoConnector {
           'law_firm_specialties',
           'years_of_experience',
           'success_rate',
-          'notable_settlements'
-        ],
-        limit: limit
+          'notable_settlements',
+          'licensed_states',
+          'languages',
+          'daily_lead_cap',
+          'routing_priority'
+        ]
       };
 
-      const response = await fetch(searchUrl, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify(searchBody)
-      });
+      const companies = await collect(this.iterateCrmObjects('companies', searchBody, { maxRecords: limit, signal }));
 
-      const data = await response.json();
-
-      return data.results.map(company => ({
+      return companies.map(company => ({
         id: company.id,
         name: company.properties.name,
         location: `${company.properties.city}, ${company.properties.state}`,
@@ -134,11 +221,15 @@ export class HubSpotInjuryInfoConnector {
         specialties: company.properties.law_firm_specialties?.split(';') || [],
         experience: company.properties.years_of_experience,
         successRate: company.properties.success_rate,
-        notableSettlements: company.properties.notable_settlements?.split(';') || []
+        notableSettlements: company.properties.notable_settlements?.split(';') || [],
+        states: company.properties.licensed_states?.split(';') || [company.properties.state].filter(Boolean),
+        languages: company.properties.languages?.split(';') || [],
+        dailyCap: parseInt(company.properties.daily_lead_cap) || null,
+        priority: parseFloat(company.properties.routing_priority) || 1
       }));
 
     } catch (error) {
-      console.error('HubSpot law firm search error:', error);
+      log.error('Law firm search failed', error);
       throw error;
     }
   }
@@ -146,11 +237,9 @@ export class HubSpotInjuryInfoConnector {
   /**
    * Get manufacturer negligence data from HubSpot custom objects
    */
-  async getManufacturerCases(manufacturer, product = null) {
+  async getManufacturerCases(manufacturer, product = null, { signal } = {}) {
     try {
       // Use HubSpot custom objects to store manufacturer case data
-      const searchUrl = `${this.baseUrl}/crm/v3/objects/manufacturer_cases/search`;
-      
       const filters = [
         {
           propertyName: 'manufacturer_name',
@@ -178,19 +267,13 @@ export class HubSpotInjuryInfoConnector {
           'total_cases',
           'settlement_range_min',
           'settlement_range_max'
-        ],
-        limit: 50
+        ]
       };
 
-      const response = await fetch(searchUrl, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify(searchBody)
-      });
-
-      const data = await response.json();
+      // Every case on file, up to paging.maxRecords
+      const cases = await collect(this.iterateCrmObjects('manufacturer_cases', searchBody, { signal }));
 
-      return data.results.map(case_ => ({
+      return cases.map(case_ => ({
         id: case_.id,
         manufacturer: case_.properties.manufacturer_name,
         product: case_.properties.product_name,
@@ -205,18 +288,20 @@ export class HubSpotInjuryInfoConnector {
       }));
 
     } catch (error) {
-      console.error('HubSpot manufacturer case search error:', error);
+      log.error('Manufacturer case search failed', error);
       throw error;
     }
   }
 
   /**
    * Get settlement data from HubSpot for calculations
+   * @returns {{min, max, stateMultiplier, severityMultipliers} | null} null when HubSpot has no record for the condition
+   * @throws {HttpError} If HubSpot can't be searched; callers choose their own fallback
    */
-  async getSettlementData(condition, state = null) {
+  async getSettlementData(condition, state = null, { signal } = {}) {
     try {
       // Search for settlement data in HubSpot custom objects or CMS
-      const searchUrl = `${this.baseUrl}/crm/v3/objects/settlement_data/search`;
+      const searchPath = '/crm/v3/objects/settlement_data/search';
       
       const filters = [
         {
@@ -247,13 +332,8 @@ export class HubSpotInjuryInfoConnector {
         limit: 1
       };
 
-      const response = await fetch(searchUrl, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify(searchBody)
-      });
-
-      const data = await response.json();
+      // Searches only read, so they are safe to retry
+      const data = await this.http.post(searchPath, searchBody, { signal, idempotent: true });
 
       if (data.results.length > 0) {
         const settlement = data.results[0].properties;
@@ -265,12 +345,11 @@ export class HubSpotInjuryInfoConnector {
         };
       }
 
-      // Fallback to default ranges if no specific data found
-      return this.getDefaultSettlementRanges(condition);
+      return null;
 
     } catch (error) {
-      console.error('HubSpot settlement data error:', error);
-      return this.getDefaultSettlementRanges(condition);
+      log.error('Settlement data request failed', error);
+      throw error;
     }
   }
 
@@ -278,45 +357,84 @@ export class HubSpotInjuryInfoConnector {
    * Track user interactions and store as HubSpot contacts/interactions
    */
   async trackUserInteraction(userInfo, queryData) {
-    try {
-      // Create or update contact in HubSpot
-      const contactData = {
-        properties: {
-          email: userInfo.email || `anonymous_${Date.now()}@temp.com`,
-          firstname: userInfo.firstName || 'Anonymous',
-          lastname: userInfo.lastName || 'User',
-          injury_condition_searched: queryData.condition,
-          law_firm_location_searched: queryData.location,
-          settlement_calculation_requested: queryData.settlementRequested,
-          last_interaction_date: new Date().toISOString(),
-          lead_source: 'AI Assistant'
-        }
-      };
+    // A contact without an email can't be matched later, so don't create one
+    if (!userInfo.email) {
+      log.debug('Skipping tracking for a user without an email');
+      return;
+    }
 
-      const contactUrl = `${this.baseUrl}/crm/v3/objects/contacts`;
-      
-      const response = await fetch(contactUrl, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify(contactData)
+    try {
+      await this.upsertContact({
+        email: userInfo.email,
+        firstname: userInfo.firstName,
+        lastname: userInfo.lastName,
+        injury_condition_searched: queryData.condition,
+        law_firm_location_searched: queryData.location,
+        settlement_calculation_requested: queryData.settlementRequested,
+        last_interaction_date: new Date().toISOString(),
+        lead_source: 'AI Assistant'
       });
-
-      if (response.ok) {
-        console.log('User interaction tracked in HubSpot');
-      }
+      log.info('User interaction tracked');
 
     } catch (error) {
-      console.error('HubSpot contact tracking error:', error);
+      log.error('Contact tracking failed', error);
     }
   }
 
+  /**
+   * Create or update a contact, matched by contact ID, then email, then phone
+   * @returns {Promise<string>} The HubSpot contact ID
+   */
+  async upsertContact(properties, contactId = null, { signal } = {}) {
+    // HubSpot rejects empty values for some properties, so leave them out
+    const body = {
+      properties: Object.fromEntries(Object.entries(properties).filter(([, value]) => value != null && value !== ''))
+    };
+
+    // Setting the same properties again changes nothing, so an update can be retried; a create can't
+    const existingId = contactId || await this.findContactId(properties, { signal });
+    const contact = existingId
+      ? await this.http.patch(`/crm/v3/objects/contacts/${existingId}`, body, { signal, idempotent: true })
+      : await this.http.post('/crm/v3/objects/contacts', body, { signal });
+    return contact.id;
+  }
+
+  /**
+   * ID of the contact with the given email or phone, or null
+   */
+  async findContactId({ email, phone }, { signal } = {}) {
+    for (const [propertyName, value] of [['email', email], ['phone', phone]]) {
+      if (!value) continue;
+
+      const data = await this.http.post('/crm/v3/objects/contacts/search', {
+        filterGroups: [{ filters: [{ propertyName, operator: 'EQ', value }] }],
+        properties: ['email'],
+        limit: 1
+      }, { signal, idempotent: true });
+
+      if (data.results.length > 0) {
+        return data.results[0].id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Cheapest authenticated request, for health checks; throws if HubSpot can't be reached
+   */
+  async ping({ signal } = {}) {
+    await this.http.get('/crm/v3/objects/contacts?limit=1', { signal });
+  }
+
   /**
    * Get legal timeline data from HubSpot CMS or custom objects
+   * @returns {object|null} null when no page covers the state and injury, see getDefaultLegalTimeline
+   * @throws {HttpError} If HubSpot can't be searched
    */
-  async getLegalTimeline(state, injuryType) {
+  async getLegalTimeline(state, injuryType, { signal } = {}) {
     try {
       // Search for legal timeline content in HubSpot
-      const searchUrl = `${this.baseUrl}/cms/v3/pages/search`;
+      const searchPath = '/cms/v3/pages/search';
       
       const searchBody = {
         query: `legal timeline ${state} ${injuryType}`,
@@ -324,13 +442,8 @@ export class HubSpotInjuryInfoConnector {
         contentTypes: ['landing-page', 'website-page']
       };
 
-      const response = await fetch(searchUrl, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify(searchBody)
-      });
-
-      const data = await response.json();
+      // Searches only read, so they are safe to retry
+      const data = await this.http.post(searchPath, searchBody, { signal, idempotent: true });
 
       if (data.results.length > 0) {
         const page = data.results[0];
@@ -343,12 +456,11 @@ export class HubSpotInjuryInfoConnector {
         };
       }
 
-      // Fallback to default timeline data
-      return this.getDefaultLegalTimeline(state, injuryType);
+      return null;
 
     } catch (error) {
-      console.error('HubSpot legal timeline error:', error);
-      return this.getDefaultLegalTimeline(state, injuryType);
+      log.error('Legal timeline request failed', error);
+      throw error;
     }
   }
 
@@ -398,14 +510,8 @@ export class HubSpotInjuryInfoConnector {
   }
 
   extractStatuteFromContent(content, state) {
-    // Extract statute of limitations from content
-    const statutes = {
-      'california': { personal: 2, discovery: 1 },
-      'new york': { personal: 3, discovery: 3 },
-      'texas': { personal: 2, discovery: 2 },
-      'florida': { personal: 4, discovery: 2 }
-    };
-    return statutes[state.toLowerCase()] || { personal: 2, discovery: 1 };
+    // Page prose is no reliable source for limits; use the statute rules for the state
+    return this.statuteRules.getTimeline(state);
   }
 
   extractTimelineFromContent(content) {
@@ -420,19 +526,14 @@ export class HubSpotInjuryInfoConnector {
   }
 
   getDefaultSettlementRanges(condition) {
-    const ranges = {
-      'mesothelioma': { min: 1200000, max: 2400000 },
-      'silicosis': { min: 500000, max: 1500000 },
-      'asbestosis': { min: 300000, max: 800000 }
-    };
-    return ranges[condition.toLowerCase()] || { min: 100000, max: 500000 };
+    return defaultBaseRange(condition);
   }
 
   getDefaultLegalTimeline(state, injuryType) {
     return {
       state: state,
       injuryType: injuryType,
-      statuteOfLimitations: { personal: 2, discovery: 1 },
+      statuteOfLimitations: this.statuteRules.getTimeline(state),
       typicalTimeline: {
         consultation: 0,
         investigation: 3,
@@ -14,8 +14,18 @@ import {
   ListToolsRequestSchema,
   McpError,
 } from '@modelcontextprotocol/sdk/types.js';
+import { randomUUID } from 'crypto';
 import { HubSpotInjuryInfoConnector } from './hubspot-connector.js';
 import { GoogleSheetsConnector } from './google-sheets-connector.js';
+import { EstimateError, estimateSettlement, formatEstimateText, validateEstimateInput } from './settlement-estimator.js';
+import { DeadlineError, StatuteRules, formatTimelineText } from './statute-rules.js';
+import { configureLogger, createLogger, runWithLogContext } from './logger.js';
+import { loadConfigOrExit } from './config.js';
+
+// stdout carries the MCP protocol, so logs go to stderr
+configureLogger({ destination: process.stderr });
+const config = loadConfigOrExit();
+const log = createLogger('mcp-hubspot');
 
 class HubSpotInjuryInfoMcpServer {
   constructor() {
@@ -31,16 +41,20 @@ class HubSpotInjuryInfoMcpServer {
       }
     );
 
+    // Statutes of limitations for every state
+    this.statuteRules = new StatuteRules();
+
     // Initialize HubSpot connector
     this.hubspot = new HubSpotInjuryInfoConnector({
-      hubspotApiKey: process.env.HUBSPOT_API_KEY,
-      hubspotPortalId: process.env.HUBSPOT_PORTAL_ID
+      hubspotApiKey: config.hubspot.accessToken,
+      hubspotPortalId: config.hubspot.portalId,
+      statuteRules: this.statuteRules
     });
     
     // Initialize Google Sheets connector
     this.googleSheets = new GoogleSheetsConnector({
-      apiKey: process.env.GOOGLE_API_KEY,
-      spreadsheetId: process.env.GOOGLE_SPREADSHEET_ID
+      apiKey: config.googleSheets.apiKey,
+      spreadsheetId: config.googleSheets.spreadsheetId
     });
     
     this.setupToolHandlers();
@@ -145,6 +159,14 @@ class HubSpotInjuryInfoMcpServer {
                   type: 'string',
                   description: 'Type of injury or condition',
                 },
+                injuryDate: {
+                  type: 'string',
+                  description: 'Optional: Date of injury (or of death, for wrongful death) as YYYY-MM-DD, to compute the filing deadline',
+                },
+                diagnosisDate: {
+                  type: 'string',
+                  description: 'Optional: Date the injury was diagnosed, as YYYY-MM-DD',
+                },
               },
               required: ['state', 'injuryType'],
             },
@@ -287,48 +309,51 @@ class HubSpotInjuryInfoMcpServer {
       };
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        switch (name) {
-          case 'search_diseases':
-            return await this.handleSearchDiseases(args.query, args.category);
-          case 'find_law_firms':
-            return await this.handleFindLawFirms(args.specialty, args.location);
-          case 'manufacturer_negligence':
-            return await this.handleManufacturerNegligence(args.manufacturer, args.product);
-          case 'settlement_calculator':
-            return await this.handleSettlementCalculator(args.condition, args.severity, args.exposureYears, args.state);
-          case 'legal_timeline':
-            return await this.handleLegalTimeline(args.state, args.injuryType);
-          case 'comprehensive_report':
-            return await this.handleComprehensiveReport(args.condition, args.userLocation, args.userEmail, args.userName);
-          case 'track_user_interaction':
-            return await this.handleTrackUserInteraction(args);
-          // Google Sheets tools
-          case 'sync_google_sheets':
-            return await this.handleSyncGoogleSheets(args.sheetName, args.syncType);
-          case 'query_google_sheets':
-            return await this.handleQueryGoogleSheets(args.sheetName, args.query, args.column, args.limit);
-          case 'get_sheet_statistics':
-            return await this.handleGetSheetStatistics(args.sheetName);
-          case 'compare_sheets_hubspot':
-            return await this.handleCompareSheetsHubSpot(args.sheetName, args.hubspotObject);
-          default:
-            throw new McpError(
-              ErrorCode.MethodNotFound,
-              `Tool '${name}' not found`
-            );
+    this.server.setRequestHandler(CallToolRequestSchema, (request) =>
+      // Every log line from this tool call, connector calls included, carries its correlation ID
+      runWithLogContext({ requestId: randomUUID(), tool: request.params.name }, async () => {
+        const { name, arguments: args } = request.params;
+
+        try {
+          switch (name) {
+            case 'search_diseases':
+              return await this.handleSearchDiseases(args.query, args.category);
+            case 'find_law_firms':
+              return await this.handleFindLawFirms(args.specialty, args.location);
+            case 'manufacturer_negligence':
+              return await this.handleManufacturerNegligence(args.manufacturer, args.product);
+            case 'settlement_calculator':
+              return await this.handleSettlementCalculator(args.condition, args.severity, args.exposureYears, args.state);
+            case 'legal_timeline':
+              return await this.handleLegalTimeline(args.state, args.injuryType, args.injuryDate, args.diagnosisDate);
+            case 'comprehensive_report':
+              return await this.handleComprehensiveReport(args.condition, args.userLocation, args.userEmail, args.userName);
+            case 'track_user_interaction':
+              return await this.handleTrackUserInteraction(args);
+            // Google Sheets tools
+            case 'sync_google_sheets':
+              return await this.handleSyncGoogleSheets(args.sheetName, args.syncType);
+            case 'query_google_sheets':
+              return await this.handleQueryGoogleSheets(args.sheetName, args.query, args.column, args.limit);
+            case 'get_sheet_statistics':
+              return await this.handleGetSheetStatistics(args.sheetName);
+            case 'compare_sheets_hubspot':
+              return await this.handleCompareSheetsHubSpot(args.sheetName, args.hubspotObject);
+            default:
+              throw new McpError(
+                ErrorCode.MethodNotFound,
+                `Tool '${name}' not found`
+              );
+          }
+        } catch (error) {
+          log.error('Error handling tool', error);
+          throw new McpError(
+            ErrorCode.InternalError,
+            `Failed to execute tool '${name}': ${error.message}`
+          );
         }
-      } catch (error) {
-        console.error(`Error handling tool '${name}':`, error);
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Failed to execute tool '${name}': ${error.message}`
-        );
-      }
-    });
+      })
+    );
   }
 
   async handleSearchDiseases(query, category) {
@@ -456,40 +481,36 @@ Settlement Range: $${case_.settlementRange?.min?.toLocaleString()} - $${case_.se
     }
   }
 
+  // Use default data while HubSpot is briefly unavailable; a bad token or request still fails the tool
+  fallBackIfTransient(error, what) {
+    if (!error.transient) throw error;
+    log.warn(`HubSpot ${what} unavailable, using defaults`, { error });
+    return null;
+  }
+
   async handleSettlementCalculator(condition, severity = 'moderate', exposureYears = 10, state = null) {
     try {
-      // Get settlement data from HubSpot
-      const settlementData = await this.hubspot.getSettlementData(condition, state);
-      
-      const severityMultipliers = settlementData.severityMultipliers || {
-        'mild': 0.7,
-        'moderate': 1.0,
-        'severe': 1.5,
-        'terminal': 2.0
-      };
+      const input = validateEstimateInput({ condition, severity, exposureYears, state });
 
-      const exposureMultiplier = Math.min(1.5, 1 + (exposureYears - 5) * 0.05);
-      const stateMultiplier = settlementData.stateMultiplier || 1.0;
-      const severityMult = severityMultipliers[severity.toLowerCase()] || 1.0;
-      
-      const adjustedMin = Math.round(settlementData.min * severityMult * exposureMultiplier * stateMultiplier);
-      const adjustedMax = Math.round(settlementData.max * severityMult * exposureMultiplier * stateMultiplier);
+      // HubSpot records carry their own state and severity multipliers; defaults are marked with their source
+      const settlementData = await this.hubspot.getSettlementData(input.condition, input.state)
+        .catch(error => this.fallBackIfTransient(error, 'settlement data'));
+      const estimate = estimateSettlement(input, settlementData
+        ? { source: 'hubspot', ...settlementData }
+        : this.hubspot.getDefaultSettlementRanges(input.condition));
 
       return {
         content: [
           {
             type: 'text',
-            text: `Settlement Estimate for ${condition} (HubSpot Data):\n\n` +
-                  `Condition: ${condition}\n` +
-                  `Severity: ${severity}\n` +
-                  `Exposure Years: ${exposureYears}\n` +
-                  `${state ? `State: ${state}\n` : ''}` +
-                  `\n**Estimated Settlement Range: $${adjustedMin.toLocaleString()} - $${adjustedMax.toLocaleString()}**\n\n` +
-                  `*Calculation based on HubSpot historical data. Actual settlements vary based on many factors including age, income, medical expenses, and specific circumstances.*`,
+            text: formatEstimateText(estimate, 'HubSpot Data'),
           },
         ],
       };
     } catch (error) {
+      if (error instanceof EstimateError) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
       throw new McpError(
         ErrorCode.InternalError,
         `HubSpot settlement calculation failed: ${error.message}`
@@ -497,18 +518,27 @@ Settlement Range: $${case_.settlementRange?.min?.toLocaleString()} - $${case_.se
     }
   }
 
-  async handleLegalTimeline(state, injuryType) {
+  async handleLegalTimeline(state, injuryType, injuryDate = null, diagnosisDate = null) {
     try {
-      const timeline = await this.hubspot.getLegalTimeline(state, injuryType);
-      
+      const statutes = this.statuteRules.getTimeline(state);
+      if (!statutes) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown state: ${state}`);
+      }
+      const deadline = injuryDate
+        ? this.statuteRules.computeDeadline({ state, injuryType, injuryDate, diagnosisDate })
+        : null;
+
+      // HubSpot content supplies the typical case timeline and a source page
+      const timeline = await this.hubspot.getLegalTimeline(state, injuryType)
+        .catch(error => this.fallBackIfTransient(error, 'legal timeline')) ||
+        this.hubspot.getDefaultLegalTimeline(state, injuryType);
+
       return {
         content: [
           {
             type: 'text',
-            text: `Legal Timeline for ${injuryType} in ${state} (HubSpot Data):\n\n` +
-                  `**Statute of Limitations:**\n` +
-                  `• Personal Injury: ${timeline.statuteOfLimitations.personal} years from date of injury\n` +
-                  `• Discovery Rule: ${timeline.statuteOfLimitations.discovery} year(s) from discovery of injury\n\n` +
+            text: `Legal Timeline for ${injuryType} in ${statutes.state.name} (HubSpot Data):\n\n` +
+                  formatTimelineText(statutes, { injuryType, deadline }) + '\n\n' +
                   `**Typical Case Timeline:**\n` +
                   `• Initial Consultation: Immediate\n` +
                   `• Case Investigation: ${timeline.typicalTimeline.investigation} months\n` +
@@ -521,6 +551,12 @@ Settlement Range: $${case_.settlementRange?.min?.toLocaleString()} - $${case_.se
         ],
       };
     } catch (error) {
+      if (error instanceof McpError) {
+        throw error;
+      }
+      if (error instanceof DeadlineError) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
       throw new McpError(
         ErrorCode.InternalError,
         `HubSpot legal timeline lookup failed: ${error.message}`
@@ -535,7 +571,8 @@ Settlement Range: $${case_.settlementRange?.min?.toLocaleString()} - $${case_.se
         this.handleSearchDiseases(condition),
         this.handleFindLawFirms(condition, userLocation),
         this.handleSettlementCalculator(condition, 'moderate', 10, userLocation),
-        userLocation ? this.handleLegalTimeline(userLocation, condition) : null
+        // A location that isn't a state just leaves the timeline out
+        userLocation ? this.handleLegalTimeline(userLocation, condition).catch(() => null) : null
       ]);
 
       // Track this interaction in HubSpot if user details provided
@@ -635,7 +672,7 @@ ${timeline ? `## Legal Timeline\n${timeline.content[0].text}` : ''}
 
   async handleSyncGoogleSheets(sheetName, syncType = 'full') {
     try {
-      console.log(`🔄 Starting Google Sheets sync: ${sheetName} (${syncType})`);
+      log.info('Starting Google Sheets sync', { sheetName, syncType });
       
       const result = await this.googleSheets.syncToHubSpot(sheetName, this.hubspot, syncType);
       
@@ -668,7 +705,7 @@ ${timeline ? `## Legal Timeline\n${timeline.content[0].text}` : ''}
 
   async handleQueryGoogleSheets(sheetName, query, column = null, limit = 10) {
     try {
-      console.log(`🔍 Querying Google Sheets: ${sheetName} for "${query}"`);
+      log.info('Querying Google Sheets', { sheetName, query });
       
       const result = await this.googleSheets.searchSheet(sheetName, query, column, limit);
       
@@ -719,7 +756,7 @@ ${timeline ? `## Legal Timeline\n${timeline.content[0].text}` : ''}
 
   async handleGetSheetStatistics(sheetName) {
     try {
-      console.log(`📊 Getting statistics for Google Sheet: ${sheetName}`);
+      log.info('Getting Google Sheet statistics', { sheetName });
       
       const stats = await this.googleSheets.getSheetStatistics(sheetName);
       
@@ -767,7 +804,7 @@ ${timeline ? `## Legal Timeline\n${timeline.content[0].text}` : ''}
 
   async handleCompareSheetsHubSpot(sheetName, hubspotObject) {
     try {
-      console.log(`🔍 Comparing ${sheetName} with HubSpot ${hubspotObject}`);
+      log.info('Comparing sheet with HubSpot', { sheetName, hubspotObject });
       
       const comparison = await this.googleSheets.compareWithHubSpot(sheetName, this.hubspot, hubspotObject);
       
@@ -813,7 +850,7 @@ ${timeline ? `## Legal Timeline\n${timeline.content[0].text}` : ''}
 
   setupErrorHandling() {
     this.server.onerror = (error) => {
-      console.error('[HubSpot Injury Info MCP Error]', error);
+      log.error('MCP error', error);
     };
 
     process.on('SIGINT', async () => {
@@ -825,13 +862,13 @@ ${timeline ? `## Legal Timeline\n${timeline.content[0].text}` : ''}
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
-    console.error('HubSpot Injury Info MCP Server running on stdio');
+    log.info('HubSpot Injury Info MCP Server running on stdio');
   }
 }
 
 // Start the server
 const server = new HubSpotInjuryInfoMcpServer();
 server.run().catch((error) => {
-  console.error('Failed to start HubSpot Injury Info server:', error);
+  log.error('Failed to start HubSpot Injury Info server', error);
   process.exit(1);
 }); 
\ No newline at end of file
@@ -17,6 +17,11 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import os from 'os';
+import { configureLogger, createLogger } from './logger.js';
+
+// stdout carries the MCP protocol, so logs go to stderr
+configureLogger({ destination: process.stderr });
+const log = createLogger('mcp-files');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -287,7 +292,7 @@ class McpServer {
 
   setupErrorHandling() {
     this.server.onerror = (error) => {
-      console.error('[MCP Error]', error);
+      log.error('MCP error', error);
     };
 
     process.on('SIGINT', async () => {
@@ -299,13 +304,13 @@ class McpServer {
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
-    console.error('MCP Server running on stdio');
+    log.info('MCP Server running on stdio');
   }
 }
 
 // Start the server
 const server = new McpServer();
 server.run().catch((error) => {
-  console.error('Failed to start server:', error);
+  log.error('Failed to start server', error);
   process.exit(1);
 }); 
\ No newline at end of file
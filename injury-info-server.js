@@ -17,6 +17,16 @@ import {
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { defaultBaseRange, estimateSettlement, formatEstimateText, validateEstimateInput } from './settlement-estimator.js';
+import { DeadlineError, StatuteRules, formatTimelineText } from './statute-rules.js';
+import { configureLogger, createLogger } from './logger.js';
+import { loadConfigOrExit } from './config.js';
+
+// stdout carries the MCP protocol, so logs go to stderr
+configureLogger({ destination: process.stderr });
+// Validates settings and applies LOG_LEVEL and LOG_FORMAT
+loadConfigOrExit();
+const log = createLogger('mcp-injury-info');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -38,6 +48,11 @@ class InjuryInfoMcpServer {
     // In a real implementation, you'd connect to your actual database
     // For now, I'll create mock data structures to demonstrate the concept
     this.mockDatabase = this.initializeMockData();
+
+    // Statutes of limitations for every state
+    this.statuteRules = new StatuteRules({
+      file: path.join(__dirname, 'data', 'statutes-of-limitations.json')
+    });
     
     this.setupToolHandlers();
     this.setupErrorHandling();
@@ -175,7 +190,7 @@ class InjuryInfoMcpServer {
                 },
                 severity: {
                   type: 'string',
-                  description: 'Severity level (mild, moderate, severe)',
+                  description: 'Severity level (mild, moderate, severe, terminal)',
                 },
                 exposureYears: {
                   type: 'number',
@@ -199,6 +214,14 @@ class InjuryInfoMcpServer {
                   type: 'string',
                   description: 'Type of injury or condition',
                 },
+                injuryDate: {
+                  type: 'string',
+                  description: 'Optional: Date of injury (or of death, for wrongful death) as YYYY-MM-DD, to compute the filing deadline',
+                },
+                diagnosisDate: {
+                  type: 'string',
+                  description: 'Optional: Date the injury was diagnosed, as YYYY-MM-DD',
+                },
               },
               required: ['state', 'injuryType'],
             },
@@ -243,7 +266,7 @@ class InjuryInfoMcpServer {
             return await this.handleSettlementCalculator(args.condition, args.severity, args.exposureYears);
 
           case 'legal_timeline':
-            return await this.handleLegalTimeline(args.state, args.injuryType);
+            return await this.handleLegalTimeline(args.state, args.injuryType, args.injuryDate, args.diagnosisDate);
 
           case 'comprehensive_report':
             return await this.handleComprehensiveReport(args.condition, args.userLocation);
@@ -393,64 +416,49 @@ Total Settlements: ${case_.totalSettlements}
   }
 
   async handleSettlementCalculator(condition, severity = 'moderate', exposureYears = 10) {
-    // In a real implementation, this would use actual settlement data and algorithms
-    const baseRanges = {
-      'mesothelioma': { min: 1200000, max: 2400000 },
-      'silicosis': { min: 500000, max: 1500000 },
-      'asbestosis': { min: 300000, max: 800000 },
-    };
-
-    const severityMultipliers = {
-      'mild': 0.7,
-      'moderate': 1.0,
-      'severe': 1.5
-    };
-
-    const exposureMultiplier = Math.min(1.5, 1 + (exposureYears - 5) * 0.05);
+    let input;
+    try {
+      input = validateEstimateInput({ condition, severity, exposureYears });
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
 
-    const conditionKey = condition.toLowerCase();
-    const baseRange = baseRanges[conditionKey] || { min: 100000, max: 500000 };
-    
-    const severityMult = severityMultipliers[severity.toLowerCase()] || 1.0;
-    
-    const adjustedMin = Math.round(baseRange.min * severityMult * exposureMultiplier);
-    const adjustedMax = Math.round(baseRange.max * severityMult * exposureMultiplier);
+    const estimate = estimateSettlement(input, defaultBaseRange(input.condition));
 
     return {
       content: [
         {
           type: 'text',
-          text: `Settlement Estimate for ${condition}:\n\n` +
-                `Condition: ${condition}\n` +
-                `Severity: ${severity}\n` +
-                `Exposure Years: ${exposureYears}\n\n` +
-                `**Estimated Settlement Range: $${adjustedMin.toLocaleString()} - $${adjustedMax.toLocaleString()}**\n\n` +
-                `*Note: This is an estimate based on historical data. Actual settlements vary based on many factors including age, income, medical expenses, and specific circumstances.*`,
+          text: formatEstimateText(estimate),
         },
       ],
     };
   }
 
-  async handleLegalTimeline(state, injuryType) {
-    // Mock statute of limitations data
-    const statutes = {
-      'california': { personal: 2, discovery: 1 },
-      'new york': { personal: 3, discovery: 3 },
-      'texas': { personal: 2, discovery: 2 },
-      'florida': { personal: 4, discovery: 2 }
-    };
+  async handleLegalTimeline(state, injuryType, injuryDate = null, diagnosisDate = null) {
+    const timeline = this.statuteRules.getTimeline(state);
+    if (!timeline) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown state: ${state}`);
+    }
 
-    const stateKey = state.toLowerCase();
-    const statute = statutes[stateKey] || { personal: 2, discovery: 1 };
+    let deadline = null;
+    if (injuryDate) {
+      try {
+        deadline = this.statuteRules.computeDeadline({ state, injuryType, injuryDate, diagnosisDate });
+      } catch (error) {
+        if (error instanceof DeadlineError) {
+          throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+        throw error;
+      }
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Legal Timeline for ${injuryType} in ${state}:\n\n` +
-                `**Statute of Limitations:**\n` +
-                `• Personal Injury: ${statute.personal} years from date of injury\n` +
-                `• Discovery Rule: ${statute.discovery} year(s) from discovery of injury\n\n` +
+          text: `Legal Timeline for ${injuryType} in ${timeline.state.name}:\n\n` +
+                formatTimelineText(timeline, { injuryType, deadline }) + '\n\n' +
                 `**Typical Case Timeline:**\n` +
                 `• Initial Consultation: Immediate\n` +
                 `• Case Investigation: 2-6 months\n` +
@@ -490,7 +498,7 @@ Total Settlements: ${case_.totalSettlements}
 
   setupErrorHandling() {
     this.server.onerror = (error) => {
-      console.error('[Injury Info MCP Error]', error);
+      log.error('MCP error', error);
     };
 
     process.on('SIGINT', async () => {
@@ -502,13 +510,13 @@ Total Settlements: ${case_.totalSettlements}
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
-    console.error('Injury Info MCP Server running on stdio');
+    log.info('Injury Info MCP Server running on stdio');
   }
 }
 
 // Start the server
 const server = new InjuryInfoMcpServer();
 server.run().catch((error) => {
-  console.error('Failed to start Injury Info server:', error);
+  log.error('Failed to start Injury Info server', error);
   process.exit(1);
 }); 
\ No newline at end of file
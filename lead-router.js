@@ -0,0 +1,264 @@
+/**
+ * Lead Router
+ * Decides which law firm gets a lead, scoring every firm the data service knows about
+ *
+ *   score = (specialty + state + language points) × firm priority weight
+ *
+ * Firms that don't handle the condition, aren't licensed in the lead's state or have
+ * reached their daily cap are left out. Every decision lists the reasons for each score,
+ * and assignments are appended to a JSON Lines file that the daily caps are counted from.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { SERVER_AI_CONFIG } from './server-ai-config.js';
+import { matchesAnyTerm, normalizeTerm } from './synonym-dictionary.js';
+import { LeadError } from './lead-service.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('lead-router');
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Append-only record of lead assignments, with per-day counts for each firm in memory
+ */
+export class AssignmentLedger {
+    constructor(config = {}) {
+        this.file = path.resolve(config.file || SERVER_AI_CONFIG.leads.routing.assignmentsFile);
+
+        // day -> Map(firmId -> assignments)
+        this.days = new Map();
+        this.ready = this.load();
+    }
+
+    async load() {
+        let stream;
+        try {
+            await fs.promises.access(this.file);
+            stream = fs.createReadStream(this.file, 'utf8');
+        } catch (error) {
+            return;
+        }
+
+        let count = 0;
+        for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+            if (!line.trim()) continue;
+            try {
+                this.count(JSON.parse(line));
+                count++;
+            } catch (error) {
+                log.warn('Skipping unreadable lead assignment line', error);
+            }
+        }
+        log.info('Loaded lead assignments', { count });
+    }
+
+    count(assignment) {
+        const day = assignment.assignedAt.slice(0, 10);
+        if (!this.days.has(day)) this.days.set(day, new Map());
+
+        const firms = this.days.get(day);
+        firms.set(assignment.firmId, (firms.get(assignment.firmId) || 0) + 1);
+    }
+
+    async record(assignment) {
+        await this.ready;
+        this.count(assignment);
+
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.appendFile(this.file, JSON.stringify(assignment) + '\n');
+    }
+
+    /**
+     * Leads assigned to each firm today (UTC)
+     * @returns {Promise<Map<string, number>>}
+     */
+    async countsForToday() {
+        await this.ready;
+        return new Map(this.days.get(today()) || []);
+    }
+}
+
+export class LeadRouter {
+    constructor(config = {}) {
+        const defaults = SERVER_AI_CONFIG.leads.routing;
+
+        this.dataService = config.dataService; // DataIntegrationService supplying the merged law-firm list
+        this.synonyms = config.synonyms || this.dataService.synonyms;
+        this.statuteRules = config.statuteRules || this.dataService.statuteRules;
+        this.ledger = config.ledger || new AssignmentLedger({ file: config.assignmentsFile });
+        this.weights = { ...defaults.weights, ...(config.weights || {}) };
+        this.generalPractices = (config.generalPractices || defaults.generalPractices).map(normalizeTerm);
+        this.defaultLanguage = config.defaultLanguage || defaults.defaultLanguage;
+    }
+
+    /**
+     * Check a hypothetical lead for a routing preview
+     * @returns {{condition: string|null, state: string|null, language: string|null}}
+     */
+    validatePreview(input = {}) {
+        const lead = {};
+        for (const [field, maxLength] of [['condition', 100], ['state', 50], ['language', 30]]) {
+            const value = input[field];
+            if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > maxLength)) {
+                throw new LeadError(`${field} must be text of at most ${maxLength} characters`);
+            }
+            lead[field] = value?.trim() || null;
+        }
+
+        if (lead.state) {
+            const rule = this.statuteRules.find(lead.state);
+            if (!rule) {
+                throw new LeadError(`Unknown state: ${lead.state}`);
+            }
+            lead.state = rule.code;
+        }
+        return lead;
+    }
+
+    /**
+     * States a firm takes cases from, as codes, and whether it takes them from everywhere
+     */
+    firmStates(firm) {
+        const listed = firm.states?.length > 0 ? firm.states : String(firm.location || '').split(',');
+        const nationwide = /nationwide/i.test(firm.location || '') ||
+            listed.some(state => /^(all|nationwide)$/i.test(String(state).trim()));
+        const codes = new Set(listed.map(state => this.statuteRules.find(state)?.code).filter(Boolean));
+        return { nationwide, codes };
+    }
+
+    /**
+     * Score one firm for a lead
+     * @returns {{firmId, firmName, source, eligible, score, reasons: string[], assignedToday, dailyCap}}
+     */
+    scoreFirm(firm, lead, assignedToday = 0) {
+        const reasons = [];
+        let eligible = true;
+        let points = 0;
+
+        if (lead.condition) {
+            const terms = this.synonyms.expand(lead.condition);
+            const specialties = firm.specialties || [];
+            const general = specialties.find(specialty => this.generalPractices.includes(normalizeTerm(specialty)));
+
+            if (specialties.some(specialty => matchesAnyTerm(specialty, terms))) {
+                points += this.weights.specialty;
+                reasons.push(`Handles ${lead.condition} (+${this.weights.specialty})`);
+            } else if (general) {
+                points += this.weights.generalPractice;
+                reasons.push(`Handles ${general} cases (+${this.weights.generalPractice})`);
+            } else {
+                eligible = false;
+                reasons.push(`Does not handle ${lead.condition}`);
+            }
+        }
+
+        if (lead.state) {
+            const { nationwide, codes } = this.firmStates(firm);
+            if (codes.has(lead.state)) {
+                points += this.weights.state;
+                reasons.push(`Licensed in ${lead.state} (+${this.weights.state})`);
+            } else if (nationwide) {
+                points += this.weights.nationwide;
+                reasons.push(`Takes cases nationwide (+${this.weights.nationwide})`);
+            } else if (codes.size === 0) {
+                reasons.push('No licensed states on file');
+            } else {
+                eligible = false;
+                reasons.push(`Not licensed in ${lead.state}`);
+            }
+        }
+
+        const language = lead.language || this.defaultLanguage;
+        const languages = firm.languages?.length > 0 ? firm.languages : [this.defaultLanguage];
+        if (languages.some(spoken => normalizeTerm(spoken) === normalizeTerm(language))) {
+            points += this.weights.language;
+            reasons.push(`Speaks ${language} (+${this.weights.language})`);
+        } else {
+            reasons.push(`Does not list ${language}`);
+        }
+
+        const dailyCap = firm.dailyCap || null;
+        if (dailyCap) {
+            if (assignedToday >= dailyCap) {
+                eligible = false;
+                reasons.push(`Reached its daily cap of ${dailyCap} leads`);
+            } else {
+                reasons.push(`${assignedToday} of ${dailyCap} leads assigned today`);
+            }
+        }
+
+        const priority = firm.priority || 1;
+        if (priority !== 1) {
+            reasons.push(`Priority weight ×${priority}`);
+        }
+
+        return {
+            firmId: firm.id,
+            firmName: firm.name,
+            source: firm.source,
+            eligible,
+            score: eligible ? Number((points * priority).toFixed(2)) : 0,
+            reasons,
+            assignedToday,
+            dailyCap
+        };
+    }
+
+    /**
+     * Score every firm and pick the best eligible one, without recording anything
+     * @param {object} lead - condition, state (code) and language, all optional
+     * @returns {{lead, assigned: object|null, candidates: object[], decidedAt: string}}
+     */
+    async decide(lead) {
+        const [firms, counts] = await Promise.all([
+            this.dataService.getLawFirms(),
+            this.ledger.countsForToday()
+        ]);
+
+        // A firm listed by several sources is scored once
+        const seen = new Set();
+        const candidates = firms
+            .filter(firm => {
+                const key = normalizeTerm(firm.name);
+                if (!key || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .map(firm => this.scoreFirm(firm, lead, counts.get(firm.id) || 0))
+            .sort((a, b) => (b.eligible - a.eligible) ||
+                (b.score - a.score) ||
+                (a.assignedToday - b.assignedToday) ||
+                a.firmName.localeCompare(b.firmName));
+
+        return {
+            lead: { condition: lead.condition || null, state: lead.state || null, language: lead.language || null },
+            assigned: candidates.find(candidate => candidate.eligible) || null,
+            candidates,
+            decidedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Route a saved lead and record the assignment
+     * @returns {Promise<object|null>} The assignment, or null when no firm is eligible
+     */
+    async assign(lead) {
+        const decision = await this.decide(lead);
+        if (!decision.assigned) {
+            log.warn('No law firm is eligible for lead', { leadId: lead.id });
+            return null;
+        }
+
+        const { firmId, firmName, score, reasons } = decision.assigned;
+        const assignment = { leadId: lead.id, firmId, firmName, score, reasons, assignedAt: decision.decidedAt };
+        await this.ledger.record(assignment);
+
+        log.info('Lead assigned', { leadId: lead.id, firmName, score });
+        return assignment;
+    }
+}
@@ -0,0 +1,348 @@
+/**
+ * Lead Service
+ * Validates leads from the intake form, keeps them in the lead store and forwards them to HubSpot
+ *
+ * A lead is saved locally before HubSpot is contacted. Leads HubSpot could not take stay
+ * pending and are retried with exponential backoff, so an outage never loses a lead.
+ *
+ * A resubmission with the same email or phone is merged into the earlier lead only if no
+ * field both of them filled in differs. Otherwise it is kept as a separate lead, flagged with
+ * conflictsWith and held back from HubSpot, where it would overwrite the other person's contact.
+ */
+
+import { randomUUID } from 'crypto';
+import { SERVER_AI_CONFIG } from './server-ai-config.js';
+import { FileLeadStore } from './lead-store.js';
+import { createLogger } from './logger.js';
+import { RequestError } from './http-client.js';
+
+const log = createLogger('leads');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Form fields compared when deciding whether a resubmission is the same person
+const MATCH_FIELDS = ['name', 'email', 'phone', 'state', 'condition', 'diagnosisDate', 'language'];
+
+/**
+ * Raised for lead input that can't be used, answered with a 400
+ */
+export class LeadError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LeadError';
+        this.status = 400;
+    }
+}
+
+function optionalString(value, name, maxLength) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string' || value.trim().length > maxLength) {
+        throw new LeadError(`${name} must be text of at most ${maxLength} characters`);
+    }
+    return value.trim() || null;
+}
+
+/**
+ * Whether new form fields can be merged into an earlier lead: every field they both have is the same
+ */
+export function canMerge(lead, fields) {
+    return MATCH_FIELDS.every(field => {
+        const before = lead[field];
+        const after = fields[field];
+        if (before == null || after == null) return true;
+        return field === 'name' ? before.toLowerCase() === after.toLowerCase() : before === after;
+    });
+}
+
+/**
+ * Phone numbers in E.164 form; ten digits are taken as a US number
+ */
+export function normalizePhone(phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    if (digits.length === 10) return `+1${digits}`;
+    if (digits.length >= 11 && digits.length <= 15) return `+${digits}`;
+    return null;
+}
+
+export class LeadService {
+    constructor(config = {}) {
+        const defaults = SERVER_AI_CONFIG.leads;
+
+        this.store = config.store || new FileLeadStore({ file: config.file || defaults.file });
+        this.hubspot = config.hubspot || null; // HubSpotInjuryInfoConnector the leads are forwarded to
+        this.health = config.health || null; // ConnectorHealth that HubSpot calls are recorded in
+        this.breaker = config.breaker || null; // CircuitBreaker HubSpot calls go through
+        this.statuteRules = config.statuteRules; // StatuteRules used to check the state
+        this.router = config.router || null; // LeadRouter that assigns new leads to a law firm
+        this.requiredConsents = config.requiredConsents || defaults.requiredConsents;
+        this.optionalConsents = config.optionalConsents || defaults.optionalConsents;
+        this.retryBaseDelay = config.retryBaseDelay || defaults.retryBaseDelay;
+        this.retryMaxDelay = config.retryMaxDelay || defaults.retryMaxDelay;
+
+        // Lead IDs with a HubSpot request in flight
+        this.syncing = new Set();
+
+        if (!this.isHubSpotConfigured()) {
+            log.warn('HubSpot is not configured; leads will be held locally until it is');
+        }
+
+        const retryInterval = config.retryInterval || defaults.retryInterval;
+        this.retryTimer = setInterval(() => this.retryPending(), retryInterval);
+        this.retryTimer.unref();
+    }
+
+    isHubSpotConfigured() {
+        return Boolean(this.hubspot?.hubspotApiKey);
+    }
+
+    /**
+     * Check and normalize form input
+     * @returns {{name, email, phone, state, condition, diagnosisDate, language, consents}}
+     */
+    validate(input = {}) {
+        const name = optionalString(input.name, 'name', 100);
+        if (!name) {
+            throw new LeadError('name is required');
+        }
+
+        const email = optionalString(input.email, 'email', 254)?.toLowerCase() || null;
+        if (email && !EMAIL_PATTERN.test(email)) {
+            throw new LeadError('email is not a valid email address');
+        }
+
+        const rawPhone = optionalString(input.phone, 'phone', 30);
+        const phone = rawPhone ? normalizePhone(rawPhone) : null;
+        if (rawPhone && !phone) {
+            throw new LeadError('phone must be a phone number of 10 to 15 digits');
+        }
+        if (!email && !phone) {
+            throw new LeadError('email or phone is required');
+        }
+
+        const rawState = optionalString(input.state, 'state', 50);
+        const state = rawState ? this.statuteRules.find(rawState)?.code : null;
+        if (rawState && !state) {
+            throw new LeadError(`Unknown state: ${rawState}`);
+        }
+
+        const diagnosisDate = optionalString(input.diagnosisDate, 'diagnosisDate', 10);
+        if (diagnosisDate) {
+            const date = new Date(`${diagnosisDate}T00:00:00Z`);
+            if (!DATE_PATTERN.test(diagnosisDate) || Number.isNaN(date.getTime()) ||
+                date.toISOString().slice(0, 10) !== diagnosisDate) {
+                throw new LeadError('diagnosisDate must be a date in YYYY-MM-DD format');
+            }
+            if (date > new Date()) {
+                throw new LeadError('diagnosisDate cannot be in the future');
+            }
+        }
+
+        return {
+            name,
+            email,
+            phone,
+            state,
+            condition: optionalString(input.condition, 'condition', 100),
+            diagnosisDate,
+            language: optionalString(input.language, 'language', 30),
+            consents: this.validateConsents(input.consent)
+        };
+    }
+
+    /**
+     * Consent checkboxes, each recorded with the time the server received it
+     */
+    validateConsents(consent) {
+        if (!consent || typeof consent !== 'object' || Array.isArray(consent)) {
+            throw new LeadError(`consent is required: ${this.requiredConsents.join(', ')}`);
+        }
+
+        const missing = this.requiredConsents.filter(key => consent[key] !== true);
+        if (missing.length > 0) {
+            throw new LeadError(`consent is required: ${missing.join(', ')}`);
+        }
+
+        const at = new Date().toISOString();
+        const consents = {};
+        for (const key of [...this.requiredConsents, ...this.optionalConsents]) {
+            consents[key] = { granted: consent[key] === true, at };
+        }
+        return consents;
+    }
+
+    /**
+     * Save a lead, merging it into an earlier lead with the same email or phone when nothing
+     * conflicts, and start forwarding it to HubSpot
+     * @param {object} input - Form fields
+     * @param {object} source - page, ip and userAgent the form was sent from
+     * @returns {{lead: object, duplicate: boolean}}
+     */
+    async submit(input, source = {}) {
+        const fields = this.validate(input);
+
+        // Matching and saving are one step in the store, routing included
+        const lead = await this.store.saveWithMatches(fields, matches => this.buildLead(fields, matches, source));
+        const duplicate = lead.submissions > 1;
+
+        if (lead.conflictsWith.length > 0) {
+            log.warn('Lead conflicts with earlier leads, holding it for review', {
+                leadId: lead.id,
+                conflictsWith: lead.conflictsWith
+            });
+        } else {
+            log.info(duplicate ? 'Updated lead' : 'Saved lead', { leadId: lead.id });
+            // Answer the form right away; the retry loop picks up anything this misses
+            this.syncLead(lead).catch(error => log.error('Error syncing lead', { leadId: lead.id, error }));
+        }
+
+        return { lead, duplicate };
+    }
+
+    /**
+     * The lead to save for a submission, given the earlier leads with the same email or phone
+     */
+    async buildLead(fields, matches, source) {
+        const now = new Date().toISOString();
+        const existing = matches.find(match => canMerge(match, fields)) || null;
+
+        let lead;
+        if (existing) {
+            // A field left blank doesn't erase an earlier one
+            lead = {
+                ...existing,
+                ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null)),
+                consents: { ...existing.consents, ...fields.consents },
+                conflictsWith: existing.conflictsWith || [],
+                submissions: existing.submissions + 1,
+                updatedAt: now
+            };
+        } else {
+            lead = {
+                id: randomUUID(),
+                ...fields,
+                assignment: null,
+                conflictsWith: matches.map(match => match.id),
+                submissions: 1,
+                createdAt: now,
+                updatedAt: now
+            };
+        }
+
+        // A resubmitted lead stays with the firm it was given
+        if (!lead.assignment && this.router) {
+            try {
+                lead.assignment = await this.router.assign(lead);
+            } catch (error) {
+                // The lead is kept either way; it can be routed by hand
+                log.error('Error routing lead', { leadId: lead.id, error });
+            }
+        }
+
+        lead.source = {
+            page: optionalString(source.page, 'page', 200) || existing?.source.page || null,
+            ip: source.ip || null,
+            userAgent: source.userAgent?.slice(0, 300) || null
+        };
+
+        const held = lead.conflictsWith.length > 0;
+        lead.hubspot = {
+            // HubSpot matches contacts by email and phone, so a conflicting lead waits for someone to check it
+            status: held ? 'held' : 'pending',
+            contactId: existing?.hubspot.contactId || null,
+            attempts: 0,
+            nextAttemptAt: held ? null : Date.now(),
+            lastError: null,
+            syncedAt: existing?.hubspot.syncedAt || null
+        };
+
+        return lead;
+    }
+
+    /**
+     * HubSpot contact properties for a lead
+     */
+    toContactProperties(lead) {
+        const [firstname, ...rest] = lead.name.split(/\s+/);
+        return {
+            email: lead.email,
+            phone: lead.phone,
+            firstname,
+            lastname: rest.join(' '),
+            state: lead.state,
+            injury_condition_searched: lead.condition,
+            diagnosis_date: lead.diagnosisDate,
+            contact_consent_at: lead.consents.contact?.granted ? lead.consents.contact.at : null,
+            privacy_consent_at: lead.consents.privacy?.granted ? lead.consents.privacy.at : null,
+            sms_consent: lead.consents.sms?.granted ?? false,
+            assigned_law_firm: lead.assignment?.firmName,
+            lead_source: 'Website Lead Form',
+            last_interaction_date: lead.updatedAt
+        };
+    }
+
+    /**
+     * Upsert one lead into HubSpot, scheduling a retry if that fails
+     */
+    async syncLead(lead) {
+        if (!this.isHubSpotConfigured() || this.syncing.has(lead.id)) return;
+        this.syncing.add(lead.id);
+
+        try {
+            const upsert = signal => this.hubspot.upsertContact(this.toContactProperties(lead), lead.hubspot.contactId, { signal });
+            const tracked = signal => this.health ? this.health.track('hubspot', () => upsert(signal)) : upsert(signal);
+            // An open circuit fails fast with a 503, which leaves the lead pending for the next retry
+            const contactId = await (this.breaker ? this.breaker.execute(tracked) : tracked());
+            lead.hubspot = {
+                ...lead.hubspot,
+                status: 'synced',
+                contactId,
+                attempts: lead.hubspot.attempts + 1,
+                nextAttemptAt: null,
+                lastError: null,
+                syncedAt: new Date().toISOString()
+            };
+            log.info('Lead sent to HubSpot', { leadId: lead.id, contactId });
+        } catch (error) {
+            const attempts = lead.hubspot.attempts + 1;
+            // HubSpot refusing the lead itself won't change on a retry; outages, rate limits
+            // and a bad access token (AuthError, fixed by updating the token) will
+            const permanent = error instanceof RequestError;
+            const delay = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** (attempts - 1));
+
+            lead.hubspot = {
+                ...lead.hubspot,
+                status: permanent ? 'failed' : 'pending',
+                attempts,
+                nextAttemptAt: permanent ? null : Date.now() + delay,
+                lastError: error.message
+            };
+            log.warn('Lead not sent to HubSpot', { leadId: lead.id, attempts, error });
+        } finally {
+            this.syncing.delete(lead.id);
+        }
+
+        // The lead may have been resubmitted meanwhile; that newer copy wins
+        const current = await this.store.get(lead.id);
+        if (current && current.updatedAt === lead.updatedAt) {
+            await this.store.save(lead);
+        }
+    }
+
+    /**
+     * Send every lead whose retry is due
+     */
+    async retryPending() {
+        if (!this.isHubSpotConfigured()) return;
+
+        try {
+            const due = await this.store.listDueForSync();
+            for (const lead of due) {
+                await this.syncLead(lead);
+            }
+        } catch (error) {
+            log.error('Error retrying leads', error);
+        }
+    }
+}
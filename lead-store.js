@@ -0,0 +1,113 @@
+/**
+ * Lead Store
+ * Durable storage for leads from the intake form, kept in memory and written to a JSON file
+ *
+ * Submissions are matched to earlier leads by email or phone; the lead service decides whether
+ * a match is the same person. Every write replaces the whole file through a temporary file,
+ * one write at a time.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('lead-store');
+
+export class FileLeadStore {
+    constructor(config = {}) {
+        this.file = path.resolve(config.file || 'storage/leads.json');
+        this.leads = new Map();
+        this.writing = Promise.resolve();
+        this.submitting = Promise.resolve();
+        this.ready = this.load();
+        // Failures surface on the first read or write
+        this.ready.catch(() => {});
+    }
+
+    async load() {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            // Refuse to start over an unreadable file rather than overwrite the leads in it
+            log.error('Could not read lead store', { file: this.file, error });
+            throw error;
+        }
+
+        for (const lead of data.leads || []) {
+            this.leads.set(lead.id, lead);
+        }
+        log.info('Loaded leads', { count: this.leads.size });
+    }
+
+    async get(id) {
+        await this.ready;
+        const lead = this.leads.get(id);
+        return lead ? structuredClone(lead) : null;
+    }
+
+    /**
+     * Find the leads with the same email or phone number and save the lead `build` makes of them,
+     * as one step: submissions are taken one at a time, so two identical ones can't both miss
+     * each other and create two leads
+     * @param {function(object[]): Promise<object>} build - Given copies of the matching leads, returns the lead to save
+     * @returns {Promise<object>} The saved lead
+     */
+    async saveWithMatches({ email = null, phone = null }, build) {
+        await this.ready;
+
+        const step = this.submitting.then(async () => {
+            const matches = [...this.leads.values()]
+                .filter(lead => (email && lead.email === email) || (phone && lead.phone === phone))
+                .map(lead => structuredClone(lead));
+
+            const lead = await build(matches);
+            this.leads.set(lead.id, structuredClone(lead));
+            await this.persist();
+            return lead;
+        });
+        this.submitting = step.catch(() => {});
+        return step;
+    }
+
+    async save(lead) {
+        await this.ready;
+        this.leads.set(lead.id, structuredClone(lead));
+        await this.persist();
+    }
+
+    /**
+     * Leads whose HubSpot sync is pending and due by `now`, oldest first
+     */
+    async listDueForSync(now = Date.now()) {
+        await this.ready;
+        return [...this.leads.values()]
+            .filter(lead => lead.hubspot.status === 'pending' && lead.hubspot.nextAttemptAt <= now)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(lead => structuredClone(lead));
+    }
+
+    /**
+     * Number of leads in each HubSpot sync status
+     */
+    async countBySyncStatus() {
+        await this.ready;
+        const counts = { pending: 0, synced: 0, failed: 0, held: 0 };
+        for (const lead of this.leads.values()) {
+            counts[lead.hubspot.status] = (counts[lead.hubspot.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    persist() {
+        // Chain writes so two saves never race on the temporary file
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            const temp = `${this.file}.${process.pid}.tmp`;
+            await fs.writeFile(temp, JSON.stringify({ leads: [...this.leads.values()] }, null, 2));
+            await fs.rename(temp, this.file);
+        });
+        return this.writing;
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * LLM Providers
+ * Every chat path talks to the model through one of these instead of constructing OpenAI directly
+ *
+ * Every provider implements the same async interface:
+ *   createChatCompletion(request, { signal })  -> { content, usage, model }
+ *   streamChatCompletion(request, { signal })  -> async iterable of { content, usage }
+ *                                                 (usage is only set on the last chunk)
+ *   ping({ signal })                           -> resolves if the model server can be reached
+ *   modelFor(request)                          -> name of the model that answers `request`, for usage
+ *                                                 accounting when the response doesn't say
+ *
+ * `request` is the body built by createOpenAIRequest. Errors carry an HTTP `status`
+ * where there is one, so getServerErrorMessage works for every provider.
+ */
+
+import fs from 'fs';
+import OpenAI from 'openai';
+import { SERVER_AI_CONFIG, estimateTokens } from './server-ai-config.js';
+import { getConfig } from './config.js';
+
+/**
+ * OpenAI's hosted API
+ */
+export class OpenAIProvider {
+    constructor(config = {}) {
+        this.name = 'openai';
+        this.apiKey = config.apiKey || null;
+        this.baseURL = config.baseURL || null;
+        this.openai = null;
+    }
+
+    // Created on first use, so the server still starts without a key and reports OpenAI as
+    // not configured; each request then fails until a key is set
+    get client() {
+        if (!this.openai) {
+            if (!this.apiKey) {
+                const error = new Error('OPENAI_API_KEY is not set');
+                error.status = 503;
+                throw error;
+            }
+            this.openai = new OpenAI({
+                apiKey: this.apiKey,
+                ...(this.baseURL && { baseURL: this.baseURL })
+            });
+        }
+        return this.openai;
+    }
+
+    // Hook for providers that serve the request under a different model name
+    prepareRequest(request) {
+        return request;
+    }
+
+    modelFor(request) {
+        return this.prepareRequest(request).model;
+    }
+
+    async createChatCompletion(request, { signal } = {}) {
+        const completion = await this.client.chat.completions.create(this.prepareRequest(request), { signal });
+
+        return {
+            content: completion.choices[0].message.content,
+            usage: completion.usage || null,
+            model: completion.model || this.modelFor(request)
+        };
+    }
+
+    // Listing models costs no tokens
+    async ping({ signal } = {}) {
+        await this.client.models.list({ signal });
+    }
+
+    async streamChatCompletion(request, { signal } = {}) {
+        // Awaited here so connection and auth errors surface before anything is streamed
+        const stream = await this.client.chat.completions.create(
+            { ...this.prepareRequest(request), stream: true, stream_options: { include_usage: true } },
+            { signal }
+        );
+
+        return (async function* () {
+            for await (const chunk of stream) {
+                const content = chunk.choices[0]?.delta?.content || '';
+                if (content || chunk.usage) {
+                    yield { content, usage: chunk.usage || null };
+                }
+            }
+        })();
+    }
+}
+
+/**
+ * Any server that speaks the OpenAI chat completions API, such as a local inference server.
+ * `model` replaces the requested model, since local servers rarely serve OpenAI's model names.
+ */
+export class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor(config = {}) {
+        if (!config.baseURL) {
+            throw new Error('The openai-compatible provider needs a baseURL');
+        }
+
+        // Most local servers ignore the key, but the client library requires one
+        super({ ...config, apiKey: config.apiKey || 'not-needed' });
+        this.name = 'openai-compatible';
+        this.model = config.model || null;
+    }
+
+    prepareRequest(request) {
+        return this.model ? { ...request, model: this.model } : request;
+    }
+}
+
+/**
+ * Deterministic offline provider for development and tests.
+ * Replies come from scripted responses, matched in order against the last user message:
+ *   { "match": "roundup", "content": "Roundup has been linked to ..." }
+ *   { "match": "overloaded", "status": 429, "error": "Rate limit reached" }
+ * A response without `match` always matches. With no match the user's message is echoed back.
+ * Usage numbers are estimated from the text so token accounting can be exercised; the model is
+ * reported as `mock`, which SERVER_AI_CONFIG.usage.prices charges nothing for.
+ */
+export class MockProvider {
+    constructor(config = {}) {
+        this.name = 'mock';
+        this.responses = config.responsesFile
+            ? JSON.parse(fs.readFileSync(config.responsesFile, 'utf8'))
+            : (config.responses || []);
+    }
+
+    async createChatCompletion(request, { signal } = {}) {
+        signal?.throwIfAborted();
+        const content = this.reply(request);
+
+        return {
+            content,
+            usage: this.usage(request, content),
+            model: this.modelFor(request)
+        };
+    }
+
+    modelFor() {
+        return 'mock';
+    }
+
+    async streamChatCompletion(request, { signal } = {}) {
+        const content = this.reply(request);
+        const usage = this.usage(request, content);
+
+        return (async function* () {
+            // Split after whitespace so the chunks join back into the exact reply
+            const pieces = content.match(/\S+\s*|\s+/g) || [];
+            for (let i = 0; i < pieces.length; i++) {
+                signal?.throwIfAborted();
+                yield { content: pieces[i], usage: i === pieces.length - 1 ? usage : null };
+            }
+            if (pieces.length === 0) {
+                yield { content: '', usage };
+            }
+        })();
+    }
+
+    async ping() {}
+
+    reply(request) {
+        const lastUserMessage = [...request.messages].reverse().find(message => message.role === 'user');
+        const text = lastUserMessage?.content || '';
+
+        const scripted = this.responses.find(response =>
+            !response.match || new RegExp(response.match, 'i').test(text)
+        );
+
+        if (scripted?.status) {
+            const error = new Error(scripted.error || `Mock provider error ${scripted.status}`);
+            error.status = scripted.status;
+            throw error;
+        }
+
+        return scripted ? scripted.content : `Mock response to: ${text}`;
+    }
+
+    usage(request, content) {
+        const promptTokens = request.messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+        const completionTokens = estimateTokens(content);
+
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+    }
+}
+
+/**
+ * Create an LLM provider by name ('openai', 'openai-compatible' or 'mock')
+ */
+export function createLLMProvider(type = 'openai', config = {}) {
+    switch (type) {
+        case 'openai':
+            return new OpenAIProvider(config);
+        case 'openai-compatible':
+            return new OpenAICompatibleProvider(config);
+        case 'mock':
+            return new MockProvider(config);
+        default:
+            throw new Error(`Unknown LLM provider: ${type}`);
+    }
+}
+
+/**
+ * Create the provider selected by the `llm` section of the configuration (LLM_* variables,
+ * defaulting to SERVER_AI_CONFIG.provider), see config.js
+ */
+export function createConfiguredLLMProvider(llm = getConfig().llm) {
+    return createLLMProvider(llm.provider, {
+        apiKey: llm.apiKey,
+        baseURL: llm.baseURL,
+        model: llm.model,
+        responses: SERVER_AI_CONFIG.provider.mockResponses,
+        responsesFile: llm.mockResponsesFile
+    });
+}
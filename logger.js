@@ -0,0 +1,161 @@
+/**
+ * Logger
+ * Structured logging for the servers, connectors and services
+ *
+ * Each line is one JSON object: time, level, component, msg, the request's correlation ID
+ * when there is one, and any fields passed in. LOG_FORMAT=pretty prints readable lines for
+ * local development instead (the default when writing to a terminal), and LOG_LEVEL sets the
+ * lowest level written (debug, info, warn or error; info by default).
+ *
+ * Secrets never reach the log: fields named like keys, tokens or passwords are replaced, and
+ * API keys from the environment, bearer tokens, key= query parameters, email addresses and
+ * phone numbers are masked wherever they appear in messages, fields and error stacks.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const PRETTY_LEVELS = { debug: '🔍 DEBUG', info: 'ℹ️  INFO ', warn: '⚠️  WARN ', error: '❌ ERROR' };
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are secrets; a bare "key" is not one (cache keys are logged on purpose)
+const SECRET_FIELD = /^(authorization|cookie|password|secret|token)$|(api|access|refresh|admin|private|secret|client)[-_]?(key|token)$|(password|secret)$/i;
+
+// Environment variables holding credentials, masked wherever their values appear
+const SECRET_ENV = [
+    'OPENAI_API_KEY', 'LLM_API_KEY', 'HUBSPOT_ACCESS_TOKEN', 'HUBSPOT_API_KEY',
+    'GOOGLE_API_KEY', 'ADMIN_API_KEY'
+];
+
+const PATTERNS = [
+    [/\bBearer\s+[\w.~+/=-]+/gi, `Bearer ${REDACTED}`],
+    [/([?&](?:key|api_key|apikey|token|access_token|hapikey)=)[^&\s"']+/gi, `$1${REDACTED}`],
+    [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]'],
+    // North American and E.164 numbers, not dates, times or IDs
+    [/(?<![\w.:/-])(\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?![\w:-])/g, '[phone]']
+];
+
+// Correlation context of the request being handled, e.g. { requestId }
+const context = new AsyncLocalStorage();
+
+const settings = {
+    level: LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info,
+    format: process.env.LOG_FORMAT || null, // json or pretty; null picks by whether the output is a terminal
+    destination: null // stream lines go to; stdout, or stderr for warnings and errors, when null
+};
+
+/**
+ * Change where and how logs are written
+ * The MCP servers send everything to stderr, since stdout carries the protocol
+ * @param {object} options - level, format ('json' or 'pretty') and destination (a writable stream)
+ */
+export function configureLogger({ level, format, destination } = {}) {
+    if (level) settings.level = LEVELS[level] ?? settings.level;
+    if (format) settings.format = format;
+    if (destination) settings.destination = destination;
+}
+
+/**
+ * Mask secrets and personal data in a string
+ */
+export function redactText(text) {
+    let result = String(text);
+    for (const name of SECRET_ENV) {
+        const value = process.env[name];
+        if (value && value.length >= 8) {
+            result = result.split(value).join(REDACTED);
+        }
+    }
+    for (const [pattern, replacement] of PATTERNS) {
+        result = result.replace(pattern, replacement);
+    }
+    return result;
+}
+
+/**
+ * A copy of a value that is safe to log
+ */
+export function redact(value, depth = 0) {
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactText(value.message),
+            ...(value.status && { status: value.status }),
+            ...(value.code && { code: value.code }),
+            ...(value.stack && { stack: redactText(value.stack) })
+        };
+    }
+    if (typeof value === 'string') return redactText(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= 5) return '[Object]';
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, SECRET_FIELD.test(key) && item ? REDACTED : redact(item, depth + 1)]));
+}
+
+/**
+ * Run `fn` with fields (such as the request's correlation ID) attached to every log line it causes,
+ * including lines from connector calls it makes
+ */
+export function runWithLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export function getLogContext() {
+    return context.getStore() || {};
+}
+
+function prettyLine(entry) {
+    const { time, level, component, msg, requestId, ...fields } = entry;
+    const { error, ...rest } = fields;
+    const details = Object.entries(rest)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+
+    return [
+        time.slice(11, 23),
+        PRETTY_LEVELS[level],
+        component ? `[${component}]` : null,
+        msg,
+        details || null,
+        requestId ? `(${requestId})` : null
+    ].filter(Boolean).join(' ') + (error ? `\n${error.stack || `${error.name}: ${error.message}`}` : '') + '\n';
+}
+
+function write(level, bindings, msg, fields) {
+    if (LEVELS[level] < settings.level) return;
+
+    // An Error passed instead of fields is logged as `error`
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        ...bindings,
+        msg: redactText(msg),
+        ...redact({ ...getLogContext(), ...extra })
+    };
+
+    const stream = settings.destination || (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout);
+    const pretty = settings.format ? settings.format === 'pretty' : Boolean(stream.isTTY);
+    stream.write(pretty ? prettyLine(entry) : `${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * A logger for one component, e.g. createLogger('hubspot')
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ *          Each level takes a message and optional fields, or an Error
+ */
+export function createLogger(component, bindings = {}) {
+    const base = { component, ...bindings };
+    return {
+        debug: (msg, fields) => write('debug', base, msg, fields),
+        info: (msg, fields) => write('info', base, msg, fields),
+        warn: (msg, fields) => write('warn', base, msg, fields),
+        error: (msg, fields) => write('error', base, msg, fields),
+        child: extra => createLogger(component, { ...bindings, ...extra })
+    };
+}
@@ -0,0 +1,157 @@
+/**
+ * Prompt Registry
+ * Server-owned system prompts, loaded from versioned JSON files in the prompts directory
+ * Clients pick a prompt by id and supply only its template variables
+ *
+ * Prompt file format (prompts/<id>.json):
+ *   { "id": "articleContext", "version": 2, "description": "...",
+ *     "variables": ["articleSlug"],
+ *     "context": "article",
+ *     "template": "... {{articleTitle}} ..." }
+ *
+ * `variables` are what the client sends. A prompt may also name a `context`, one of the
+ * resolvers the registry was created with, which looks up the rest of the template's values
+ * on the server from those variables (e.g. an article's title and text from its slug), so no
+ * client-written text ends up in the system prompt.
+ *
+ * Files are watched, so editing a prompt takes effect without restarting the server.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ChatRequestError } from './server-ai-config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('prompts');
+
+export class PromptRegistry {
+    constructor(config = {}) {
+        this.directory = path.resolve(config.directory || 'prompts');
+        this.maxVariableLength = config.maxVariableLength || 4000;
+        this.contexts = config.contexts || {}; // Name -> async (variables) => extra template values
+        this.prompts = new Map();
+        this.watcher = null;
+        this.reloadTimer = null;
+
+        this.reload();
+
+        if (config.watch !== false) {
+            this.watch();
+        }
+    }
+
+    /**
+     * Read every prompt file. A broken file keeps its previously loaded version.
+     */
+    reload() {
+        const files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json'));
+        const prompts = new Map();
+
+        for (const file of files) {
+            const id = path.basename(file, '.json');
+            try {
+                const prompt = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                this.validate(prompt, id);
+                prompts.set(id, prompt);
+            } catch (error) {
+                log.error('Invalid prompt file', { file, error });
+                if (this.prompts.has(id)) {
+                    prompts.set(id, this.prompts.get(id));
+                }
+            }
+        }
+
+        this.prompts = prompts;
+        log.info('Loaded prompts', { prompts: [...prompts.values()].map(p => `${p.id}@v${p.version}`) });
+        return this.list();
+    }
+
+    validate(prompt, id) {
+        if (prompt.id !== id) {
+            throw new Error(`id "${prompt.id}" does not match file name`);
+        }
+        if (!Number.isInteger(prompt.version)) {
+            throw new Error('version must be an integer');
+        }
+        if (typeof prompt.template !== 'string' || !prompt.template.trim()) {
+            throw new Error('template is required');
+        }
+        if (!Array.isArray(prompt.variables)) {
+            throw new Error('variables must be an array');
+        }
+        if (prompt.context !== undefined && !this.contexts[prompt.context]) {
+            throw new Error(`unknown context "${prompt.context}"`);
+        }
+    }
+
+    watch() {
+        try {
+            this.watcher = fs.watch(this.directory, () => {
+                // Editors fire several events per save, so reload once they settle
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.reload(), 200);
+            });
+            this.watcher.unref();
+        } catch (error) {
+            log.warn('Could not watch prompts directory, prompts will not hot reload', error);
+        }
+    }
+
+    close() {
+        clearTimeout(this.reloadTimer);
+        this.watcher?.close();
+    }
+
+    has(id) {
+        return this.prompts.has(id);
+    }
+
+    /**
+     * Prompt metadata without templates
+     */
+    list() {
+        return [...this.prompts.values()].map(({ id, version, description, variables }) => ({
+            id,
+            version,
+            description,
+            variables
+        }));
+    }
+
+    /**
+     * Render a prompt with its template variables and, if it has one, the values its context looks up
+     * @returns {Promise<{ promptId: string, version: number, content: string }>}
+     * @throws {ChatRequestError} For an unknown prompt, a missing or oversized variable, or one its context rejects
+     */
+    async render(id, variables = {}) {
+        const prompt = this.prompts.get(id);
+        if (!prompt) {
+            throw new ChatRequestError(`Unknown prompt: ${id}`);
+        }
+
+        if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+            throw new ChatRequestError('variables must be an object');
+        }
+
+        for (const name of prompt.variables) {
+            const value = variables[name];
+            if (typeof value !== 'string' || !value.trim()) {
+                throw new ChatRequestError(`Prompt "${id}" requires variable "${name}"`);
+            }
+            if (value.length > this.maxVariableLength) {
+                throw new ChatRequestError(`Variable "${name}" is longer than ${this.maxVariableLength} characters`);
+            }
+        }
+
+        const values = Object.fromEntries(prompt.variables.map(name => [name, variables[name]]));
+        if (prompt.context !== undefined) {
+            Object.assign(values, await this.contexts[prompt.context](values));
+        }
+
+        const content = prompt.template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+            Object.hasOwn(values, name) ? values[name] : match
+        );
+
+        return { promptId: id, version: prompt.version, content };
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Rate Limiter
+ * Token-bucket limits for API routes, keyed by client IP and by chat session
+ *
+ * Each key gets a bucket holding up to `capacity` requests that refills at
+ * `refillPerMinute`. A request needs one token from every bucket it is keyed by.
+ *
+ * Buckets live in a store with a single async method, so a shared store (e.g. Redis)
+ * can replace the in-memory one when running several server instances:
+ *   take(key, { capacity, refillPerMinute }) -> { allowed, remaining, resetSeconds, retryAfterSeconds }
+ */
+
+import { SERVER_AI_CONFIG } from './server-ai-config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('rate-limiter');
+
+/**
+ * Keeps buckets in process memory. Limits are per server instance.
+ */
+export class MemoryRateLimitStore {
+    constructor(config = {}) {
+        this.buckets = new Map();
+
+        // Full buckets hold no state worth keeping, so drop them now and then
+        this.pruneTimer = setInterval(() => this.prune(), config.pruneInterval || 60 * 1000);
+        this.pruneTimer.unref();
+    }
+
+    async take(key, { capacity, refillPerMinute }) {
+        const now = Date.now();
+        const refillPerMs = refillPerMinute / 60000;
+        const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now, capacity, refillPerMs };
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) {
+            bucket.tokens -= 1;
+        }
+        this.buckets.set(key, bucket);
+
+        return {
+            allowed,
+            remaining: Math.floor(bucket.tokens),
+            resetSeconds: Math.ceil((capacity - bucket.tokens) / refillPerMs / 1000),
+            retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)
+        };
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+// How each kind of key is read from a request; null means the request has no such key
+const KEY_READERS = {
+    ip: req => req.ip,
+    session: req => req.params.id || null
+};
+
+/**
+ * Create Express middleware enforcing one of the limits in SERVER_AI_CONFIG.rateLimits
+ * @param {string} name - Limit name, e.g. 'chat' or 'data'; also namespaces the bucket keys
+ * @param {object} config - store, and limits per key type ({ ip: {...}, session: {...} })
+ */
+export function createRateLimiter(name, config = {}) {
+    const store = config.store || new MemoryRateLimitStore();
+    const limits = config.limits || SERVER_AI_CONFIG.rateLimits[name];
+
+    return async function rateLimit(req, res, next) {
+        try {
+            const results = [];
+            for (const [keyType, limit] of Object.entries(limits)) {
+                const key = KEY_READERS[keyType](req);
+                if (!key) continue;
+
+                const result = await store.take(`${name}:${keyType}:${key}`, limit);
+                results.push({ ...result, limit });
+            }
+
+            if (results.length === 0) {
+                return next();
+            }
+
+            // Report the bucket closest to running out
+            const blocked = results.filter(result => !result.allowed);
+            const tightest = blocked.length > 0
+                ? blocked.reduce((a, b) => (b.retryAfterSeconds > a.retryAfterSeconds ? b : a))
+                : results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+            res.set({
+                'RateLimit-Limit': tightest.limit.capacity,
+                'RateLimit-Remaining': tightest.remaining,
+                'RateLimit-Reset': tightest.resetSeconds
+            });
+
+            if (blocked.length > 0) {
+                log.warn('Rate limited request', { limiter: name, ip: req.ip });
+                res.set('Retry-After', tightest.retryAfterSeconds);
+                return res.status(429).json({
+                    error: `Too many requests. Please try again in ${tightest.retryAfterSeconds} seconds.`,
+                    retryAfter: tightest.retryAfterSeconds
+                });
+            }
+
+            next();
+        } catch (error) {
+            // A broken limiter store should not take the API down with it
+            log.error('Rate limiter error', error);
+            next();
+        }
+    };
+}
@@ -14,6 +14,7 @@
 import fetch from 'node-fetch';
 import { promises as fs } from 'fs';
 import path from 'path';
+import { getConfig } from '../config.js';
 
 class DataSourcesConnector {
   constructor() {
@@ -290,7 +291,7 @@ class DataSourcesConnector {
       
       const response = await fetch(url, {
         headers: {
-          'Authorization': `Bearer ${process.env.TWITTER_BEARER_TOKEN}`
+          'Authorization': `Bearer ${getConfig().twitter.bearerToken}`
         }
       });
       
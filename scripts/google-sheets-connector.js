@@ -10,15 +10,15 @@
  */
 
 import fetch from 'node-fetch';
-import dotenv from 'dotenv';
+import { loadConfigOrExit } from '../config.js';
 
-dotenv.config();
+const config = loadConfigOrExit();
 
 const GOOGLE_SHEETS_API_BASE = 'https://sheets.googleapis.com/v4/spreadsheets';
 const HUBSPOT_API_BASE = 'https://api.hubapi.com';
 
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-const HUBSPOT_ACCESS_TOKEN = process.env.HUBSPOT_ACCESS_TOKEN;
+const GOOGLE_API_KEY = config.googleSheets.apiKey;
+const HUBSPOT_ACCESS_TOKEN = config.hubspot.accessToken;
 
 const headers = {
     'Authorization': `Bearer ${HUBSPOT_ACCESS_TOKEN}`,
@@ -265,7 +265,7 @@ async function syncGoogleSheetsToHubSpot(spreadsheetId) {
 }
 
 // Example usage
-const SPREADSHEET_ID = process.env.GOOGLE_SPREADSHEET_ID || 'your-spreadsheet-id-here';
+const SPREADSHEET_ID = config.googleSheets.spreadsheetId || 'your-spreadsheet-id-here';
 
 if (SPREADSHEET_ID === 'your-spreadsheet-id-here') {
     console.log('📋 Google Sheets Connector Setup:');
@@ -10,12 +10,12 @@
  */
 
 import fetch from 'node-fetch';
-import dotenv from 'dotenv';
+import { loadConfigOrExit } from '../config.js';
 
-dotenv.config();
+const config = loadConfigOrExit();
 
 const HUBSPOT_API_BASE = 'https://api.hubapi.com';
-const ACCESS_TOKEN = process.env.HUBSPOT_ACCESS_TOKEN;
+const ACCESS_TOKEN = config.hubspot.accessToken;
 
 const headers = {
     'Authorization': `Bearer ${ACCESS_TOKEN}`,
@@ -0,0 +1,252 @@
+/**
+ * Search Engine
+ * In-process inverted index with BM25 ranking, field boosts, stemming and phrase queries
+ *
+ * Field boosts scale term frequencies before BM25 saturation (a simplified BM25F), so a
+ * match in a title counts as several matches in body text.
+ *
+ * Query syntax:
+ *   roundup lymphoma             documents matching any term, best matches first
+ *   "non-hodgkin lymphoma" bayer phrases in quotes must appear in that exact order
+ *
+ * Stop words are not indexed and are dropped from queries outside phrases, so a query of
+ * nothing but stop words matches no documents.
+ */
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from',
+    'get', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or',
+    'should', 'that', 'the', 'their', 'this', 'to', 'was', 'what', 'when', 'where', 'which',
+    'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+const WORD_PATTERN = /[a-z0-9]+/gi;
+
+/**
+ * Article fields and their boosts
+ */
+export const ARTICLE_FIELDS = [
+    { name: 'title', boost: 3, get: article => article.title },
+    { name: 'description', boost: 2, get: article => article.description },
+    ...['overview', 'symptoms', 'causes', 'treatments', 'legalOptions', 'settlements'].map(section => ({
+        name: section,
+        boost: 1,
+        get: article => {
+            const value = article.content?.[section];
+            return Array.isArray(value) ? value.join('. ') : value;
+        }
+    }))
+];
+
+function hasVowel(text) {
+    return /[aeiouy]/.test(text);
+}
+
+/**
+ * Light English suffix stripping, enough to match plurals and verb forms
+ * ("lawsuits" -> "lawsuit", "settled" and "settle" -> "settl"). Only needs to be
+ * consistent, since documents and queries are stemmed the same way.
+ */
+export function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    let stemmed = word;
+    if (stemmed.endsWith('sses')) {
+        stemmed = stemmed.slice(0, -2);
+    } else if (stemmed.endsWith('ies') && stemmed.length > 4) {
+        stemmed = stemmed.slice(0, -3) + 'y';
+    } else if (stemmed.endsWith('s') && !/(ss|us|is)$/.test(stemmed)) {
+        stemmed = stemmed.slice(0, -1);
+    }
+
+    for (const suffix of ['ing', 'ed', 'ly']) {
+        const base = stemmed.slice(0, -suffix.length);
+        if (stemmed.endsWith(suffix) && base.length >= 3 && hasVowel(base)) {
+            stemmed = base;
+            // "running" -> "run"
+            if (/([^aeiouslz])\1$/.test(stemmed)) {
+                stemmed = stemmed.slice(0, -1);
+            }
+            break;
+        }
+    }
+
+    if (stemmed.endsWith('e') && stemmed.length > 4) {
+        stemmed = stemmed.slice(0, -1);
+    }
+
+    return stemmed;
+}
+
+/**
+ * Lowercased, stemmed words of a text, with their character offsets
+ */
+export function analyze(text) {
+    const tokens = [];
+    for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+        const word = match[0].toLowerCase();
+        tokens.push({
+            term: stem(word),
+            stop: STOP_WORDS.has(word),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return tokens;
+}
+
+/**
+ * Split a query into scored terms and required phrases
+ * @returns {{ terms: string[], phrases: string[][] }}
+ */
+export function parseQuery(query) {
+    const phrases = [];
+    const rest = String(query || '').replace(/"([^"]*)"/g, (match, phrase) => {
+        const terms = analyze(phrase).map(token => token.term);
+        if (terms.length > 0) phrases.push(terms);
+        return ' ';
+    });
+
+    const terms = new Set(analyze(rest).filter(token => !token.stop).map(token => token.term));
+    for (const phrase of phrases) {
+        for (const term of phrase) terms.add(term);
+    }
+
+    return { terms: [...terms], phrases };
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+export class SearchIndex {
+    constructor(config = {}) {
+        this.fields = config.fields || ARTICLE_FIELDS;
+        this.snippetFields = config.snippetFields || this.fields.filter(field => field.name !== 'title').map(field => field.name);
+        this.k1 = config.k1 ?? 1.2;
+        this.b = config.b ?? 0.75;
+        this.build([]);
+    }
+
+    /**
+     * Index a list of documents, replacing anything indexed before
+     */
+    build(documents) {
+        this.source = documents;
+        this.documents = [];
+        this.postings = new Map(); // term -> Map(document index -> boosted term frequency)
+        let totalLength = 0;
+
+        documents.forEach((document, index) => {
+            const fields = {};
+            let length = 0;
+
+            for (const field of this.fields) {
+                const text = String(field.get(document) || '');
+                const tokens = analyze(text);
+                fields[field.name] = { text, tokens };
+
+                for (const token of tokens) {
+                    if (token.stop) continue;
+                    length += field.boost;
+
+                    if (!this.postings.has(token.term)) this.postings.set(token.term, new Map());
+                    const posting = this.postings.get(token.term);
+                    posting.set(index, (posting.get(index) || 0) + field.boost);
+                }
+            }
+
+            this.documents.push({ document, fields, length });
+            totalLength += length;
+        });
+
+        this.averageLength = documents.length > 0 ? totalLength / documents.length : 0;
+        return this;
+    }
+
+    /**
+     * Ranked search
+     * @param {string} query - Terms and "quoted phrases"
+     * @param {object} options - offset, limit, and filter(document) to restrict the candidates
+     * @returns {{ total: number, hits: Array<{document, score, snippet}> }}
+     */
+    search(query, { offset = 0, limit = 10, filter = null } = {}) {
+        const { terms, phrases } = parseQuery(query);
+        const scores = new Map();
+        const count = this.documents.length;
+
+        for (const term of terms) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+
+            const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+            for (const [index, frequency] of posting) {
+                const { length } = this.documents[index];
+                const norm = this.k1 * (1 - this.b + this.b * (length / (this.averageLength || 1)));
+                const score = idf * (frequency * (this.k1 + 1)) / (frequency + norm);
+                scores.set(index, (scores.get(index) || 0) + score);
+            }
+        }
+
+        const ranked = [...scores.entries()]
+            .filter(([index]) => phrases.every(phrase => this.containsPhrase(this.documents[index], phrase)))
+            .filter(([index]) => !filter || filter(this.documents[index].document))
+            .sort((a, b) => b[1] - a[1]);
+
+        return {
+            total: ranked.length,
+            hits: ranked.slice(offset, offset + limit).map(([index, score]) => ({
+                document: this.documents[index].document,
+                score: Number(score.toFixed(4)),
+                snippet: this.snippet(this.documents[index], terms)
+            }))
+        };
+    }
+
+    containsPhrase(entry, phrase) {
+        return Object.values(entry.fields).some(({ tokens }) => {
+            for (let i = 0; i + phrase.length <= tokens.length; i++) {
+                if (phrase.every((term, offset) => tokens[i + offset].term === term)) return true;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * A short excerpt around the first match in the best matching field, with matches in <mark>
+     */
+    snippet(entry, terms, maxWords = 30) {
+        const querySet = new Set(terms);
+
+        let best = null;
+        for (const name of this.snippetFields) {
+            const field = entry.fields[name];
+            if (!field || field.tokens.length === 0) continue;
+
+            const matches = field.tokens.filter(token => !token.stop && querySet.has(token.term)).length;
+            if (!best || matches > best.matches) {
+                best = { field, matches };
+            }
+        }
+        if (!best) return '';
+
+        const { text, tokens } = best.field;
+        const firstMatch = Math.max(0, tokens.findIndex(token => querySet.has(token.term)));
+        const from = Math.max(0, firstMatch - 8);
+        const to = Math.min(tokens.length, from + maxWords);
+
+        let html = from > 0 ? '…' : '';
+        let cursor = tokens[from].start;
+        for (const token of tokens.slice(from, to)) {
+            html += escapeHtml(text.slice(cursor, token.start));
+            const word = escapeHtml(text.slice(token.start, token.end));
+            html += querySet.has(token.term) && !token.stop ? `<mark>${word}</mark>` : word;
+            cursor = token.end;
+        }
+        html += to < tokens.length ? '…' : escapeHtml(text.slice(cursor));
+
+        return html;
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * SEO
+ * sitemap.xml, robots.txt and schema.org structured data (JSON-LD) for article pages
+ *
+ * Sitemaps with more URLs than the configured maximum are split into numbered files
+ * (/sitemap-1.xml, /sitemap-2.xml, ...) listed by a sitemap index at /sitemap.xml.
+ */
+
+export const SITE_NAME = 'Injury Information Center';
+
+const REFERRAL_URL = 'https://legalinjuryadvocates.com';
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * YYYY-MM-DD for a date value, or null if it isn't a date
+ */
+function isoDay(value) {
+    const date = new Date(value);
+    return value && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+export function articleUrl(baseUrl, article) {
+    return `${baseUrl}/article/${encodeURIComponent(article.slug)}`;
+}
+
+/**
+ * Sitemap entries for the home page and every article
+ * @returns {{loc: string, lastmod: string|null}[]}
+ */
+export function sitemapEntries(articles, baseUrl) {
+    const seen = new Set();
+    const entries = [{ loc: `${baseUrl}/`, lastmod: null }];
+
+    for (const article of articles) {
+        if (!article.slug || seen.has(article.slug)) continue;
+        seen.add(article.slug);
+        entries.push({ loc: articleUrl(baseUrl, article), lastmod: isoDay(article.date) });
+    }
+    return entries;
+}
+
+export function renderUrlSet(entries) {
+    const urls = entries.map(({ loc, lastmod }) =>
+        `  <url>\n    <loc>${escapeXml(loc)}</loc>\n${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ''}  </url>`);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+        `${urls.join('\n')}\n` +
+        '</urlset>\n';
+}
+
+export function renderSitemapIndex(baseUrl, pages) {
+    const sitemaps = pages.map(({ number, lastmod }) =>
+        `  <sitemap>\n    <loc>${escapeXml(`${baseUrl}/sitemap-${number}.xml`)}</loc>\n` +
+        `${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ''}  </sitemap>`);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+        `${sitemaps.join('\n')}\n` +
+        '</sitemapindex>\n';
+}
+
+/**
+ * The sitemap documents for a set of articles
+ * @param {number} maxUrls - Most URLs in one sitemap before it is split
+ * @returns {{index: string|null, pages: string[]}} index is null when one sitemap holds every URL
+ */
+export function buildSitemaps(articles, baseUrl, maxUrls) {
+    const entries = sitemapEntries(articles, baseUrl);
+    if (entries.length <= maxUrls) {
+        return { index: null, pages: [renderUrlSet(entries)] };
+    }
+
+    const chunks = [];
+    for (let i = 0; i < entries.length; i += maxUrls) {
+        chunks.push(entries.slice(i, i + maxUrls));
+    }
+
+    const index = renderSitemapIndex(baseUrl, chunks.map((chunk, i) => ({
+        number: i + 1,
+        // A sitemap changed when its newest entry did
+        lastmod: chunk.map(entry => entry.lastmod).filter(Boolean).sort().pop() || null
+    })));
+
+    return { index, pages: chunks.map(renderUrlSet) };
+}
+
+export function renderRobotsTxt(baseUrl) {
+    return [
+        'User-agent: *',
+        'Allow: /',
+        'Disallow: /api/',
+        '',
+        `Sitemap: ${baseUrl}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * schema.org objects describing an article page: an Article for every page, a MedicalCondition
+ * for medical articles, a LegalService for legal and manufacturer articles, and an FAQPage
+ * when the article has FAQs
+ * @param {object} article - Article as returned by DataIntegrationService
+ * @param {string} url - Canonical URL of the page
+ * @param {string} conditionName - Name of the condition a medical article is about
+ */
+export function articleStructuredData(article, url, conditionName = article.title) {
+    const content = article.content || {};
+    const modified = isoDay(article.date);
+    const named = (type, items) => (items || []).map(name => ({ '@type': type, name }));
+
+    const graph = [{
+        '@type': 'Article',
+        '@id': `${url}#article`,
+        headline: article.title,
+        description: article.description,
+        url,
+        mainEntityOfPage: url,
+        ...(modified && { datePublished: modified, dateModified: modified }),
+        articleSection: article.category,
+        publisher: { '@type': 'Organization', name: SITE_NAME }
+    }];
+
+    if (article.category === 'medical') {
+        graph.push({
+            '@type': 'MedicalCondition',
+            name: conditionName,
+            description: content.overview || article.description,
+            url,
+            signOrSymptom: named('MedicalSignOrSymptom', content.symptoms),
+            riskFactor: named('MedicalRiskFactor', content.causes),
+            possibleTreatment: named('MedicalTherapy', content.treatments)
+        });
+    }
+
+    if (article.category === 'legal' || article.category === 'manufacturer') {
+        graph.push({
+            '@type': 'LegalService',
+            name: `${article.title} - Free Case Review`,
+            description: content.legalOptions?.length > 0
+                ? `Help with ${content.legalOptions.join('; ')}`
+                : article.description,
+            url: REFERRAL_URL,
+            areaServed: { '@type': 'Country', name: 'United States' }
+        });
+    }
+
+    if (content.faqs?.length > 0) {
+        graph.push({
+            '@type': 'FAQPage',
+            url,
+            mainEntity: content.faqs.map(({ question, answer }) => ({
+                '@type': 'Question',
+                name: question,
+                acceptedAnswer: { '@type': 'Answer', text: answer }
+            }))
+        });
+    }
+
+    return { '@context': 'https://schema.org', '@graph': graph };
+}
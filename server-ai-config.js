@@ -6,26 +6,163 @@ export const SERVER_AI_CONFIG = {
     api: {
         model: 'gpt-4o-mini',
         temperature: 0.7,
-        max_tokens: 500
+        max_tokens: 500,
+        allowedModels: ['gpt-4o-mini', 'gpt-4o'], // Clients may only pick from these
+        maxTokensLimit: 1000 // Upper bound on max_tokens a client can request
     },
 
-    // System Messages
+    // LLM Provider, see llm-provider.js
+    provider: {
+        type: 'openai', // openai, openai-compatible or mock, overridden by LLM_PROVIDER
+        baseURL: null, // Required by openai-compatible, overridden by LLM_BASE_URL
+        model: null, // Model an openai-compatible server answers with, overridden by LLM_MODEL
+        mockResponses: [] // Scripted replies for the mock provider, or a JSON file in LLM_MOCK_RESPONSES
+    },
+
+    // Chat prompts live in the prompts directory, see prompt-registry.js
+    prompts: {
+        directory: 'prompts',
+        defaultPrompt: 'general',
+        maxVariableLength: 4000 // Characters per template variable
+    },
+
+    // Internal System Messages (chat prompts are in the prompt registry)
     systemMessages: {
-        // General injury and legal information assistant
-        general: `You are an AI assistant specializing in injury and legal information. Please provide helpful, accurate information about injury cases, legal rights, medical conditions, settlements, and related topics. Be empathetic and informative, but always recommend consulting with qualified medical professionals or attorneys for specific situations. Keep your response concise (1-2 paragraphs or a short list).`,
+        // Introduces the reference text retrieved from our articles, settlements and law firms
+        groundingInstructions: `Reference information from the Injury Information Center. Base your answer on it where it is relevant, do not invent figures that are not in it, and say so when it does not cover the question.`,
+
+        // Condenses older turns of a chat session once it outgrows the token budget
+        conversationSummary: `You summarize conversations between a user and an injury and legal information assistant. Write a short summary of the conversation so far, keeping the user's condition, location, dates, questions asked and any facts or figures the assistant gave. Write in the third person and do not add new information.`
+    },
+
+    // Chat Sessions
+    sessions: {
+        store: 'memory', // memory or file, overridden by CHAT_SESSION_STORE
+        directory: 'storage/sessions', // Used by the file store
+        ttl: 60 * 60 * 1000, // 1 hour since the last message
+        purgeInterval: 10 * 60 * 1000, // 10 minutes
+        tokenBudget: 3000, // Summarize older turns once the transcript exceeds this
+        keepRecentMessages: 6, // Messages always sent verbatim, never summarized
+        summaryMaxTokens: 300
+    },
+
+    // Retrieval-augmented answers
+    retrieval: {
+        maxContextTokens: 1200, // Budget for the reference text added to each request
+        maxChunks: 8,
+        currentArticleBoost: 1.5 // Extra score for sections of the article being read
+    },
+
+    // Usage and cost ledger, see usage-ledger.js
+    usage: {
+        ledgerFile: 'storage/usage-ledger.jsonl',
+        // Estimated USD per million tokens, by the model that answered. Dated names such as
+        // gpt-4o-mini-2024-07-18 use the longest listed prefix; `default` is used for anything else,
+        // so list models served through openai-compatible (at zero if self-hosted)
+        prices: {
+            'gpt-4o-mini': { input: 0.15, output: 0.60 },
+            'gpt-4o': { input: 2.50, output: 10.00 },
+            mock: { input: 0, output: 0 }, // The mock provider, which answers offline
+            default: { input: 2.50, output: 10.00 }
+        },
+        // USD per UTC day, null for no cap. `total` is overridden by USAGE_DAILY_CAP
+        dailyCaps: {
+            total: 10,
+            prompts: {} // e.g. { articleContext: 5 }
+        },
+        // Sent instead of an AI answer once a cap is reached
+        cappedResponse: `Our AI assistant has answered as many questions as it can for today. Please browse our articles for information on your condition, or start your claim at legalinjuryadvocates.com to speak with someone directly.`
+    },
+
+    // Rate limits per client, see rate-limiter.js
+    // Token buckets: up to `capacity` requests in a burst, refilled at `refillPerMinute`
+    rateLimits: {
+        chat: {
+            ip: { capacity: 10, refillPerMinute: 6 },
+            session: { capacity: 20, refillPerMinute: 10 }
+        },
+        data: {
+            ip: { capacity: 120, refillPerMinute: 60 }
+        },
+        leads: {
+            ip: { capacity: 5, refillPerMinute: 1 }
+        }
+    },
+
+    // Lead intake, see lead-service.js
+    leads: {
+        file: 'storage/leads.json',
+        requiredConsents: ['contact', 'privacy'], // Checkboxes a lead must tick
+        optionalConsents: ['sms'],
+        retryInterval: 60 * 1000, // How often leads waiting for HubSpot are retried
+        retryBaseDelay: 60 * 1000, // Doubles after each failed attempt
+        retryMaxDelay: 6 * 60 * 60 * 1000,
+        // Lead routing to law firms, see lead-router.js
+        routing: {
+            assignmentsFile: 'storage/lead-assignments.jsonl',
+            // Points a firm scores; the total is multiplied by the firm's priority weight
+            weights: {
+                specialty: 40, // Handles the lead's condition
+                generalPractice: 15, // Handles a broad practice area covering it
+                state: 30, // Licensed in the lead's state
+                nationwide: 20, // Takes cases from every state
+                language: 15 // Speaks the lead's language
+            },
+            generalPractices: ['Personal Injury', 'Product Liability', 'Mass Torts'],
+            defaultLanguage: 'English'
+        }
+    },
 
-        // Article-specific context
-        articleContext: (articleTitle, articleContent) => `You are an AI assistant specializing in injury and legal information. The user is asking about: ${articleTitle}. 
+    // Cache of Google Sheets, HubSpot and database data, see data-cache.js
+    // Per key family: fresh for `ttl`, then served for up to `staleTtl` more while it refreshes
+    // in the background; empty results are cached for `negativeTtl`
+    cache: {
+        maxEntries: 1000,
+        policies: {
+            articles: { ttl: 5 * 60 * 1000, staleTtl: 60 * 60 * 1000, negativeTtl: 60 * 1000 },
+            law_firms: { ttl: 15 * 60 * 1000, staleTtl: 6 * 60 * 60 * 1000, negativeTtl: 5 * 60 * 1000 },
+            settlements: { ttl: 30 * 60 * 1000, staleTtl: 24 * 60 * 60 * 1000, negativeTtl: 5 * 60 * 1000 },
+            search: { ttl: 5 * 60 * 1000, staleTtl: 30 * 60 * 1000, negativeTtl: 60 * 1000 }
+        }
+    },
+
+    // Health checks, see connector-health.js
+    health: {
+        // Connectors /health/ready fails without: openai, hubspot, googleSheets and/or database
+        // Overridden by HEALTH_REQUIRED_SOURCES, e.g. "hubspot,googleSheets"
+        required: [],
+        checkInterval: 30 * 1000, // A connector not called for this long is checked before reporting on it
+        checkTimeout: 5 * 1000
+    },
 
-Article Context:
-${articleContent}
+    // Rate limits and retries for the HubSpot and Google Sheets APIs, see http-client.js
+    http: {
+        // HubSpot allows 5 search requests a second per account
+        hubspot: { requestsPerSecond: 4, burst: 4, maxRetries: 2, baseDelay: 300, maxDelay: 3000, maxRetryAfter: 10 * 1000 },
+        // Google allows 60 reads a minute per user
+        googleSheets: { requestsPerSecond: 1, burst: 5, maxRetries: 2, baseDelay: 500, maxDelay: 4000, maxRetryAfter: 10 * 1000 }
+    },
 
-Please provide helpful, accurate information based on this specific article. Be empathetic and informative, but always recommend consulting with qualified medical professionals or attorneys for specific situations.`,
+    // Cursor paging through HubSpot search results, see HubSpotInjuryInfoConnector.paginate
+    paging: {
+        // pageSize: records per request (HubSpot allows up to 200); maxRecords: most records one search follows
+        // cursors for when the caller sets no limit (CRM search stops at 10,000)
+        hubspot: { pageSize: 100, maxRecords: 1000 }
+    },
 
-        // Legal referral trigger
-        legalReferral: `You are an AI assistant specializing in injury and legal information. Please provide helpful, accurate information about injury cases, legal rights, medical conditions, settlements, and related topics. Be empathetic and informative, but always recommend consulting with qualified medical professionals or attorneys for specific situations. Keep your response concise (1-2 paragraphs or a short list).
+    // Circuit breakers around the HubSpot and Google Sheets connectors, see circuit-breaker.js
+    circuitBreakers: {
+        // timeout: abort a call after this long; failureThreshold: failures in a row that open the circuit;
+        // resetTimeout: how long an open circuit refuses calls before letting a trial call through
+        hubspot: { timeout: 8 * 1000, failureThreshold: 5, resetTimeout: 30 * 1000 },
+        googleSheets: { timeout: 8 * 1000, failureThreshold: 5, resetTimeout: 30 * 1000 }
+    },
 
-IMPORTANT: If the user asks about legal options, filing claims, consulting attorneys, or seeking legal advice, mention that they can start their claim at legalinjuryadvocates.com.`
+    // Public site, see seo.js
+    site: {
+        url: null, // Origin for canonical URLs and sitemaps, e.g. https://example.com; overridden by SITE_URL
+        sitemapMaxUrls: 50000, // Larger sitemaps are split under a sitemap index
+        feedSize: 50 // Newest articles in each RSS and Atom feed, see feeds.js
     },
 
     // Error Messages
@@ -38,14 +175,34 @@ IMPORTANT: If the user asks about legal options, filing claims, consulting attor
     }
 };
 
+// Error for chat requests the server refuses, such as an unknown prompt or model
+export class ChatRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ChatRequestError';
+        this.status = 400;
+    }
+}
+
+// Helper function to check a requested model against the allowlist
+export function resolveModel(model) {
+    if (!model) {
+        return SERVER_AI_CONFIG.api.model;
+    }
+    if (!SERVER_AI_CONFIG.api.allowedModels.includes(model)) {
+        throw new ChatRequestError(`Model "${model}" is not available. Allowed models: ${SERVER_AI_CONFIG.api.allowedModels.join(', ')}`);
+    }
+    return model;
+}
+
 // Helper function to create OpenAI API request
 export function createOpenAIRequest(messages, options = {}) {
     // Only include valid OpenAI API parameters
     const request = {
-        model: options.model || SERVER_AI_CONFIG.api.model,
+        model: resolveModel(options.model),
         messages: messages,
         temperature: options.temperature || SERVER_AI_CONFIG.api.temperature,
-        max_tokens: options.max_tokens || SERVER_AI_CONFIG.api.max_tokens
+        max_tokens: Math.min(options.max_tokens || SERVER_AI_CONFIG.api.max_tokens, SERVER_AI_CONFIG.api.maxTokensLimit)
     };
     
     // Add any other valid OpenAI parameters if needed
@@ -58,13 +215,21 @@ export function createOpenAIRequest(messages, options = {}) {
 
 // Helper function to get error message based on error type
 export function getServerErrorMessage(error) {
-    if (error.status === 401) {
+    if (error instanceof ChatRequestError) {
+        return error.message;
+    } else if (error.status === 401) {
         return SERVER_AI_CONFIG.errors.apiKeyInvalid;
     } else if (error.status === 429) {
         return SERVER_AI_CONFIG.errors.rateLimitExceeded;
-    } else if (error.status === 500) {
+    } else if (error.status === 500 || error.status === 503) {
         return SERVER_AI_CONFIG.errors.serviceUnavailable;
     } else {
         return SERVER_AI_CONFIG.errors.generic;
     }
-} 
\ No newline at end of file
+}
+
+// Helper function to estimate the token count of a piece of text
+// Uses the rough 4 characters per token ratio of OpenAI's English tokenizers
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
@@ -1,76 +1,174 @@
 import express from 'express';
 import cors from 'cors';
-import OpenAI from 'openai';
-import dotenv from 'dotenv';
+import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { SERVER_AI_CONFIG, createOpenAIRequest, getServerErrorMessage } from './server-ai-config.js';
+import { loadConfigOrExit } from './config.js';
+import { SERVER_AI_CONFIG, ChatRequestError, createOpenAIRequest, getServerErrorMessage } from './server-ai-config.js';
 import { DataIntegrationService } from './data-integration-service.js';
+import { ChatSessionService } from './chat-session-service.js';
+import { ChatContextRetriever, addGroundingToMessages } from './chat-context-retriever.js';
+import { PromptRegistry } from './prompt-registry.js';
+import { createConfiguredLLMProvider } from './llm-provider.js';
+import { ConnectorHealth, monitorLLMProvider } from './connector-health.js';
+import { createLogger, runWithLogContext } from './logger.js';
+import { UsageLedger } from './usage-ledger.js';
+import { createRateLimiter } from './rate-limiter.js';
+import { QueryError, parseArticleQuery, parseSearchQuery, queryArticles, withSettlementValue } from './article-query.js';
+import { EstimateError, estimateSettlement, validateEstimateInput } from './settlement-estimator.js';
+import { DeadlineError } from './statute-rules.js';
+import { LeadError, LeadService } from './lead-service.js';
+import { LeadRouter } from './lead-router.js';
+import { renderArticlePage, renderNotFoundPage } from './article-page.js';
+import { SITE_NAME, articleUrl, buildSitemaps, renderRobotsTxt } from './seo.js';
+import { FEED_FORMATS, feedUpdated, renderAtom, renderRss, sortFeedArticles } from './feeds.js';
 
-// Load environment variables
-dotenv.config({ path: '.env.local' });
+// Load and validate settings from the environment and .env files, exiting if any are invalid
+const config = loadConfigOrExit();
+
+const log = createLogger('server');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const port = process.env.PORT || 3000;
+const port = config.port;
+
+if (!config.siteUrl) {
+  log.warn('SITE_URL is not set; canonical URLs, sitemaps and feeds use the request\'s Host header');
+}
+
+// Browser modules the pages import; nothing else in the project directory is served as a file
+const PUBLIC_ASSETS = ['chat-stream.js', 'ai-config.js'];
+
+// Initialize tracking of connector health, for /health/ready and /api/status
+const connectorHealth = new ConnectorHealth({
+  ...SERVER_AI_CONFIG.health,
+  required: config.health.required
+});
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Initialize the LLM provider: OpenAI, an OpenAI-compatible server or the offline mock
+const llm = monitorLLMProvider(createConfiguredLLMProvider(config.llm), connectorHealth);
+connectorHealth.register('openai', {
+  configured: config.dataSources.openai,
+  check: signal => llm.ping({ signal })
 });
 
 // Initialize Data Integration Service
-const dataService = new DataIntegrationService();
+const dataService = new DataIntegrationService({
+  sources: config,
+  cache: SERVER_AI_CONFIG.cache,
+  health: connectorHealth
+});
+
+// Initialize the ledger of AI token usage and cost
+// Pages are client-supplied, so only our own article slugs get their own rollup
+const usageLedger = new UsageLedger({
+  dailyCaps: config.usage.dailyCap !== null
+    ? { ...SERVER_AI_CONFIG.usage.dailyCaps, total: config.usage.dailyCap }
+    : SERVER_AI_CONFIG.usage.dailyCaps,
+  isKnownPage: async slug => Boolean(await dataService.getArticleBySlug(slug))
+});
+
+// Initialize server-side retrieval of chat context
+const contextRetriever = new ChatContextRetriever(dataService);
+
+// Initialize the registry of server-owned chat prompts
+const promptRegistry = new PromptRegistry({
+  directory: path.join(__dirname, SERVER_AI_CONFIG.prompts.directory),
+  maxVariableLength: SERVER_AI_CONFIG.prompts.maxVariableLength,
+  contexts: {
+    // articleContext: clients send only the slug; the title and text come from our own articles
+    article: async ({ articleSlug }) => {
+      const article = await dataService.getArticleBySlug(articleSlug);
+      if (!article) {
+        throw new ChatRequestError(`Unknown article: ${articleSlug}`);
+      }
+      return {
+        articleTitle: article.title,
+        articleContent: article.content?.overview || article.description || ''
+      };
+    }
+  }
+});
+
+// Initialize server-side chat sessions
+const chatSessions = new ChatSessionService({
+  llm,
+  ledger: usageLedger,
+  prompts: promptRegistry,
+  storeType: config.sessions.store,
+  directory: config.sessions.directory
+});
+
+// Initialize lead intake, routing leads to law firms and forwarding them to HubSpot
+const leadRouter = new LeadRouter({ dataService });
+const leadService = new LeadService({
+  file: config.leads.file,
+  hubspot: dataService.hubspot,
+  health: connectorHealth,
+  breaker: dataService.breakers.hubspot,
+  statuteRules: dataService.statuteRules,
+  router: leadRouter
+});
+
+// Per-client rate limits, tracked separately for AI chat, data routes and lead submissions
+const chatRateLimit = createRateLimiter('chat');
+const dataRateLimit = createRateLimiter('data');
+const leadRateLimit = createRateLimiter('leads');
+
+// Client IPs come from X-Forwarded-For when running behind this many proxies
+if (config.trustProxy !== null) {
+  app.set('trust proxy', config.trustProxy);
+}
 
 // Middleware
 app.use(cors());
+app.use(requestLogging);
 app.use(express.json());
-app.use(express.static('.'));
+
+// Leads, sessions and the usage ledger live under storage/, so the project directory itself is never public
+for (const asset of PUBLIC_ASSETS) {
+  app.get(`/${asset}`, (req, res) => res.sendFile(path.join(__dirname, asset)));
+}
 
 // API endpoint for OpenAI chat
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', chatRateLimit, async (req, res) => {
   try {
-    const { message, systemMessage, options = {} } = req.body;
+    const { message, articleSlug, options = {} } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    console.log('Received chat request:', { message, systemMessage: systemMessage?.substring(0, 100) + '...' });
+    const prompt = await renderSystemPrompt(req.body);
+    log.info('Chat request received', { messageLength: message.length, prompt: `${prompt.promptId}@v${prompt.version}` });
 
-    // Prepare messages for OpenAI
-    const messages = [];
-    
-    if (systemMessage) {
-      messages.push({
-        role: 'system',
-        content: systemMessage
-      });
+    if (await usageLedger.isOverDailyCap(prompt.promptId)) {
+      return sendCappedResponse(res);
     }
 
-    messages.push({
-      role: 'user',
-      content: message
-    });
+    // Prepare messages for OpenAI, grounded in our own data
+    const grounding = await retrieveGrounding(message, articleSlug);
+    const messages = addGroundingToMessages(buildChatMessages(message, prompt.content), grounding.context);
 
-    // Call OpenAI API using centralized configuration
-    // Remove systemMessage from options since it's already handled in messages
-    const { systemMessage: _, ...openAIOptions } = options;
-    const openAIRequest = createOpenAIRequest(messages, openAIOptions);
-    const completion = await openai.chat.completions.create(openAIRequest);
+    // Call the configured LLM provider using centralized configuration
+    const openAIRequest = createOpenAIRequest(messages, options);
+    const completion = await llm.createChatCompletion(openAIRequest);
+    recordUsage(openAIRequest, completion, { route: '/api/chat', promptId: prompt.promptId, page: articleSlug });
 
-    const response = completion.choices[0].message.content;
-    console.log('OpenAI response received:', response.substring(0, 100) + '...');
+    const response = completion.content;
+    log.info('Chat response received', { responseLength: response.length, usage: completion.usage });
 
     res.json({ 
       response,
-      usage: completion.usage 
+      usage: completion.usage,
+      articleIds: grounding.articleIds
     });
 
   } catch (error) {
-    console.error('OpenAI API error:', error);
+    log.error('LLM request failed', error);
     
     const errorMessage = getServerErrorMessage(error);
     const statusCode = error.status || 500;
@@ -79,122 +177,425 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
+// API endpoint for streaming OpenAI chat as server-sent events
+// Emits `token` events as content arrives, then a final `done` event with usage and articleIds
+app.post('/api/chat/stream', chatRateLimit, async (req, res) => {
+  const { message, articleSlug, options = {} } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  let prompt;
+  let openAIRequest;
+  let grounding;
+  try {
+    prompt = await renderSystemPrompt(req.body);
+    log.info('Streaming chat request received', { messageLength: message.length, prompt: `${prompt.promptId}@v${prompt.version}` });
+
+    if (await usageLedger.isOverDailyCap(prompt.promptId)) {
+      return sendCappedResponse(res, { stream: true });
+    }
+
+    grounding = await retrieveGrounding(message, articleSlug);
+    const messages = addGroundingToMessages(buildChatMessages(message, prompt.content), grounding.context);
+    openAIRequest = createOpenAIRequest(messages, options);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: getServerErrorMessage(error) });
+  }
+
+  await streamChatCompletion(res, openAIRequest, { articleIds: grounding.articleIds }, {
+    route: '/api/chat/stream',
+    promptId: prompt.promptId,
+    page: articleSlug
+  });
+});
+
+// API endpoint to start a chat session
+app.post('/api/sessions', dataRateLimit, async (req, res) => {
+  try {
+    const { systemMessage, promptId = SERVER_AI_CONFIG.prompts.defaultPrompt, variables = {} } = req.body || {};
+    if (systemMessage !== undefined) {
+      throw new ChatRequestError(SYSTEM_MESSAGE_REFUSED);
+    }
+
+    const session = await chatSessions.createSession({ promptId, variables });
+    log.info('Chat session created', { sessionId: session.id, promptId });
+    res.status(201).json(chatSessions.getTranscript(session));
+  } catch (error) {
+    if (error instanceof ChatRequestError) {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error creating chat session', error);
+    res.status(500).json({ error: 'Failed to create chat session' });
+  }
+});
+
+// API endpoint to fetch a chat session transcript
+app.get('/api/sessions/:id', dataRateLimit, async (req, res) => {
+  try {
+    const session = await chatSessions.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(chatSessions.getTranscript(session));
+  } catch (error) {
+    log.error('Error fetching chat session', error);
+    res.status(500).json({ error: 'Failed to fetch chat session' });
+  }
+});
+
+// API endpoint to delete a chat session
+app.delete('/api/sessions/:id', dataRateLimit, async (req, res) => {
+  try {
+    const deleted = await chatSessions.deleteSession(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    log.info('Chat session deleted', { sessionId: req.params.id });
+    res.status(204).end();
+  } catch (error) {
+    log.error('Error deleting chat session', error);
+    res.status(500).json({ error: 'Failed to delete chat session' });
+  }
+});
+
+// API endpoint to send a message within a chat session
+// Prior turns are replayed from the server; pass `stream: true` for server-sent events
+app.post('/api/sessions/:id/messages', chatRateLimit, async (req, res) => {
+  const { message, articleSlug, options = {}, stream = false } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  let session;
+  let openAIRequest;
+  let grounding;
+  try {
+    session = await chatSessions.getSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    log.info('Chat session message received', { sessionId: session.id, messageLength: message.length, turns: session.messages.length / 2 });
+
+    // The canned answer is not added to the session, so the conversation can resume tomorrow
+    if (await usageLedger.isOverDailyCap(session.promptId)) {
+      return sendCappedResponse(res, { stream, sessionId: session.id });
+    }
+
+    // Retrieved context applies to this turn only and is not stored in the session
+    grounding = await retrieveGrounding(message, articleSlug);
+    const history = await chatSessions.prepareMessages(session, message);
+    const messages = addGroundingToMessages(history, grounding.context);
+    openAIRequest = createOpenAIRequest(messages, options);
+  } catch (error) {
+    if (error instanceof ChatRequestError) {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error preparing chat session message', error);
+    return res.status(500).json({ error: 'Failed to load chat session' });
+  }
+
+  const usageContext = { route: '/api/sessions/:id/messages', promptId: session.promptId, page: articleSlug };
+
+  if (stream) {
+    const result = await streamChatCompletion(res, openAIRequest, { articleIds: grounding.articleIds }, usageContext);
+    if (result) {
+      await chatSessions.recordTurn(session, message, result.response, result.usage)
+        .catch(error => log.error('Error saving chat session', error));
+    }
+    return;
+  }
+
+  try {
+    const completion = await llm.createChatCompletion(openAIRequest);
+    recordUsage(openAIRequest, completion, usageContext);
+    const response = completion.content;
+
+    await chatSessions.recordTurn(session, message, response, completion.usage);
+
+    res.json({
+      response,
+      usage: completion.usage,
+      articleIds: grounding.articleIds,
+      sessionId: session.id
+    });
+  } catch (error) {
+    log.error('LLM request failed', error);
+    res.status(error.status || 500).json({ error: getServerErrorMessage(error) });
+  }
+});
+
+// API endpoint to list the chat prompts clients can select
+app.get('/api/prompts', (req, res) => {
+  res.json(promptRegistry.list());
+});
+
 // API endpoint to get article data
-app.get('/api/articles', async (req, res) => {
+// Supports filtering, sorting and pagination, see article-query.js; responds with { total, items, next }
+app.get('/api/articles', dataRateLimit, async (req, res) => {
   try {
-    console.log('📊 Fetching articles from data sources...');
+    const query = parseArticleQuery(req.query);
+
+    log.debug('Fetching articles', { query: req.query });
     const articles = await dataService.getAllArticles();
-    console.log(`✅ Returning ${articles.length} articles`);
-    res.json(articles);
+    const page = queryArticles(articles, query);
+    log.debug('Returning articles', { count: page.items.length, total: page.total });
+    res.json(page);
   } catch (error) {
-    console.error('❌ Error fetching articles:', error);
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error fetching articles', error);
     res.status(500).json({ error: 'Failed to fetch articles' });
   }
 });
 
 // API endpoint to get a specific article by slug
-app.get('/api/articles/:slug', async (req, res) => {
+app.get('/api/articles/:slug', dataRateLimit, async (req, res) => {
   const { slug } = req.params;
   
   try {
-    console.log(`📄 Fetching article with slug: ${slug}`);
-    const articles = await dataService.getAllArticles();
-    let article = articles.find(a => a.slug === slug);
-    
-    // If not found in main data, check fallback articles
-    if (!article) {
-      const fallbackArticles = dataService.getFallbackArticles();
-      article = fallbackArticles.find(a => a.slug === slug);
-    }
+    log.debug('Fetching article', { slug });
+    const article = await dataService.getArticleBySlug(slug);
     
     if (!article) {
       return res.status(404).json({ error: 'Article not found' });
     }
     
-    console.log(`✅ Found article: ${article.title}`);
+    log.debug('Found article', { slug, title: article.title });
     res.json(article);
   } catch (error) {
-    console.error('❌ Error fetching article:', error);
+    log.error('Error fetching article', error);
     res.status(500).json({ error: 'Failed to fetch article' });
   }
 });
 
 // API endpoint to search for law firms
-app.get('/api/law-firms', async (req, res) => {
+app.get('/api/law-firms', dataRateLimit, async (req, res) => {
   try {
     const { specialty, location } = req.query;
-    console.log(`🏛️ Fetching law firms - specialty: ${specialty}, location: ${location}`);
+    log.debug('Fetching law firms', { specialty, location });
     
     const lawFirms = await dataService.getLawFirms(specialty, location);
-    console.log(`✅ Returning ${lawFirms.length} law firms`);
+    log.debug('Returning law firms', { count: lawFirms.length });
     
     res.json(lawFirms);
   } catch (error) {
-    console.error('❌ Error fetching law firms:', error);
+    log.error('Error fetching law firms', error);
     res.status(500).json({ error: 'Failed to fetch law firms' });
   }
 });
 
 // API endpoint to get settlement data
-app.get('/api/settlements', async (req, res) => {
+app.get('/api/settlements', dataRateLimit, async (req, res) => {
   try {
     const { condition, state } = req.query;
-    console.log(`💰 Fetching settlement data - condition: ${condition}, state: ${state}`);
+    log.debug('Fetching settlement data', { condition, state });
     
     const settlements = await dataService.getSettlementData(condition, state);
-    console.log(`✅ Returning settlement data for ${condition}`);
+    log.debug('Returning settlement data', { condition, count: settlements.length });
     
     res.json(settlements);
   } catch (error) {
-    console.error('❌ Error fetching settlement data:', error);
+    log.error('Error fetching settlement data', error);
     res.status(500).json({ error: 'Failed to fetch settlement data' });
   }
 });
 
+// API endpoint to estimate a settlement range
+// Body: { condition, severity?, exposureYears?, state? }
+// Responds with { min, max, baseRange, multipliers, source, disclaimer, ...input }
+app.post('/api/settlements/estimate', dataRateLimit, async (req, res) => {
+  try {
+    const input = validateEstimateInput(req.body);
+    log.debug('Estimating settlement', { condition: input.condition, severity: input.severity });
+
+    const baseRange = await dataService.getSettlementBaseRange(input.condition, input.state);
+    res.json(estimateSettlement(input, baseRange));
+  } catch (error) {
+    if (error instanceof EstimateError) {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error estimating settlement', error);
+    res.status(500).json({ error: 'Failed to estimate settlement' });
+  }
+});
+
+// Filing deadline under the statute of limitations for a state
+app.post('/api/legal/deadline', dataRateLimit, (req, res) => {
+  try {
+    const { state, injuryType, claimType, injuryDate, diagnosisDate } = req.body || {};
+    log.debug('Computing filing deadline', { state, injuryType });
+
+    // An injury named after a product (Roundup, talcum powder) is a product liability claim
+    const inferredClaimType = claimType
+      || (dataService.synonyms.lookup(injuryType).some(entry => entry.type === 'product') ? 'product-liability' : undefined);
+
+    res.json(dataService.statuteRules.computeDeadline({
+      state,
+      injuryType,
+      claimType: inferredClaimType,
+      injuryDate,
+      diagnosisDate
+    }));
+  } catch (error) {
+    if (error instanceof DeadlineError) {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error computing filing deadline', error);
+    res.status(500).json({ error: 'Failed to compute filing deadline' });
+  }
+});
+
+// Lead intake: saved locally, deduplicated by email or phone, then forwarded to HubSpot
+app.post('/api/leads', leadRateLimit, async (req, res) => {
+  try {
+    const { page, ...fields } = req.body || {};
+    const { lead, duplicate } = await leadService.submit(fields, {
+      page,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(duplicate ? 200 : 201).json({ id: lead.id, duplicate });
+  } catch (error) {
+    if (error instanceof LeadError) {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error saving lead', error);
+    res.status(500).json({ error: 'Failed to save your details. Please try again.' });
+  }
+});
+
+// API endpoint for ranked full-text search over all articles
+// Responds with { query, total, items, next }; items carry a score and a snippet with matches in <mark>
+app.get('/api/search', dataRateLimit, async (req, res) => {
+  try {
+    const { q, category, offset, limit } = parseSearchQuery(req.query);
+    log.debug('Searching articles', { q });
+
+    const { total, hits } = await dataService.searchArticleIndex(q, {
+      offset,
+      limit,
+      filter: category ? article => category.includes(String(article.category).toLowerCase()) : null
+    });
+
+    const items = hits.map(({ document, score, snippet }) => {
+      const { id, title, slug, category, source, date, description, settlementRange } = withSettlementValue(document);
+      return { id, title, slug, category, source, date, description, settlementRange, score, snippet };
+    });
+
+    res.json({
+      query: q,
+      total,
+      items,
+      next: offset + items.length < total ? offset + items.length : null
+    });
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error searching articles', error);
+    res.status(500).json({ error: 'Failed to search articles' });
+  }
+});
+
 // API endpoint to search for comprehensive condition information
-app.get('/api/search/:condition', async (req, res) => {
+app.get('/api/search/:condition', dataRateLimit, async (req, res) => {
   try {
     const { condition } = req.params;
-    console.log(`🔍 Searching for comprehensive information about: ${condition}`);
+    log.debug('Searching condition', { condition });
     
     const result = await dataService.searchCondition(condition);
-    console.log(`✅ Found information for ${condition}`);
     
     res.json(result);
   } catch (error) {
-    console.error('❌ Error searching condition:', error);
+    log.error('Error searching condition', error);
     res.status(500).json({ error: 'Failed to search condition' });
   }
 });
 
-// API endpoint to clear cache
-app.post('/api/cache/clear', async (req, res) => {
+// Admin endpoint for data cache hit/miss statistics per key family
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  try {
+    res.json(dataService.getCacheStats());
+  } catch (error) {
+    log.error('Error fetching cache stats', error);
+    res.status(500).json({ error: 'Failed to fetch cache stats' });
+  }
+});
+
+// Admin endpoint to invalidate cached data
+// Body: { prefix }, e.g. "law_firms:" or "settlements:mesothelioma"; without one everything is invalidated
+app.post('/api/admin/cache/invalidate', requireAdmin, (req, res) => {
+  try {
+    const { prefix = '' } = req.body || {};
+    if (typeof prefix !== 'string') {
+      return res.status(400).json({ error: 'prefix must be a string' });
+    }
+
+    const removed = dataService.invalidateCache(prefix);
+    log.info('Cache invalidated', { prefix: prefix || null, removed });
+    res.json({ prefix, removed });
+  } catch (error) {
+    log.error('Error invalidating cache', error);
+    res.status(500).json({ error: 'Failed to invalidate cache' });
+  }
+});
+
+// Admin endpoint for AI usage and estimated cost, rolled up by day, prompt, page and model
+// Optional `from` and `to` query parameters limit the range (YYYY-MM-DD, UTC, inclusive)
+app.get('/api/admin/usage', requireAdmin, async (req, res) => {
   try {
-    dataService.clearCache();
-    console.log('🗑️ Cache cleared');
-    res.json({ message: 'Cache cleared successfully' });
+    const { from, to } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    res.json(await usageLedger.getSummary({ from, to }));
   } catch (error) {
-    console.error('❌ Error clearing cache:', error);
-    res.status(500).json({ error: 'Failed to clear cache' });
+    log.error('Error fetching usage summary', error);
+    res.status(500).json({ error: 'Failed to fetch usage summary' });
+  }
+});
+
+// Admin endpoint previewing which law firm a hypothetical lead would be routed to
+// Body: { condition, state, language }, all optional; nothing is recorded
+app.post('/api/admin/leads/route-preview', requireAdmin, async (req, res) => {
+  try {
+    const lead = leadRouter.validatePreview(req.body);
+    res.json(await leadRouter.decide(lead));
+  } catch (error) {
+    if (error instanceof LeadError) {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Error previewing lead routing', error);
+    res.status(500).json({ error: 'Failed to preview lead routing' });
   }
 });
 
 // Test endpoint to verify API key
 app.get('/api/test', async (req, res) => {
   try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: 'Hello, this is a test.' }],
-      max_tokens: 50
-    });
+    const openAIRequest = createOpenAIRequest(
+      [{ role: 'user', content: 'Hello, this is a test.' }],
+      { max_tokens: 50 }
+    );
+    const completion = await llm.createChatCompletion(openAIRequest);
+    recordUsage(openAIRequest, completion, { route: '/api/test' });
 
     res.json({ 
       success: true, 
-      message: 'OpenAI API connection successful',
-      response: completion.choices[0].message.content 
+      message: `${llm.name} provider connection successful`,
+      provider: llm.name,
+      response: completion.content 
     });
   } catch (error) {
-    console.error('OpenAI test error:', error);
+    log.error('LLM connection test failed', error);
     res.status(500).json({ 
       success: false, 
       error: error.message,
@@ -203,26 +604,346 @@ app.get('/api/test', async (req, res) => {
   }
 });
 
+const SYSTEM_MESSAGE_REFUSED = 'systemMessage is not accepted, select a prompt with promptId instead (see GET /api/prompts)';
+
+// Render the server-owned system prompt a chat request selected with promptId and variables
+// Free-form system messages are refused so the API can't be used as a general-purpose proxy
+async function renderSystemPrompt({ systemMessage, promptId, variables } = {}) {
+  if (systemMessage !== undefined) {
+    throw new ChatRequestError(SYSTEM_MESSAGE_REFUSED);
+  }
+  return promptRegistry.render(promptId || SERVER_AI_CONFIG.prompts.defaultPrompt, variables);
+}
+
+// Build the OpenAI message list for a single-turn chat request
+function buildChatMessages(message, systemMessage) {
+  const messages = [];
+
+  if (systemMessage) {
+    messages.push({
+      role: 'system',
+      content: systemMessage
+    });
+  }
+
+  messages.push({
+    role: 'user',
+    content: message
+  });
+
+  return messages;
+}
+
+// Retrieve grounding context for a chat message from our own data
+// A retrieval failure should never fail the chat itself, so it degrades to no context
+async function retrieveGrounding(message, articleSlug = null) {
+  try {
+    const grounding = await contextRetriever.retrieve(message, { articleSlug });
+    log.info('Retrieved chat context', { tokens: grounding.tokens, articleIds: grounding.articleIds });
+    return grounding;
+  } catch (error) {
+    log.error('Error retrieving chat context', error);
+    return { context: '', articleIds: [], tokens: 0 };
+  }
+}
+
+// Stream a completion from the LLM provider to the client as server-sent events
+// Resolves with the full response and usage, or null if the stream did not complete
+// Usage is recorded under usageContext ({ route, promptId, page }) even for interrupted streams
+async function streamChatCompletion(res, openAIRequest, doneData = {}, usageContext = {}) {
+  // Stop pulling tokens from the provider if the browser goes away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  let stream;
+  try {
+    stream = await llm.streamChatCompletion(openAIRequest, { signal: abortController.signal });
+  } catch (error) {
+    // Nothing has been streamed yet, so answer with a regular JSON error
+    log.error('LLM request failed', error);
+    res.status(error.status || 500).json({ error: getServerErrorMessage(error) });
+    return null;
+  }
+
+  startSSE(res);
+
+  let response = '';
+  let usage = null;
+
+  try {
+    for await (const chunk of stream) {
+      const { content } = chunk;
+      if (content) {
+        response += content;
+        writeSSE(res, 'token', { content });
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+  } catch (error) {
+    // Tokens generated before the interruption are still billed
+    recordUsage(openAIRequest, { content: response, usage }, usageContext);
+
+    if (abortController.signal.aborted) {
+      log.info('Client disconnected, LLM stream aborted', { responseLength: response.length });
+      return null;
+    }
+    log.error('LLM stream failed', error);
+    writeSSE(res, 'error', { error: getServerErrorMessage(error) });
+    res.end();
+    return null;
+  }
+
+  log.info('LLM stream completed', { responseLength: response.length, usage });
+  recordUsage(openAIRequest, { content: response, usage }, usageContext);
+  writeSSE(res, 'done', { usage, ...doneData });
+  res.end();
+
+  return { response, usage };
+}
+
+// Send the headers that open a server-sent events response
+function startSSE(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+}
+
+// Record a completion in the usage ledger without holding up the response
+function recordUsage(openAIRequest, completion, { route, promptId = null, page = null } = {}) {
+  usageLedger.record({
+    route,
+    promptId,
+    page,
+    model: completion.model || llm.modelFor(openAIRequest),
+    usage: completion.usage,
+    messages: openAIRequest.messages,
+    response: completion.content
+  }).catch(error => log.error('Error recording usage', error));
+}
+
+// Answer with the canned response once a daily spend cap is reached
+// Uses the same shape as a normal answer, as JSON or as server-sent events
+function sendCappedResponse(res, { stream = false, ...extra } = {}) {
+  const response = SERVER_AI_CONFIG.usage.cappedResponse;
+  log.warn('Daily AI spend cap reached, sending canned response');
+
+  if (!stream) {
+    return res.json({ response, usage: null, articleIds: [], capped: true, ...extra });
+  }
+
+  startSSE(res);
+  writeSSE(res, 'token', { content: response });
+  writeSSE(res, 'done', { usage: null, articleIds: [], capped: true });
+  res.end();
+}
+
+// Give each request a correlation ID that follows it into connector calls and every log line it causes,
+// reusing the caller's X-Request-Id when it looks like one, and log the request once it finishes
+function requestLogging(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const started = Date.now();
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const fields = { requestId, method: req.method, path: req.path, status: res.statusCode, durationMs: Date.now() - started };
+    if (res.statusCode >= 500) {
+      log.error('Request failed', fields);
+    } else {
+      log.info('Request completed', fields);
+    }
+  });
+
+  runWithLogContext({ requestId }, next);
+}
+
+// Require ADMIN_API_KEY on admin routes, sent as `Authorization: Bearer <key>` or `X-Admin-Key`
+function requireAdmin(req, res, next) {
+  const adminKey = config.adminApiKey;
+  if (!adminKey) {
+    return res.status(403).json({ error: 'Admin API is disabled. Set ADMIN_API_KEY to enable it.' });
+  }
+
+  const provided = req.get('x-admin-key') || req.get('authorization')?.replace(/^Bearer\s+/i, '') || '';
+  const expected = Buffer.from(adminKey);
+  const actual = Buffer.from(provided);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return res.status(401).json({ error: 'Invalid admin key' });
+  }
+
+  next();
+}
+
+// Origin for canonical URLs: SITE_URL when set, otherwise the host the request came to
+// Production refuses to start without SITE_URL (config.js), so the Host fallback is for development only
+function siteUrl(req) {
+  return config.siteUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+// Write a single server-sent event with a JSON payload
+function writeSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 // Serve the main HTML file
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Serve individual article pages
-app.get('/article/:slug', (req, res) => {
-  res.sendFile(path.join(__dirname, 'article.html'));
+// Serve individual article pages, rendered on the server so crawlers see the full article
+const articleTemplate = fs.readFileSync(path.join(__dirname, 'article.html'), 'utf8');
+
+app.get('/article/:slug', async (req, res) => {
+  const { slug } = req.params;
+
+  try {
+    const article = await dataService.getArticleBySlug(slug);
+    if (!article) {
+      log.info('No article for page', { slug });
+      return res.status(404).type('html').send(renderNotFoundPage(articleTemplate, slug));
+    }
+
+    const related = await dataService.getRelatedArticles(article, 3);
+    res.type('html').send(renderArticlePage(articleTemplate, article, related, articleUrl(siteUrl(req), article), {
+      conditionName: dataService.synonyms.canonicalName(article.title, 'condition')
+    }));
+  } catch (error) {
+    log.error('Error rendering article page', error);
+    // The unrendered page can still load the article in the browser
+    res.sendFile(path.join(__dirname, 'article.html'));
+  }
+});
+
+// Sitemap of the home page and every article; split under a sitemap index when it gets too big
+app.get('/sitemap.xml', async (req, res) => {
+  try {
+    const { index, pages } = buildSitemaps(await dataService.getAllArticles(), siteUrl(req), SERVER_AI_CONFIG.site.sitemapMaxUrls);
+    res.type('application/xml').send(index || pages[0]);
+  } catch (error) {
+    log.error('Error building sitemap', error);
+    res.status(500).type('text/plain').send('Failed to build sitemap');
+  }
+});
+
+app.get(/^\/sitemap-(\d+)\.xml$/, async (req, res) => {
+  try {
+    const { index, pages } = buildSitemaps(await dataService.getAllArticles(), siteUrl(req), SERVER_AI_CONFIG.site.sitemapMaxUrls);
+    const page = index ? pages[Number(req.params[0]) - 1] : null;
+    if (!page) {
+      return res.status(404).type('text/plain').send('Sitemap not found');
+    }
+    res.type('application/xml').send(page);
+  } catch (error) {
+    log.error('Error building sitemap', error);
+    res.status(500).type('text/plain').send('Failed to build sitemap');
+  }
+});
+
+app.get('/robots.txt', (req, res) => {
+  res.type('text/plain').send(renderRobotsTxt(siteUrl(req)));
+});
+
+// RSS and Atom feeds of all articles, one category or one condition:
+// /feeds/articles.rss, /feeds/category/legal.atom, /feeds/condition/mesothelioma.rss
+const FEED_CATEGORIES = ['medical', 'legal', 'manufacturer'];
+
+app.get(/^\/feeds\/(?:articles|category\/([a-z]+)|condition\/([a-z0-9-]+))\.(rss|atom)$/, async (req, res) => {
+  const [category, condition, format] = [req.params[0], req.params[1], req.params[2]];
+
+  try {
+    let articles;
+    let title;
+    if (category) {
+      if (!FEED_CATEGORIES.includes(category)) {
+        return res.status(404).type('text/plain').send('Feed not found');
+      }
+      articles = (await dataService.getAllArticles()).filter(article => article.category === category);
+      title = `${SITE_NAME}: ${category[0].toUpperCase()}${category.slice(1)} Articles`;
+    } else if (condition) {
+      const match = await dataService.getConditionArticles(condition.replace(/-/g, ' '));
+      if (!match) {
+        return res.status(404).type('text/plain').send('Feed not found');
+      }
+      articles = match.articles;
+      title = `${SITE_NAME}: ${match.name}`;
+    } else {
+      articles = await dataService.getAllArticles();
+      title = SITE_NAME;
+    }
+
+    const baseUrl = siteUrl(req);
+    const items = sortFeedArticles(articles, SERVER_AI_CONFIG.site.feedSize);
+    const feed = {
+      title,
+      description: 'New and updated articles on injuries, conditions and lawsuits',
+      url: `${baseUrl}${req.path}`
+    };
+    const body = format === 'rss' ? renderRss(feed, items, baseUrl) : renderAtom(feed, items, baseUrl);
+
+    // Feed readers poll; answer 304 when they already have this version
+    res.set({
+      'Content-Type': `${FEED_FORMATS[format]}; charset=utf-8`,
+      'ETag': `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+      'Last-Modified': feedUpdated(items).toUTCString(),
+      'Cache-Control': 'public, max-age=300'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.send(body);
+  } catch (error) {
+    log.error('Error building feed', error);
+    res.status(500).type('text/plain').send('Failed to build feed');
+  }
 });
 
 // Health check
-app.get('/health', (req, res) => {
+// Liveness: the process is up and answering requests
+app.get(['/health', '/health/live'], (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Readiness: every connector in HEALTH_REQUIRED_SOURCES is configured and working
+app.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, failing } = await connectorHealth.readiness();
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'unavailable',
+      failing,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log.error('Error checking readiness', error);
+    res.status(503).json({ status: 'unavailable', error: 'Failed to check readiness' });
+  }
+});
+
+// Status of each connector: configured, last success, last error, latency and fallback data in use
+app.get('/api/status', dataRateLimit, async (req, res) => {
+  try {
+    res.json({ ...await connectorHealth.report(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    log.error('Error building status report', error);
+    res.status(500).json({ error: 'Failed to build status report' });
+  }
+});
+
 // Start server
 app.listen(port, () => {
-  console.log(`🚀 Server running at http://localhost:${port}`);
-  console.log(`🤖 OpenAI API Key: ${process.env.OPENAI_API_KEY ? 'Configured' : 'Missing'}`);
-  console.log(`📝 Visit http://localhost:${port} to use the injury info site`);
+  log.info('Server running', {
+    url: `http://localhost:${port}`,
+    llmProvider: llm.name,
+    model: config.llm.model || SERVER_AI_CONFIG.api.model
+  });
 });
 
 export default app; 
\ No newline at end of file
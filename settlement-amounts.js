@@ -0,0 +1,88 @@
+/**
+ * Settlement Amounts
+ * Turns settlement text such as "range from $1.2 million to $2.4 million" into numbers
+ */
+
+const MONEY_PATTERN = /\$\s?(\d[\d,]*(?:\.\d+)?)\s*(billion|million|thousand|[BMK])?\b/gi;
+
+const MULTIPLIERS = {
+    billion: 1e9,
+    b: 1e9,
+    million: 1e6,
+    m: 1e6,
+    thousand: 1e3,
+    k: 1e3
+};
+
+// Words between two amounts that make them a range
+const RANGE_JOINER = /^\s*(?:to|-|–|and)\s*$/i;
+
+// Company-wide totals ("$10.9 billion to settle 100,000 lawsuits") say nothing about a single case
+const AGGREGATE_SUFFIX = /^\s*(?:to settle|in settlements|for settlements|settlement fund)/i;
+
+/**
+ * Every dollar amount in a piece of text, in order
+ * @returns {Array<{value: number, start: number, end: number, aggregate: boolean}>}
+ */
+export function parseMoneyAmounts(text) {
+    const amounts = [];
+    for (const match of (text || '').matchAll(MONEY_PATTERN)) {
+        const number = parseFloat(match[1].replace(/,/g, ''));
+        const multiplier = match[2] ? MULTIPLIERS[match[2].toLowerCase()] : 1;
+        const end = match.index + match[0].length;
+
+        amounts.push({
+            value: number * multiplier,
+            start: match.index,
+            end,
+            aggregate: AGGREGATE_SUFFIX.test(text.slice(end))
+        });
+    }
+    return amounts;
+}
+
+/**
+ * The typical individual settlement described by a piece of text.
+ * Uses the first range ("$X to $Y"), otherwise the first single amount.
+ * @returns {{low: number, high: number, value: number} | null} value is the midpoint
+ */
+export function parseSettlementRange(text) {
+    const amounts = parseMoneyAmounts(text).filter(amount => !amount.aggregate);
+    if (amounts.length === 0) return null;
+
+    let low = amounts[0].value;
+    let high = amounts[0].value;
+
+    for (let i = 0; i < amounts.length - 1; i++) {
+        if (RANGE_JOINER.test(text.slice(amounts[i].end, amounts[i + 1].start))) {
+            low = Math.min(amounts[i].value, amounts[i + 1].value);
+            high = Math.max(amounts[i].value, amounts[i + 1].value);
+            break;
+        }
+    }
+
+    return { low, high, value: (low + high) / 2 };
+}
+
+/**
+ * Short display form of an amount: 1200000 -> "$1.2M"
+ */
+export function formatMoney(value) {
+    const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    for (const [size, suffix] of units) {
+        if (value >= size) {
+            return `$${Number((value / size).toFixed(1))}${suffix}`;
+        }
+    }
+    return `$${Math.round(value)}`;
+}
+
+/**
+ * Display form of a parsed range: "$1.2M - $2.4M", or a single amount
+ */
+export function formatSettlementRange(range) {
+    if (!range) return '';
+    return range.low === range.high
+        ? formatMoney(range.low)
+        : `${formatMoney(range.low)} - ${formatMoney(range.high)}`;
+}
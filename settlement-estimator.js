@@ -0,0 +1,163 @@
+/**
+ * Settlement Estimator
+ * Severity, exposure and state adjustments to a base settlement range, shared by
+ * POST /api/settlements/estimate and the settlement_calculator tool of both MCP servers
+ *
+ *   estimate = base range × severity multiplier × exposure multiplier × state multiplier
+ *
+ * Everything here is a pure function of its arguments; callers fetch the base range.
+ */
+
+import { parseSettlementRange } from './settlement-amounts.js';
+
+export const SEVERITY_MULTIPLIERS = {
+    mild: 0.7,
+    moderate: 1.0,
+    severe: 1.5,
+    terminal: 2.0
+};
+
+// Used when no data source has a range for the condition
+export const DEFAULT_BASE_RANGES = {
+    mesothelioma: { min: 1200000, max: 2400000 },
+    silicosis: { min: 500000, max: 1500000 },
+    asbestosis: { min: 300000, max: 800000 }
+};
+
+export const FALLBACK_BASE_RANGE = { min: 100000, max: 500000 };
+
+export const MAX_EXPOSURE_YEARS = 80;
+
+export const ESTIMATE_DISCLAIMER = 'This is an estimate based on historical settlement data, not legal advice. ' +
+    'Actual settlements vary based on many factors including age, income, medical expenses, and specific circumstances.';
+
+/**
+ * Raised for estimate input that can't be used, answered with a 400
+ */
+export class EstimateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EstimateError';
+        this.status = 400;
+    }
+}
+
+function optionalString(value, name, maxLength) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string' || value.trim().length > maxLength) {
+        throw new EstimateError(`${name} must be text of at most ${maxLength} characters`);
+    }
+    return value.trim() || null;
+}
+
+/**
+ * Check and normalize estimate input; severity defaults to moderate and exposure to 10 years
+ * @returns {{condition: string, severity: string, exposureYears: number, state: string|null}}
+ */
+export function validateEstimateInput(input = {}) {
+    const condition = optionalString(input.condition, 'condition', 100);
+    if (!condition) {
+        throw new EstimateError('condition is required');
+    }
+
+    const severity = (optionalString(input.severity, 'severity', 20) || 'moderate').toLowerCase();
+    if (!SEVERITY_MULTIPLIERS[severity]) {
+        throw new EstimateError(`severity must be one of: ${Object.keys(SEVERITY_MULTIPLIERS).join(', ')}`);
+    }
+
+    const exposureYears = input.exposureYears === undefined || input.exposureYears === null || input.exposureYears === ''
+        ? 10
+        : Number(input.exposureYears);
+    if (!Number.isFinite(exposureYears) || exposureYears < 0 || exposureYears > MAX_EXPOSURE_YEARS) {
+        throw new EstimateError(`exposureYears must be a number between 0 and ${MAX_EXPOSURE_YEARS}`);
+    }
+
+    return {
+        condition,
+        severity,
+        exposureYears,
+        state: optionalString(input.state, 'state', 50)
+    };
+}
+
+/**
+ * 5% more per year of exposure beyond five years (less below five), capped at 1.5
+ */
+export function exposureMultiplier(exposureYears) {
+    return Math.min(1.5, 1 + (exposureYears - 5) * 0.05);
+}
+
+/**
+ * The built-in base range for a condition, used when no data source has one
+ * @returns {{min: number, max: number, source: string}}
+ */
+export function defaultBaseRange(condition) {
+    const known = DEFAULT_BASE_RANGES[String(condition).toLowerCase()];
+    return { ...(known || FALLBACK_BASE_RANGE), source: known ? 'default' : 'fallback' };
+}
+
+/**
+ * Base range from settlement records as returned by DataIntegrationService.getSettlementData,
+ * or null if none of them states a dollar range. A record's own stateMultiplier and
+ * severityMultipliers (HubSpot has them) are carried over for estimateSettlement.
+ * @returns {{min: number, max: number, source: string, stateMultiplier?: number, severityMultipliers?: object} | null}
+ */
+export function baseRangeFromSettlements(settlements = []) {
+    for (const settlement of settlements) {
+        const range = parseSettlementRange(settlement.settlementRange) || parseSettlementRange(settlement.averageSettlement);
+        if (range) {
+            return {
+                min: range.low,
+                max: range.high,
+                source: settlement.source || 'unknown',
+                ...(settlement.stateMultiplier != null && { stateMultiplier: settlement.stateMultiplier }),
+                ...(settlement.severityMultipliers && { severityMultipliers: settlement.severityMultipliers })
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Apply the multipliers to a base range
+ * @param {object} input - Output of validateEstimateInput
+ * @param {object} base - { min, max, source }, plus the source's own stateMultiplier and severityMultipliers if it has them
+ */
+export function estimateSettlement(input, base) {
+    const severityMultipliers = { ...SEVERITY_MULTIPLIERS, ...(base.severityMultipliers || {}) };
+    const multipliers = {
+        severity: severityMultipliers[input.severity] ?? 1.0,
+        exposure: Number(exposureMultiplier(input.exposureYears).toFixed(4)),
+        state: base.stateMultiplier ?? 1.0
+    };
+    const total = multipliers.severity * multipliers.exposure * multipliers.state;
+
+    return {
+        condition: input.condition,
+        severity: input.severity,
+        exposureYears: input.exposureYears,
+        state: input.state,
+        min: Math.round(base.min * total),
+        max: Math.round(base.max * total),
+        baseRange: { min: base.min, max: base.max },
+        multipliers,
+        source: base.source,
+        disclaimer: ESTIMATE_DISCLAIMER
+    };
+}
+
+/**
+ * Plain-text estimate for MCP tool responses
+ */
+export function formatEstimateText(estimate, sourceLabel = null) {
+    const { condition, severity, exposureYears, state, multipliers } = estimate;
+
+    return `Settlement Estimate for ${condition}${sourceLabel ? ` (${sourceLabel})` : ''}:\n\n` +
+        `Condition: ${condition}\n` +
+        `Severity: ${severity} (×${multipliers.severity})\n` +
+        `Exposure Years: ${exposureYears} (×${multipliers.exposure})\n` +
+        `${state ? `State: ${state} (×${multipliers.state})\n` : ''}` +
+        `\n**Estimated Settlement Range: $${estimate.min.toLocaleString()} - $${estimate.max.toLocaleString()}**\n\n` +
+        `Data source: ${estimate.source}\n\n` +
+        `*${estimate.disclaimer}*`;
+}
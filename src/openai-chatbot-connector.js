@@ -1,14 +1,15 @@
-import OpenAI from "openai";
-import dotenv from "dotenv";
+import { createConfiguredLLMProvider } from "../llm-provider.js";
+import { SERVER_AI_CONFIG } from "../server-ai-config.js";
+import { createLogger } from "../logger.js";
 
-// Load environment variables
-dotenv.config({ path: '.env.local' });
+const log = createLogger("chatbot");
 
 class OpenAIChatbotConnector {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+  /**
+   * @param {object} provider - LLM provider from llm-provider.js, defaults to the configured one
+   */
+  constructor(provider = createConfiguredLLMProvider()) {
+    this.provider = provider;
     
     this.conversationHistory = [];
     this.maxHistoryLength = 10; // Keep last 10 messages for context
@@ -38,8 +39,8 @@ class OpenAIChatbotConnector {
       ];
 
       // Create chat completion
-      const completion = await this.openai.chat.completions.create({
-        model: options.model || "gpt-4o-mini",
+      const completion = await this.provider.createChatCompletion({
+        model: options.model || SERVER_AI_CONFIG.api.model,
         messages: messages,
         temperature: options.temperature || 0.7,
         max_tokens: options.maxTokens || 500,
@@ -47,7 +48,7 @@ class OpenAIChatbotConnector {
         ...options
       });
 
-      const assistantMessage = completion.choices[0].message.content;
+      const assistantMessage = completion.content;
 
       // Add assistant response to history
       this.conversationHistory.push({
@@ -62,7 +63,7 @@ class OpenAIChatbotConnector {
 
       return assistantMessage;
     } catch (error) {
-      console.error('Error in OpenAI chatbot:', error);
+      log.error('Error in OpenAI chatbot', error);
       throw new Error(`Chatbot error: ${error.message}`);
     }
   }
@@ -75,8 +76,8 @@ class OpenAIChatbotConnector {
    */
   async generateResponse(prompt, options = {}) {
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: options.model || "gpt-4o-mini",
+      const completion = await this.provider.createChatCompletion({
+        model: options.model || SERVER_AI_CONFIG.api.model,
         messages: [
           {
             role: "system",
@@ -93,9 +94,9 @@ class OpenAIChatbotConnector {
         ...options
       });
 
-      return completion.choices[0].message.content;
+      return completion.content;
     } catch (error) {
-      console.error('Error generating response:', error);
+      log.error('Error generating response', error);
       throw new Error(`Response generation error: ${error.message}`);
     }
   }
@@ -122,10 +123,10 @@ class OpenAIChatbotConnector {
   async testConnection() {
     try {
       const response = await this.generateResponse("Hello, this is a test message.");
-      console.log('OpenAI API connection test successful:', response);
+      log.info('OpenAI API connection test successful', { responseLength: response.length });
       return true;
     } catch (error) {
-      console.error('OpenAI API connection test failed:', error);
+      log.error('OpenAI API connection test failed', error);
       return false;
     }
   }
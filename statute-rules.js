@@ -0,0 +1,313 @@
+/**
+ * Statute Rules
+ * Statutes of limitations for all 50 states and DC, loaded from data/statutes-of-limitations.json,
+ * and the filing deadline they give for a claim
+ *
+ * Used by POST /api/legal/deadline, the legal_timeline MCP tools and the local database.
+ * Results are general information, not legal advice; every response carries a disclaimer.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('statutes');
+
+// Claim type -> limit field in the rules file
+export const CLAIM_TYPES = {
+    'personal-injury': 'personalInjury',
+    'wrongful-death': 'wrongfulDeath',
+    'product-liability': 'productLiability'
+};
+
+const DISCOVERY_RULES = ['full', 'limited', 'none'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEADLINE_DISCLAIMER = 'This deadline is an estimate from general state rules, not legal advice. ' +
+    'Exceptions and tolling can shorten or extend it; confirm the deadline with an attorney licensed in your state.';
+
+/**
+ * Raised for deadline input that can't be used, answered with a 400
+ */
+export class DeadlineError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DeadlineError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Guess the claim type from a free-text injury type; anything unrecognized is personal injury
+ */
+export function resolveClaimType(injuryType) {
+    const text = String(injuryType || '').toLowerCase();
+    if (CLAIM_TYPES[text]) return text;
+    if (/\b(wrongful death|death|died|fatal)\b/.test(text)) return 'wrongful-death';
+    if (/\b(product|defective|device|implant|drug|medication|recall|toxic|exposure)/.test(text)) return 'product-liability';
+    return 'personal-injury';
+}
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ */
+export function parseDate(value, name) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        throw new DeadlineError(`${name} must be a date in YYYY-MM-DD format`);
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        throw new DeadlineError(`${name} is not a valid date`);
+    }
+    return date;
+}
+
+export function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The same calendar day a number of years later. A February 29 start ends on February 28,
+ * the earlier of the two possible readings.
+ */
+export function addYears(date, years) {
+    const result = new Date(date);
+    result.setUTCFullYear(result.getUTCFullYear() + years);
+    if (result.getUTCDate() !== date.getUTCDate()) {
+        result.setUTCDate(0);
+    }
+    return result;
+}
+
+/**
+ * Whether a state note applies to a claim. A note is a string, which always applies, or
+ * { text, claimTypes, injuries }, limited to those claim types and to injury types that
+ * mention one of `injuries`.
+ */
+function noteApplies(note, claimType, injuryType) {
+    if (typeof note === 'string') return true;
+    if (note.claimTypes && !note.claimTypes.includes(claimType)) return false;
+    if (note.injuries) {
+        const text = String(injuryType || '').toLowerCase();
+        return note.injuries.some(term => text.includes(term));
+    }
+    return true;
+}
+
+function noteText(note) {
+    return typeof note === 'string' ? note : note.text;
+}
+
+export class StatuteRules {
+    constructor(config = {}) {
+        this.file = path.resolve(config.file || 'data/statutes-of-limitations.json');
+        this.states = new Map();
+        this.generalNotes = [];
+
+        this.reload();
+    }
+
+    /**
+     * Read the rules file. A broken file keeps the previously loaded rules.
+     */
+    reload() {
+        try {
+            const { states, generalNotes = [] } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            const loaded = new Map();
+
+            for (const rule of states) {
+                this.validate(rule);
+                loaded.set(rule.code.toLowerCase(), rule);
+                loaded.set(rule.name.toLowerCase(), rule);
+            }
+
+            this.states = loaded;
+            this.generalNotes = generalNotes;
+            log.info('Loaded statutes of limitations', { jurisdictions: states.length });
+        } catch (error) {
+            log.error('Invalid statute rules', { file: this.file, error });
+        }
+        return this.states.size / 2;
+    }
+
+    validate(rule) {
+        if (!rule.code || !rule.name) {
+            throw new Error('every state needs a code and a name');
+        }
+        for (const field of Object.values(CLAIM_TYPES)) {
+            if (!(rule[field] > 0)) {
+                throw new Error(`${rule.code}: ${field} must be a positive number of years`);
+            }
+        }
+        if (!DISCOVERY_RULES.includes(rule.discoveryRule)) {
+            throw new Error(`${rule.code}: discoveryRule must be one of ${DISCOVERY_RULES.join(', ')}`);
+        }
+        for (const note of rule.notes || []) {
+            if (typeof note === 'string') continue;
+            if (typeof note?.text !== 'string') {
+                throw new Error(`${rule.code}: every note needs text`);
+            }
+            if (note.claimTypes && !note.claimTypes.every(type => CLAIM_TYPES[type])) {
+                throw new Error(`${rule.code}: note claimTypes must be among ${Object.keys(CLAIM_TYPES).join(', ')}`);
+            }
+            if (note.injuries && !(Array.isArray(note.injuries) && note.injuries.length > 0)) {
+                throw new Error(`${rule.code}: note injuries must be a non-empty list`);
+            }
+        }
+    }
+
+    /**
+     * Rules for a state by code ("TX") or name ("Texas"), or null
+     */
+    find(state) {
+        return this.states.get(String(state || '').trim().toLowerCase()) || null;
+    }
+
+    /**
+     * Limits for every claim type in a state, for display
+     */
+    getTimeline(state) {
+        const rule = this.find(state);
+        if (!rule) return null;
+
+        return {
+            state: { code: rule.code, name: rule.name },
+            personalInjury: rule.personalInjury,
+            wrongfulDeath: rule.wrongfulDeath,
+            productLiability: rule.productLiability,
+            productLiabilityRepose: rule.productLiabilityRepose || null,
+            discoveryRule: rule.discoveryRule,
+            notes: [...(rule.notes || []).map(noteText), ...this.generalNotes]
+        };
+    }
+
+    /**
+     * Years allowed for a claim, using an earlier limit when the injury predates a change in the law
+     */
+    limitFor(rule, claimType, injuryDate) {
+        const field = CLAIM_TYPES[claimType];
+        const earlier = (rule.earlierLimits?.[field] || [])
+            .filter(limit => injuryDate < parseDate(limit.before, 'before'))
+            .sort((a, b) => a.before.localeCompare(b.before))[0];
+
+        return earlier ? { years: earlier.years, before: earlier.before } : { years: rule[field], before: null };
+    }
+
+    /**
+     * Compute a filing deadline
+     * @param {object} input - state, injuryType or claimType, injuryDate (the date of death for
+     *   wrongful death), optional diagnosisDate, and asOf (defaults to today) for daysRemaining
+     */
+    computeDeadline(input = {}) {
+        if (!input.state) {
+            throw new DeadlineError('state is required');
+        }
+        const rule = this.find(input.state);
+        if (!rule) {
+            throw new DeadlineError(`Unknown state: ${input.state}`);
+        }
+
+        if (input.claimType && !CLAIM_TYPES[input.claimType]) {
+            throw new DeadlineError(`claimType must be one of: ${Object.keys(CLAIM_TYPES).join(', ')}`);
+        }
+        const claimType = input.claimType || resolveClaimType(input.injuryType);
+
+        if (!input.injuryDate) {
+            throw new DeadlineError('injuryDate is required');
+        }
+        const injuryDate = parseDate(input.injuryDate, 'injuryDate');
+        const diagnosisDate = input.diagnosisDate ? parseDate(input.diagnosisDate, 'diagnosisDate') : null;
+        const asOf = input.asOf ? parseDate(input.asOf, 'asOf') : new Date(`${formatDate(new Date())}T00:00:00Z`);
+
+        if (injuryDate > asOf) {
+            throw new DeadlineError('injuryDate cannot be in the future');
+        }
+        // A diagnosis before the date of death is expected for wrongful death
+        if (diagnosisDate && diagnosisDate < injuryDate && claimType !== 'wrongful-death') {
+            throw new DeadlineError('diagnosisDate cannot be before injuryDate');
+        }
+
+        const { years, before } = this.limitFor(rule, claimType, injuryDate);
+        // Only the state's notes for this kind of claim, e.g. no asbestos note for a Roundup claim
+        const notes = (rule.notes || [])
+            .filter(note => noteApplies(note, claimType, input.injuryType))
+            .map(noteText);
+
+        // Wrongful death runs from the death; otherwise a later diagnosis may start the clock
+        let clockStarts = claimType === 'wrongful-death' ? 'death' : 'injury';
+        let start = injuryDate;
+        let alternativeDeadline = null;
+
+        if (clockStarts === 'injury' && diagnosisDate && diagnosisDate > injuryDate) {
+            if (rule.discoveryRule === 'full') {
+                clockStarts = 'diagnosis';
+                start = diagnosisDate;
+            } else if (rule.discoveryRule === 'limited') {
+                alternativeDeadline = formatDate(addYears(diagnosisDate, years));
+                notes.push(`${rule.name} applies the discovery rule only to some claims. If it applies here, the deadline may be ${alternativeDeadline}.`);
+            }
+        }
+
+        if (claimType === 'product-liability' && rule.productLiabilityRepose) {
+            notes.push(`Product claims in ${rule.name} must also be filed within ${rule.productLiabilityRepose} years of the product's first sale.`);
+        }
+
+        const deadline = addYears(start, years);
+        const daysRemaining = Math.round((deadline - asOf) / DAY_MS);
+
+        return {
+            state: { code: rule.code, name: rule.name },
+            claimType,
+            injuryType: input.injuryType || null,
+            injuryDate: formatDate(injuryDate),
+            diagnosisDate: diagnosisDate ? formatDate(diagnosisDate) : null,
+            deadline: formatDate(deadline),
+            daysRemaining,
+            expired: daysRemaining < 0,
+            rule: {
+                years,
+                clockStarts,
+                discoveryRule: rule.discoveryRule,
+                appliesToInjuriesBefore: before,
+                productLiabilityRepose: claimType === 'product-liability' ? rule.productLiabilityRepose || null : null
+            },
+            alternativeDeadline,
+            notes: [...notes, ...this.generalNotes],
+            disclaimer: DEADLINE_DISCLAIMER
+        };
+    }
+}
+
+/**
+ * Plain-text statute summary for MCP tool responses, with the computed deadline when there is one
+ */
+export function formatTimelineText(timeline, { injuryType = null, deadline = null } = {}) {
+    const discovery = {
+        full: 'the clock starts when the injury is discovered or diagnosed',
+        limited: 'applies only to some claims, such as latent disease',
+        none: 'the clock always starts on the date of injury'
+    }[timeline.discoveryRule];
+
+    let text = `**Statute of Limitations in ${timeline.state.name}:**\n` +
+        `• Personal Injury: ${timeline.personalInjury} years\n` +
+        `• Wrongful Death: ${timeline.wrongfulDeath} years\n` +
+        `• Product Liability: ${timeline.productLiability} years` +
+        `${timeline.productLiabilityRepose ? ` (no later than ${timeline.productLiabilityRepose} years after first sale)` : ''}\n` +
+        `• Discovery Rule: ${discovery}\n`;
+
+    if (deadline) {
+        text += `\n**Estimated Filing Deadline${injuryType ? ` for ${injuryType}` : ''}: ${deadline.deadline}** ` +
+            `(${deadline.rule.years} years from the ${deadline.rule.clockStarts} date, ${deadline.claimType.replace('-', ' ')})\n` +
+            `${deadline.expired ? 'This deadline may have passed.' : `${deadline.daysRemaining} days remaining.`}\n`;
+    }
+
+    const notes = deadline ? deadline.notes : timeline.notes;
+    if (notes.length > 0) {
+        text += `\n**Notes:**\n${notes.map(note => `• ${note}`).join('\n')}\n`;
+    }
+
+    return text + `\n*${DEADLINE_DISCLAIMER}*`;
+}
@@ -0,0 +1,162 @@
+/**
+ * Synonym Dictionary
+ * Aliases for conditions, products and manufacturers, loaded from data/synonyms.json
+ *
+ * Entry format:
+ *   { "id": "roundup", "type": "product", "name": "Roundup",
+ *     "aliases": ["glyphosate", "weedkiller"], "related": ["non-hodgkin-lymphoma", "bayer"] }
+ *
+ * A query matches an entry when it contains the entry's name or one of its aliases,
+ * allowing a typo or two in longer words ("mesothelioma" -> "mesotheleoma").
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('synonyms');
+
+/**
+ * Lowercase, drop apostrophes and turn punctuation into single spaces
+ * ("Parkinson's Disease" -> "parkinsons disease", "Non-Hodgkin" -> "non hodgkin")
+ */
+export function normalizeTerm(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9&]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Whether some term starts a word in the text, so "talc" matches "Talcum Powder"
+ */
+export function matchesAnyTerm(text, terms) {
+    const normalized = ` ${normalizeTerm(text)}`;
+    return terms.some(term => normalized.includes(` ${normalizeTerm(term)}`));
+}
+
+// Typos tolerated for a term of this many characters
+function allowedEdits(length) {
+    if (length < 5) return 0;
+    if (length < 9) return 1;
+    return 2;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of adjacent characters
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+            }
+        }
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
+
+export class SynonymDictionary {
+    constructor(config = {}) {
+        this.file = path.resolve(config.file || 'data/synonyms.json');
+        this.entries = new Map();
+
+        this.reload();
+    }
+
+    /**
+     * Read the dictionary file. A broken file keeps the previously loaded entries.
+     */
+    reload() {
+        try {
+            const { entries } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            const loaded = new Map();
+
+            for (const entry of entries) {
+                if (!entry.id || !entry.name) {
+                    throw new Error('every entry needs an id and a name');
+                }
+                loaded.set(entry.id, {
+                    ...entry,
+                    aliases: entry.aliases || [],
+                    related: entry.related || [],
+                    terms: [entry.name, ...(entry.aliases || [])].map(normalizeTerm)
+                });
+            }
+
+            for (const entry of loaded.values()) {
+                const unknown = entry.related.filter(id => !loaded.has(id));
+                if (unknown.length > 0) {
+                    throw new Error(`${entry.id} is related to unknown entries: ${unknown.join(', ')}`);
+                }
+            }
+
+            this.entries = loaded;
+            log.info('Loaded synonym entries', { count: loaded.size });
+        } catch (error) {
+            log.error('Invalid synonym dictionary', { file: this.file, error });
+        }
+        return this.entries.size;
+    }
+
+    /**
+     * Entries whose name or aliases appear in a query, typos allowed
+     */
+    lookup(query) {
+        const words = normalizeTerm(query).split(' ').filter(Boolean);
+        if (words.length === 0) return [];
+
+        return [...this.entries.values()].filter(entry => entry.terms.some(term => {
+            const size = term.split(' ').length;
+            const max = allowedEdits(term.length);
+
+            for (let i = 0; i + size <= words.length; i++) {
+                if (editDistance(words.slice(i, i + size).join(' '), term, max) <= max) return true;
+            }
+            return false;
+        }));
+    }
+
+    /**
+     * The query plus the names and aliases of matched entries and the names of related entries,
+     * all normalized. Returns just the normalized query when nothing matches.
+     */
+    expand(query) {
+        const terms = new Set([normalizeTerm(query)]);
+
+        for (const entry of this.lookup(query)) {
+            entry.terms.forEach(term => terms.add(term));
+            entry.related.forEach(id => terms.add(normalizeTerm(this.entries.get(id).name)));
+        }
+
+        terms.delete('');
+        return [...terms];
+    }
+
+    /**
+     * Name of the entry a query refers to: canonicalName('mesotheleoma') -> 'Mesothelioma'.
+     * With a type, related entries count too: canonicalName('talc', 'condition') -> 'Ovarian Cancer'.
+     * Falls back to the query itself.
+     */
+    canonicalName(query, type = null) {
+        const matches = this.lookup(query);
+        const direct = matches.find(entry => !type || entry.type === type);
+        if (direct) return direct.name;
+
+        for (const entry of matches) {
+            const related = entry.related.map(id => this.entries.get(id)).find(other => other.type === type);
+            if (related) return related.name;
+        }
+        return query;
+    }
+}
@@ -2,8 +2,11 @@
  * Test script for the new data integration API endpoints
  */
 
+import { getConfig } from './config.js';
+
 async function testAPI() {
-    const baseUrl = 'http://localhost:3000';
+    const config = getConfig();
+    const baseUrl = `http://localhost:${config.port}`;
     
     console.log('🧪 Testing Data Integration API Endpoints...\n');
     
@@ -18,11 +21,16 @@ async function testAPI() {
         console.log('\n2. Testing articles endpoint...');
         const articlesResponse = await fetch(`${baseUrl}/api/articles`);
         const articlesData = await articlesResponse.json();
-        console.log(`✅ Articles endpoint: ${articlesData.length} articles found`);
+        console.log(`✅ Articles endpoint: ${articlesData.total} articles found`);
         
-        if (articlesData.length > 0) {
-            console.log('   Sample article:', articlesData[0].title);
+        if (articlesData.items.length > 0) {
+            console.log('   Sample article:', articlesData.items[0].title);
         }
+
+        // Test articles filtering and sorting
+        const sortedResponse = await fetch(`${baseUrl}/api/articles?category=legal&sort=settlement&limit=3`);
+        const sortedData = await sortedResponse.json();
+        console.log(`✅ Legal articles by settlement: ${sortedData.items.map(article => `${article.title} (${article.settlementRange})`).join(', ')}`);
         
         // Test law firms endpoint
         console.log('\n3. Testing law firms endpoint...');
@@ -43,11 +51,24 @@ async function testAPI() {
         console.log('✅ Search endpoint:', searchData.condition);
         console.log(`   Found ${searchData.articles.length} articles, ${searchData.lawFirms.length} law firms`);
         
-        // Test cache clear endpoint
-        console.log('\n6. Testing cache clear endpoint...');
-        const cacheResponse = await fetch(`${baseUrl}/api/cache/clear`, { method: 'POST' });
-        const cacheData = await cacheResponse.json();
-        console.log('✅ Cache clear endpoint:', cacheData.message);
+        // Test cache admin endpoints
+        console.log('\n6. Testing cache admin endpoints...');
+        if (config.adminApiKey) {
+            const headers = { 'x-admin-key': config.adminApiKey, 'Content-Type': 'application/json' };
+            const statsResponse = await fetch(`${baseUrl}/api/admin/cache`, { headers });
+            const statsData = await statsResponse.json();
+            console.log(`✅ Cache stats endpoint: ${statsData.entries} entries`);
+
+            const cacheResponse = await fetch(`${baseUrl}/api/admin/cache/invalidate`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ prefix: 'law_firms:' })
+            });
+            const cacheData = await cacheResponse.json();
+            console.log(`✅ Cache invalidate endpoint: ${cacheData.removed} entries removed`);
+        } else {
+            console.log('⏭️ Skipped, set ADMIN_API_KEY to test the admin endpoints');
+        }
         
         console.log('\n🎉 All API endpoints are working correctly!');
         
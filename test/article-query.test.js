@@ -0,0 +1,26 @@
+/**
+ * Article query parameters: date ranges must be real calendar dates
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArticleQuery, QueryError } from '../article-query.js';
+
+test('valid dates pass through', () => {
+    const query = parseArticleQuery({ from: '2024-02-29', to: '2024-12-31' });
+    assert.equal(query.from, '2024-02-29');
+    assert.equal(query.to, '2024-12-31');
+});
+
+test('impossible dates are rejected with a 400', () => {
+    for (const [name, value] of [['from', '2024-13-45'], ['to', '2023-02-29'], ['from', '2024-04-31']]) {
+        assert.throws(() => parseArticleQuery({ [name]: value }), error =>
+            error instanceof QueryError && error.status === 400 && error.message === `${name} is not a valid date`);
+    }
+});
+
+test('badly formatted dates are rejected', () => {
+    for (const value of ['2024-1-5', 'yesterday', ['2024-01-01', '2024-02-01']]) {
+        assert.throws(() => parseArticleQuery({ from: value }), /from must be a date in YYYY-MM-DD format/);
+    }
+});
@@ -0,0 +1,36 @@
+/**
+ * ChatContextRetriever: questions are analyzed like search queries and ranked against article sections
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatContextRetriever, tokenize } from '../chat-context-retriever.js';
+
+const ARTICLES = [
+    { id: 1, slug: 'roundup-cancer', title: 'Roundup and Cancer', content: { overview: 'Roundup lawsuits allege the weed killer causes lymphoma.' } },
+    { id: 2, slug: 'talc-cancer', title: 'Talc and Ovarian Cancer', content: { overview: 'Talc powder lawsuits are pending.' } }
+];
+
+const dataService = {
+    getAllArticles: async () => ARTICLES,
+    getSettlementData: async () => [],
+    getLawFirms: async () => []
+};
+
+test('tokenize drops the search engine stop words and stems like the search index', () => {
+    assert.deepEqual(tokenize('Should I file lawsuits for my lymphoma?'), ['file', 'lawsuit', 'lymphoma']);
+});
+
+test('a plural question matches singular article text', async () => {
+    const retriever = new ChatContextRetriever(dataService);
+
+    const { articleIds } = await retriever.retrieve('weed killers');
+    assert.deepEqual(articleIds, [1]);
+});
+
+test('the article the user is reading is boosted', async () => {
+    const retriever = new ChatContextRetriever(dataService, { maxChunks: 1 });
+
+    const { articleIds } = await retriever.retrieve('cancer lawsuits', { articleSlug: 'talc-cancer' });
+    assert.deepEqual(articleIds, [2]);
+});
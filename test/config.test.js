@@ -0,0 +1,24 @@
+/**
+ * Configuration checks: production needs SITE_URL, since absolute URLs would otherwise come from the Host header
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildConfig, ConfigError } from '../config.js';
+
+const OFFLINE = { LLM_PROVIDER: 'mock' };
+
+test('production requires SITE_URL', () => {
+    assert.throws(() => buildConfig({ ...OFFLINE, NODE_ENV: 'production' }), error =>
+        error instanceof ConfigError && error.problems.includes('SITE_URL is required when NODE_ENV is production'));
+
+    const config = buildConfig({ ...OFFLINE, NODE_ENV: 'production', SITE_URL: 'https://www.example.com/' });
+    assert.equal(config.siteUrl, 'https://www.example.com');
+    assert.equal(config.environment, 'production');
+});
+
+test('development starts without SITE_URL', () => {
+    const config = buildConfig(OFFLINE);
+    assert.equal(config.siteUrl, null);
+    assert.equal(config.environment, 'development');
+});
@@ -0,0 +1,34 @@
+/**
+ * ConnectorHealth checks: a check that runs past checkTimeout is aborted and counts as down
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConnectorHealth } from '../connector-health.js';
+
+test('a hung health check is aborted through its signal', async () => {
+    const health = new ConnectorHealth({ required: ['hubspot'], checkTimeout: 50 });
+    let checkSignal = null;
+    health.register('hubspot', {
+        check: signal => {
+            checkSignal = signal;
+            // Like a request whose upstream never answers: it only ends when aborted
+            return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+        }
+    });
+
+    const { ready, failing } = await health.readiness();
+    assert.equal(ready, false);
+    assert.deepEqual(failing, ['hubspot']);
+    assert.equal(checkSignal.aborted, true);
+    assert.match(health.connectors.get('hubspot').lastError, /timed out after 50ms/);
+});
+
+test('a check that answers in time marks the connector up', async () => {
+    const health = new ConnectorHealth({ required: ['hubspot'], checkTimeout: 50 });
+    let checkSignal = null;
+    health.register('hubspot', { check: async signal => { checkSignal = signal; } });
+
+    assert.deepEqual(await health.readiness(), { ready: true, failing: [] });
+    assert.equal(checkSignal.aborted, false);
+});
@@ -0,0 +1,144 @@
+/**
+ * DataCache: fresh hits, stale-while-revalidate, negative caching and keeping the last good value
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'stream';
+import { DataCache } from '../data-cache.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ destination: new Writable({ write: (chunk, encoding, done) => done() }) });
+
+const POLICIES = { articles: { ttl: 1000, staleTtl: 5000, negativeTtl: 200 } };
+
+/**
+ * A cache on a clock the test moves by hand
+ */
+function createCache(t, config = {}) {
+    const clock = { now: 1_000_000 };
+    t.mock.method(Date, 'now', () => clock.now);
+    return { cache: new DataCache({ policies: POLICIES, ...config }), clock };
+}
+
+// A loader that counts its calls and returns the next of `values`, throwing any Error among them
+function loaderOf(...values) {
+    const loader = async () => {
+        const value = values[Math.min(loader.calls++, values.length - 1)];
+        if (value instanceof Error) throw value;
+        return value;
+    };
+    loader.calls = 0;
+    return loader;
+}
+
+// Let a background refresh finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('a fresh value is served without calling the loader', async t => {
+    const { cache, clock } = createCache(t);
+    const loader = loaderOf(['a'], ['b']);
+
+    assert.deepEqual(await cache.get('articles:all', loader), ['a']);
+    clock.now += 999;
+    assert.deepEqual(await cache.get('articles:all', loader), ['a']);
+    assert.equal(loader.calls, 1);
+    assert.equal(cache.getStats().families.articles.hits, 1);
+});
+
+test('a stale value is served at once while it refreshes in the background', async t => {
+    const { cache, clock } = createCache(t);
+    const loader = loaderOf(['a'], ['b']);
+
+    await cache.get('articles:all', loader);
+    clock.now += 1500;
+    assert.deepEqual(await cache.get('articles:all', loader), ['a']);
+    await settle();
+    assert.equal(loader.calls, 2);
+    assert.deepEqual(await cache.get('articles:all', loader), ['b']);
+    assert.equal(cache.getStats().families.articles.staleHits, 1);
+});
+
+test('past the stale window the caller waits for a new value', async t => {
+    const { cache, clock } = createCache(t);
+    const loader = loaderOf(['a'], ['b']);
+
+    await cache.get('articles:all', loader);
+    clock.now += 6001;
+    assert.deepEqual(await cache.get('articles:all', loader), ['b']);
+    assert.equal(cache.getStats().families.articles.misses, 2);
+});
+
+test('concurrent misses share one load', async t => {
+    const { cache } = createCache(t);
+    const loader = loaderOf(['a']);
+
+    const values = await Promise.all([cache.get('articles:all', loader), cache.get('articles:all', loader)]);
+    assert.deepEqual(values, [['a'], ['a']]);
+    assert.equal(loader.calls, 1);
+});
+
+test('empty results are cached only for the negative TTL', async t => {
+    const { cache, clock } = createCache(t);
+    const loader = loaderOf([], ['a']);
+
+    assert.deepEqual(await cache.get('articles:all', loader), []);
+    clock.now += 100;
+    assert.deepEqual(await cache.get('articles:all', loader), []);
+    assert.equal(loader.calls, 1);
+
+    clock.now += 200;
+    assert.deepEqual(await cache.get('articles:all', loader), ['a']);
+    assert.equal(cache.getStats().families.articles.negativeHits, 1);
+});
+
+test('a failed or empty refresh keeps the last good value and retries after the negative TTL', async t => {
+    const { cache, clock } = createCache(t);
+    const loader = loaderOf(['a'], new Error('HubSpot is down'), [], ['b']);
+
+    await cache.get('articles:all', loader);
+    clock.now += 6001;
+    assert.deepEqual(await cache.get('articles:all', loader), ['a']);
+
+    // Kept fresh until the retry time, so the failing source isn't asked on every request
+    clock.now += 100;
+    assert.deepEqual(await cache.get('articles:all', loader), ['a']);
+    assert.equal(loader.calls, 2);
+
+    clock.now += 200;
+    assert.deepEqual(await cache.get('articles:all', loader), ['a']);
+    assert.equal(loader.calls, 3);
+
+    clock.now += 300;
+    assert.deepEqual(await cache.get('articles:all', loader), ['b']);
+    const stats = cache.getStats().families.articles;
+    assert.equal(stats.staleOnError, 2);
+    assert.equal(stats.errors, 1);
+});
+
+test('a failed load with nothing cached rejects', async t => {
+    const { cache } = createCache(t);
+
+    await assert.rejects(cache.get('articles:all', loaderOf(new Error('HubSpot is down'))), /HubSpot is down/);
+});
+
+test('invalidation drops keys by prefix', async t => {
+    const { cache } = createCache(t);
+    await cache.get('articles:all', loaderOf(['a']));
+    await cache.get('law_firms:mesothelioma', loaderOf(['firm']));
+
+    assert.equal(cache.invalidate('articles:'), 1);
+    assert.equal(cache.getStats().entries, 1);
+});
+
+test('the oldest entries are dropped beyond maxEntries', async t => {
+    const { cache } = createCache(t, { maxEntries: 2 });
+    for (const key of ['articles:1', 'articles:2', 'articles:3']) {
+        await cache.get(key, loaderOf([key]));
+    }
+
+    const loader = loaderOf(['reloaded']);
+    assert.deepEqual(await cache.get('articles:1', loader), ['reloaded']);
+    assert.deepEqual(await cache.get('articles:3', loader), ['articles:3']);
+    assert.equal(loader.calls, 1);
+});
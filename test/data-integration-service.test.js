@@ -0,0 +1,165 @@
+/**
+ * DataIntegrationService with a failing HubSpot: the circuit breaker counts the failures,
+ * opens, and callers get the fallback data without HubSpot being called again
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'stream';
+import { DataIntegrationService } from '../data-integration-service.js';
+import { configureLogger } from '../logger.js';
+
+// The failures are expected; keep their logs out of the test output
+configureLogger({ destination: new Writable({ write: (chunk, encoding, done) => done() }) });
+
+const SOURCES = {
+    hubspot: { enabled: true, accessToken: 'test-token', portalId: null },
+    googleSheets: { enabled: false },
+    database: { enabled: false }
+};
+
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: '',
+        headers: new Map(),
+        text: async () => JSON.stringify(body)
+    };
+}
+
+/**
+ * A service whose HubSpot requests all get `status`, with no retries so each lookup is one request
+ */
+function createService(status, breaker = { timeout: 1000, failureThreshold: 3, resetTimeout: 60 * 1000 }) {
+    const service = new DataIntegrationService({
+        sources: SOURCES,
+        circuitBreakers: { hubspot: breaker, googleSheets: breaker }
+    });
+    const requests = [];
+    service.hubspot.http.maxRetries = 0;
+    service.hubspot.http.fetch = async url => {
+        requests.push(url);
+        return jsonResponse(status, { message: 'HubSpot is down' });
+    };
+    return { service, requests };
+}
+
+test('repeated HubSpot failures open the circuit', async () => {
+    const { service, requests } = createService(503);
+
+    for (let i = 0; i < 3; i++) {
+        assert.deepEqual(await service.getLawFirmsFromHubSpot('mesothelioma'), []);
+    }
+    assert.equal(requests.length, 3);
+    assert.equal(service.breakers.hubspot.snapshot().state, 'open');
+
+    // While open, lookups fail fast without calling HubSpot
+    assert.deepEqual(await service.getLawFirmsFromHubSpot('mesothelioma'), []);
+    assert.equal(requests.length, 3);
+    assert.equal(service.breakers.hubspot.snapshot().rejected, 1);
+});
+
+test('HubSpot settlement failures count towards the circuit', async () => {
+    const { service, requests } = createService(503);
+
+    for (let i = 0; i < 3; i++) {
+        assert.deepEqual(await service.getSettlementDataFromHubSpot('mesothelioma'), []);
+    }
+    assert.equal(service.breakers.hubspot.snapshot().state, 'open');
+    assert.deepEqual(await service.getSettlementDataFromHubSpot('mesothelioma'), []);
+    assert.equal(requests.length, 3);
+});
+
+test('settlement lookups fall back to default data when HubSpot fails', async () => {
+    const { service } = createService(401);
+
+    const settlements = await service.getSettlementData('mesothelioma');
+    assert.ok(settlements.length > 0);
+    assert.ok(settlements.every(settlement => settlement.source !== 'hubspot'));
+    assert.equal(service.breakers.hubspot.snapshot().failures, 1);
+    assert.ok((await service.health.report()).fallback.settlements);
+});
+
+test('a HubSpot settlement record becomes a settlement row', async () => {
+    const { service } = createService(200);
+    service.hubspot.http.fetch = async () => jsonResponse(200, {
+        results: [{ properties: { base_settlement_min: '250000', base_settlement_max: '1000000' } }]
+    });
+
+    const [row] = await service.getSettlementDataFromHubSpot('mesothelioma', 'CA');
+    assert.equal(row.settlementRange, '$250,000 to $1,000,000');
+    assert.equal(row.state, 'CA');
+    assert.equal(row.source, 'hubspot');
+    assert.equal(service.breakers.hubspot.snapshot().state, 'closed');
+});
+
+test("an estimate's base range keeps HubSpot's multipliers", async () => {
+    const { service } = createService(200);
+    service.hubspot.http.fetch = async () => jsonResponse(200, {
+        results: [{ properties: {
+            base_settlement_min: '250000',
+            base_settlement_max: '1000000',
+            state_multiplier: '1.3',
+            severity_multipliers: '{"severe": 2}'
+        } }]
+    });
+
+    const base = await service.getSettlementBaseRange('mesothelioma', 'CA');
+    assert.equal(base.source, 'hubspot');
+    assert.equal(base.stateMultiplier, 1.3);
+    assert.deepEqual(base.severityMultipliers, { severe: 2 });
+});
+
+test('a paged HubSpot listing gets the breaker timeout for each page', async () => {
+    const { service, requests } = createService(200, { timeout: 150, failureThreshold: 3, resetTimeout: 60 * 1000 });
+    service.hubspot.http.fetch = async (url, { body }) => {
+        requests.push(url);
+        // Three slow pages, together longer than one breaker timeout
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const page = JSON.parse(body).after || 0;
+        return jsonResponse(200, {
+            results: [{ id: String(page), properties: { name: `Firm ${page}` } }],
+            ...(page < 2 && { paging: { next: { after: String(Number(page) + 1) } } })
+        });
+    };
+
+    const firms = await service.getLawFirmsFromHubSpot();
+    assert.equal(requests.length, 3);
+    assert.deepEqual(firms.map(firm => firm.name), ['Firm 0', 'Firm 1', 'Firm 2']);
+    assert.equal(service.breakers.hubspot.snapshot().timeouts, 0);
+});
+
+test('a page that hangs is aborted after the breaker timeout and the listing falls back', async () => {
+    const { service, requests } = createService(200, { timeout: 150, failureThreshold: 3, resetTimeout: 60 * 1000 });
+    let aborted = false;
+    service.hubspot.http.fetch = async (url, { body, signal }) => {
+        requests.push(url);
+        if (JSON.parse(body).after) {
+            // The second page never answers, like an upstream holding the socket open
+            return new Promise((resolve, reject) => signal.addEventListener('abort', () => {
+                aborted = true;
+                reject(signal.reason);
+            }));
+        }
+        return jsonResponse(200, {
+            results: [{ id: '0', properties: { name: 'Mesothelioma Overview' } }],
+            paging: { next: { after: '1' } }
+        });
+    };
+
+    const started = Date.now();
+    const articles = await service.getAllArticles();
+    const elapsed = Date.now() - started;
+
+    assert.equal(requests.length, 2);
+    assert.ok(aborted);
+    // One page timeout, not one for every page the listing might have requested
+    assert.ok(elapsed < 1000, `took ${elapsed}ms`);
+    const breaker = service.breakers.hubspot.snapshot();
+    assert.equal(breaker.timeouts, 1);
+    assert.equal(breaker.failures, 1);
+    assert.ok(articles.length > 0);
+    assert.ok(articles.every(article => !String(article.id).startsWith('hubspot_')));
+    assert.ok((await service.health.report()).fallback.articles);
+});
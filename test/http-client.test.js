@@ -0,0 +1,149 @@
+/**
+ * HttpClient: which failures are retried, backoff, Retry-After and the typed errors callers see
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'stream';
+import {
+    HttpClient,
+    AuthError,
+    RateLimitError,
+    RequestError,
+    TransientError,
+    parseRetryAfter
+} from '../http-client.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ destination: new Writable({ write: (chunk, encoding, done) => done() }) });
+
+function response(status, body = {}, headers = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: '',
+        headers: new Map(Object.entries(headers)),
+        text: async () => JSON.stringify(body)
+    };
+}
+
+/**
+ * A client whose requests get `responses` in turn (an Error is thrown as a network failure),
+ * recording every request and every wait between attempts
+ */
+function createClient(t, responses, config = {}) {
+    const requests = [];
+    const client = new HttpClient({
+        service: 'HubSpot',
+        baseUrl: 'https://api.example.com',
+        requestsPerSecond: 1000,
+        burst: 1000,
+        baseDelay: 1,
+        maxDelay: 4,
+        fetch: async (url, options) => {
+            requests.push({ url, ...options });
+            const next = responses[Math.min(requests.length - 1, responses.length - 1)];
+            if (next instanceof Error) throw next;
+            return next;
+        },
+        ...config
+    });
+
+    const delays = [];
+    const retryDelay = client.retryDelay.bind(client);
+    t.mock.method(client, 'retryDelay', (...args) => {
+        const delay = retryDelay(...args);
+        if (delay !== null) delays.push(delay);
+        return delay;
+    });
+    return { client, requests, delays };
+}
+
+test('a GET is retried after a 5xx and returns the JSON body', async t => {
+    const { client, requests } = createClient(t, [response(503), response(502), response(200, { id: '1' })]);
+
+    assert.deepEqual(await client.get('/contacts/1'), { id: '1' });
+    assert.equal(requests.length, 3);
+    assert.equal(requests[0].url, 'https://api.example.com/contacts/1');
+});
+
+test('network errors are retried and then thrown as TransientError', async t => {
+    const { client, requests } = createClient(t, [new Error('socket hang up')]);
+
+    await assert.rejects(client.get('/contacts'), error =>
+        error instanceof TransientError && error.transient && /socket hang up/.test(error.message));
+    assert.equal(requests.length, 3);
+});
+
+test('a POST is not retried after a 5xx unless marked idempotent', async t => {
+    const { client, requests } = createClient(t, [response(500), response(500), response(200, { results: [] })]);
+
+    await assert.rejects(client.post('/contacts', { properties: {} }), TransientError);
+    assert.equal(requests.length, 1);
+
+    assert.deepEqual(await client.post('/contacts/search', {}, { idempotent: true }), { results: [] });
+    assert.equal(requests.length, 3);
+    assert.equal(requests[1].headers['Content-Type'], 'application/json');
+});
+
+test('backoff is jittered under the exponential delay and capped at maxDelay', async t => {
+    const { client, delays } = createClient(t, [response(503)], { maxRetries: 5 });
+
+    await assert.rejects(client.get('/contacts'), TransientError);
+    assert.equal(delays.length, 5);
+    delays.forEach((delay, attempt) => assert.ok(delay >= 0 && delay <= Math.min(4, 2 ** attempt), `attempt ${attempt}: ${delay}`));
+});
+
+test("a 429 is retried for any method after the server's Retry-After", async t => {
+    const { client, requests, delays } = createClient(t, [
+        response(429, { message: 'Too many requests' }, { 'retry-after': '0.05' }),
+        response(201, { id: '2' })
+    ]);
+
+    const started = Date.now();
+    assert.deepEqual(await client.post('/contacts', {}), { id: '2' });
+    assert.equal(requests.length, 2);
+    assert.deepEqual(delays, [50]);
+    assert.ok(Date.now() - started >= 45);
+});
+
+test('a Retry-After longer than maxRetryAfter fails at once with a RateLimitError', async t => {
+    const { client, requests } = createClient(t, [response(429, {}, { 'retry-after': '60' })]);
+
+    await assert.rejects(client.get('/contacts'), error =>
+        error instanceof RateLimitError && error.retryAfter === 60000 && error.transient);
+    assert.equal(requests.length, 1);
+});
+
+test('auth failures and bad requests are not retried', async t => {
+    const { client, requests } = createClient(t, [
+        response(401, { message: 'Authentication credentials not found' }),
+        response(400, { message: 'Property values were not valid' })
+    ]);
+
+    await assert.rejects(client.get('/contacts'), error =>
+        error instanceof AuthError && !error.transient && error.message === 'HubSpot API error: 401 Authentication credentials not found');
+    await assert.rejects(client.get('/contacts'), error =>
+        error instanceof RequestError && error.status === 400 && error.body.message === 'Property values were not valid');
+    assert.equal(requests.length, 2);
+});
+
+test('an aborted request is not retried', async t => {
+    const controller = new AbortController();
+    const { client, requests } = createClient(t, [response(503)], { baseDelay: 1000, maxDelay: 1000 });
+    setTimeout(() => controller.abort(new Error('Circuit breaker timeout')), 20);
+
+    await assert.rejects(client.get('/contacts', { signal: controller.signal }), /Circuit breaker timeout/);
+    assert.equal(requests.length, 1);
+});
+
+test('Retry-After is read as seconds or an HTTP date', t => {
+    t.mock.method(Date, 'now', () => Date.parse('2025-01-01T00:00:00Z'));
+
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter('0.5'), 500);
+    assert.equal(parseRetryAfter('Wed, 01 Jan 2025 00:00:30 GMT'), 30000);
+    assert.equal(parseRetryAfter('Tue, 31 Dec 2024 23:59:00 GMT'), 0);
+    assert.equal(parseRetryAfter('soon'), null);
+    assert.equal(parseRetryAfter(undefined), null);
+});
@@ -0,0 +1,136 @@
+/**
+ * LeadRouter: firm scoring, eligibility, daily caps and the assignment ledger
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Writable } from 'stream';
+import { LeadRouter, AssignmentLedger } from '../lead-router.js';
+import { SynonymDictionary } from '../synonym-dictionary.js';
+import { StatuteRules } from '../statute-rules.js';
+import { LeadError } from '../lead-service.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ destination: new Writable({ write: (chunk, encoding, done) => done() }) });
+
+const synonyms = new SynonymDictionary();
+const statuteRules = new StatuteRules();
+
+const FIRMS = [
+    { id: 'meso-tx', name: 'Texas Mesothelioma Group', specialties: ['Mesothelioma'], states: ['TX'], languages: ['English', 'Spanish'] },
+    { id: 'pi-national', name: 'National Injury Lawyers', specialties: ['Personal Injury'], location: 'Nationwide' },
+    { id: 'meso-ca', name: 'California Asbestos Firm', specialties: ['Asbestos'], states: ['CA'] },
+    { id: 'talc', name: 'Talc Specialists', specialties: ['Talcum Powder'], states: ['TX'] }
+];
+
+function createRouter(t, firms = FIRMS, options = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-router-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const file = path.join(directory, 'assignments.jsonl');
+    const router = new LeadRouter({
+        dataService: { getLawFirms: async () => firms },
+        synonyms,
+        statuteRules,
+        assignmentsFile: file,
+        ...options
+    });
+    return { router, file };
+}
+
+test('a firm scores for specialty, state and language', t => {
+    const { router } = createRouter(t);
+
+    const result = router.scoreFirm(FIRMS[0], { condition: 'mesothelioma', state: 'TX', language: 'Spanish' });
+    assert.equal(result.eligible, true);
+    assert.equal(result.score, 40 + 30 + 15);
+    assert.deepEqual(result.reasons, ['Handles mesothelioma (+40)', 'Licensed in TX (+30)', 'Speaks Spanish (+15)']);
+});
+
+test('general practices and nationwide firms score less than a specialist licensed in the state', t => {
+    const { router } = createRouter(t);
+
+    const result = router.scoreFirm(FIRMS[1], { condition: 'mesothelioma', state: 'TX' });
+    assert.equal(result.eligible, true);
+    assert.equal(result.score, 15 + 20 + 15);
+    assert.ok(result.reasons.includes('Handles Personal Injury cases (+15)'));
+    assert.ok(result.reasons.includes('Takes cases nationwide (+20)'));
+});
+
+test('firms that do not handle the condition or are not licensed in the state are not eligible', t => {
+    const { router } = createRouter(t);
+
+    const wrongCondition = router.scoreFirm(FIRMS[3], { condition: 'mesothelioma', state: 'TX' });
+    assert.equal(wrongCondition.eligible, false);
+    assert.equal(wrongCondition.score, 0);
+    assert.ok(wrongCondition.reasons.includes('Does not handle mesothelioma'));
+
+    const wrongState = router.scoreFirm(FIRMS[2], { condition: 'mesothelioma', state: 'TX' });
+    assert.equal(wrongState.eligible, false);
+    assert.ok(wrongState.reasons.includes('Not licensed in TX'));
+});
+
+test('the priority weight multiplies the score', t => {
+    const { router } = createRouter(t);
+
+    const result = router.scoreFirm({ ...FIRMS[0], priority: 1.5 }, { condition: 'mesothelioma', state: 'TX' });
+    assert.equal(result.score, (40 + 30 + 15) * 1.5);
+    assert.ok(result.reasons.includes('Priority weight ×1.5'));
+});
+
+test('the best eligible firm is assigned and recorded', async t => {
+    const { router, file } = createRouter(t);
+
+    const assignment = await router.assign({ id: 'lead-1', condition: 'mesothelioma', state: 'TX', language: 'Spanish' });
+    assert.equal(assignment.firmId, 'meso-tx');
+    assert.equal(assignment.leadId, 'lead-1');
+
+    const [line] = fs.readFileSync(file, 'utf8').trim().split('\n');
+    assert.equal(JSON.parse(line).firmId, 'meso-tx');
+    assert.equal((await router.ledger.countsForToday()).get('meso-tx'), 1);
+});
+
+test('a firm at its daily cap is skipped until the next day', async t => {
+    const firms = [{ ...FIRMS[0], dailyCap: 2 }, FIRMS[1]];
+    const { router, file } = createRouter(t, firms);
+
+    const assigned = [];
+    for (let i = 0; i < 3; i++) {
+        assigned.push((await router.assign({ id: `lead-${i}`, condition: 'mesothelioma', state: 'TX' })).firmId);
+    }
+    assert.deepEqual(assigned, ['meso-tx', 'meso-tx', 'pi-national']);
+
+    // The caps are counted again from the ledger file after a restart
+    const restarted = new LeadRouter({ dataService: { getLawFirms: async () => firms }, synonyms, statuteRules, ledger: new AssignmentLedger({ file }) });
+    const decision = await restarted.decide({ condition: 'mesothelioma', state: 'TX' });
+    assert.equal(decision.assigned.firmId, 'pi-national');
+    assert.ok(decision.candidates.find(candidate => candidate.firmId === 'meso-tx').reasons
+        .includes('Reached its daily cap of 2 leads'));
+});
+
+test('no eligible firm leaves the lead unassigned', async t => {
+    const { router, file } = createRouter(t, [FIRMS[3]]);
+
+    assert.equal(await router.assign({ id: 'lead-1', condition: 'mesothelioma', state: 'TX' }), null);
+    assert.equal(fs.existsSync(file), false);
+});
+
+test('a firm listed by several sources is scored once', async t => {
+    const { router } = createRouter(t, [FIRMS[0], { ...FIRMS[0], id: 'sheet-row-7', source: 'sheets' }]);
+
+    const decision = await router.decide({ condition: 'mesothelioma' });
+    assert.equal(decision.candidates.length, 1);
+});
+
+test('route previews check their input', t => {
+    const { router } = createRouter(t);
+
+    assert.deepEqual(router.validatePreview({ condition: ' mesothelioma ', state: 'Texas' }),
+        { condition: 'mesothelioma', state: 'TX', language: null });
+    assert.throws(() => router.validatePreview({ state: 'Atlantis' }), error =>
+        error instanceof LeadError && error.message === 'Unknown state: Atlantis');
+    assert.throws(() => router.validatePreview({ language: 7 }), /language must be text of at most 30 characters/);
+});
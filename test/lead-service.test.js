@@ -0,0 +1,179 @@
+/**
+ * LeadService: form validation, merging resubmissions, conflicting leads and HubSpot retry backoff
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Writable } from 'stream';
+import { LeadService, LeadError } from '../lead-service.js';
+import { FileLeadStore } from '../lead-store.js';
+import { StatuteRules } from '../statute-rules.js';
+import { RequestError } from '../http-client.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ destination: new Writable({ write: (chunk, encoding, done) => done() }) });
+
+const statuteRules = new StatuteRules();
+
+const CONSENT = { contact: true, privacy: true };
+
+/**
+ * A service with a lead store in a temporary directory and a stub HubSpot that answers with `upsert`
+ */
+function createService(t, { upsert = async () => 'contact-1', router = null } = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'leads-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const upserts = [];
+    const service = new LeadService({
+        store: new FileLeadStore({ file: path.join(directory, 'leads.json') }),
+        hubspot: {
+            hubspotApiKey: 'test-token',
+            upsertContact: async (properties, contactId) => {
+                upserts.push({ properties, contactId });
+                return upsert(properties, contactId);
+            }
+        },
+        statuteRules,
+        router,
+        retryBaseDelay: 1000,
+        retryMaxDelay: 5000,
+        retryInterval: 60 * 60 * 1000
+    });
+    return { service, upserts };
+}
+
+// Let the background HubSpot sync started by submit() finish
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+test('form input is normalized', t => {
+    const { service } = createService(t);
+    const fields = service.validate({
+        name: ' Jane Doe ',
+        email: 'Jane@Example.com',
+        phone: '(555) 123-4567',
+        state: 'texas',
+        diagnosisDate: '2023-02-01',
+        consent: { ...CONSENT, sms: true }
+    });
+
+    assert.equal(fields.name, 'Jane Doe');
+    assert.equal(fields.email, 'jane@example.com');
+    assert.equal(fields.phone, '+15551234567');
+    assert.equal(fields.state, 'TX');
+    assert.equal(fields.consents.sms.granted, true);
+    assert.equal(fields.consents.contact.granted, true);
+});
+
+test('each invalid field has its own error', t => {
+    const { service } = createService(t);
+    const valid = { name: 'Jane Doe', email: 'jane@example.com', consent: CONSENT };
+
+    for (const [input, message] of [
+        [{ ...valid, name: '' }, 'name is required'],
+        [{ ...valid, email: 'not-an-email' }, 'email is not a valid email address'],
+        [{ ...valid, email: null, phone: '12345' }, 'phone must be a phone number of 10 to 15 digits'],
+        [{ ...valid, email: null }, 'email or phone is required'],
+        [{ ...valid, state: 'Atlantis' }, 'Unknown state: Atlantis'],
+        [{ ...valid, diagnosisDate: '2023-02-30' }, 'diagnosisDate must be a date in YYYY-MM-DD format'],
+        [{ ...valid, diagnosisDate: '2999-01-01' }, 'diagnosisDate cannot be in the future'],
+        [{ ...valid, consent: undefined }, 'consent is required: contact, privacy'],
+        [{ ...valid, consent: { contact: true } }, 'consent is required: privacy']
+    ]) {
+        assert.throws(() => service.validate(input), error =>
+            error instanceof LeadError && error.status === 400 && error.message === message);
+    }
+});
+
+test('a resubmission that only adds details is merged into the earlier lead', async t => {
+    const { service, upserts } = createService(t);
+
+    const first = await service.submit({ name: 'Jane Doe', email: 'jane@example.com', consent: CONSENT });
+    await settle();
+    const second = await service.submit({ name: 'jane doe', email: 'jane@example.com', phone: '5551234567', consent: CONSENT });
+    await settle();
+
+    assert.equal(second.duplicate, true);
+    assert.equal(second.lead.id, first.lead.id);
+    assert.equal(second.lead.phone, '+15551234567');
+    assert.equal(second.lead.submissions, 2);
+    // The second sync updates the contact the first one created
+    assert.equal(upserts[1].contactId, 'contact-1');
+});
+
+test("someone else's phone number with a different email makes a separate lead held from HubSpot", async t => {
+    const { service, upserts } = createService(t);
+
+    const victim = await service.submit({ name: 'Jane Doe', email: 'jane@example.com', phone: '5551234567', consent: CONSENT });
+    await settle();
+    const other = await service.submit({ name: 'Mallory', email: 'mallory@example.com', phone: '5551234567', consent: CONSENT });
+    await settle();
+
+    assert.equal(other.duplicate, false);
+    assert.notEqual(other.lead.id, victim.lead.id);
+    assert.deepEqual(other.lead.conflictsWith, [victim.lead.id]);
+    assert.equal(other.lead.hubspot.status, 'held');
+    assert.equal(upserts.length, 1);
+
+    const stored = await service.store.get(victim.lead.id);
+    assert.equal(stored.name, 'Jane Doe');
+    assert.equal(stored.email, 'jane@example.com');
+    assert.equal(stored.submissions, 1);
+    assert.deepEqual(await service.store.listDueForSync(), []);
+});
+
+test('concurrent identical submissions make one lead', async t => {
+    // Slow routing widens the window between finding matches and saving
+    const router = { assign: () => new Promise(resolve => setTimeout(() => resolve(null), 20)) };
+    const { service } = createService(t, { router });
+    const input = { name: 'Jane Doe', email: 'jane@example.com', consent: CONSENT };
+
+    const results = await Promise.all([service.submit(input), service.submit(input), service.submit(input)]);
+    await settle();
+
+    assert.equal(new Set(results.map(result => result.lead.id)).size, 1);
+    assert.deepEqual(results.map(result => result.duplicate), [false, true, true]);
+    assert.equal((await service.store.get(results[0].lead.id)).submissions, 3);
+});
+
+test('HubSpot failures are retried with exponential backoff up to the maximum delay', async t => {
+    const { service } = createService(t, { upsert: async () => { throw new Error('HubSpot is down'); } });
+
+    // The first attempt is made by submit(), the rest by the retry loop
+    let attemptedAt = Date.now();
+    const { lead } = await service.submit({ name: 'Jane Doe', email: 'jane@example.com', consent: CONSENT });
+    await settle();
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 4; attempt++) {
+        if (attempt > 1) {
+            attemptedAt = Date.now();
+            await service.syncLead(await service.store.get(lead.id));
+        }
+        const stored = await service.store.get(lead.id);
+
+        assert.equal(stored.hubspot.status, 'pending');
+        assert.equal(stored.hubspot.attempts, attempt);
+        assert.equal(stored.hubspot.lastError, 'HubSpot is down');
+        delays.push(Math.round((stored.hubspot.nextAttemptAt - attemptedAt) / 1000));
+    }
+    assert.deepEqual(delays, [1, 2, 4, 5]);
+});
+
+test('a lead HubSpot rejects is marked failed and not retried', async t => {
+    const { service } = createService(t, {
+        upsert: async () => { throw new RequestError('Property values were not valid', { service: 'HubSpot', status: 400 }); }
+    });
+    const { lead } = await service.submit({ name: 'Jane Doe', email: 'jane@example.com', consent: CONSENT });
+    await settle();
+
+    const stored = await service.store.get(lead.id);
+    assert.equal(stored.hubspot.status, 'failed');
+    assert.equal(stored.hubspot.nextAttemptAt, null);
+    assert.deepEqual(await service.store.listDueForSync(Date.now() + 60 * 60 * 1000), []);
+});
@@ -0,0 +1,35 @@
+/**
+ * Log redaction: secret-shaped field names and credentials in text are masked, other fields are not
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact, redactText } from '../logger.js';
+
+test('secret-shaped fields are redacted', () => {
+    const fields = {
+        authorization: 'Basic abc',
+        password: 'hunter22',
+        apiKey: 'sk-1',
+        api_key: 'sk-2',
+        hubspotApiKey: 'pat-1',
+        accessToken: 'at-1',
+        refresh_token: 'rt-1',
+        clientSecret: 'cs-1',
+        secret_key: 'sk-3'
+    };
+    for (const [name, value] of Object.entries(redact(fields))) {
+        assert.equal(value, '[REDACTED]', name);
+    }
+});
+
+test('cache keys and other ordinary fields are kept', () => {
+    assert.deepEqual(redact({ key: 'law_firms:mesothelioma', cacheKey: 'articles:all', primaryKey: 7, tokens: 812 }),
+        { key: 'law_firms:mesothelioma', cacheKey: 'articles:all', primaryKey: 7, tokens: 812 });
+});
+
+test('credentials and contact details in text are masked', () => {
+    assert.equal(redactText('GET /v1?hapikey=abc123&limit=1'), 'GET /v1?hapikey=[REDACTED]&limit=1');
+    assert.equal(redactText('Authorization: Bearer pat-na1-123'), 'Authorization: Bearer [REDACTED]');
+    assert.equal(redactText('jane@example.com called from (555) 123-4567'), '[email] called from [phone]');
+});
@@ -0,0 +1,101 @@
+/**
+ * The web server only serves its pages and browser modules, never the project directory:
+ * leads, sessions and the usage ledger under storage/ must not be downloadable
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+async function freePort() {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+/**
+ * Run server.js offline (mock LLM, no data source credentials) until the test ends
+ */
+async function startServer(t) {
+    const port = await freePort();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-static-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    // Empty values, not missing ones, so the credentials in .env.local are not loaded
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            LLM_PROVIDER: 'mock',
+            OPENAI_API_KEY: '',
+            LLM_API_KEY: '',
+            HUBSPOT_ACCESS_TOKEN: '',
+            HUBSPOT_API_KEY: '',
+            GOOGLE_API_KEY: '',
+            GOOGLE_SPREADSHEET_ID: '',
+            LOCAL_DATABASE_FILE: '',
+            LEAD_STORE_FILE: path.join(directory, 'leads.json'),
+            CHAT_SESSION_STORE: 'memory'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    t.after(() => child.kill());
+
+    await new Promise((resolve, reject) => {
+        let output = '';
+        const read = chunk => {
+            output += chunk;
+            if (output.includes('Server running')) resolve();
+        };
+        child.stdout.on('data', read);
+        child.stderr.on('data', read);
+        child.on('exit', code => reject(new Error(`server.js exited with ${code}:\n${output}`)));
+    });
+    return `http://localhost:${port}`;
+}
+
+test('files under storage/ and the project sources are not served', { timeout: 30000 }, async t => {
+    const baseUrl = await startServer(t);
+
+    // A real file, so a 404 means it is not served rather than missing
+    const storage = path.join(ROOT, 'storage');
+    fs.mkdirSync(storage, { recursive: true });
+    const probe = path.join(storage, `static-probe-${process.pid}.json`);
+    fs.writeFileSync(probe, '{"leads": []}');
+    t.after(() => fs.rmSync(probe, { force: true }));
+
+    for (const file of [
+        `/storage/${path.basename(probe)}`,
+        '/storage/leads.json',
+        '/storage/lead-assignments.jsonl',
+        '/storage/usage-ledger.jsonl',
+        '/storage/sessions/',
+        '/package.json',
+        '/server.js',
+        '/.env.local'
+    ]) {
+        const response = await fetch(baseUrl + file);
+        assert.equal(response.status, 404, file);
+    }
+});
+
+test('the pages and their browser modules are served', { timeout: 30000 }, async t => {
+    const baseUrl = await startServer(t);
+
+    for (const file of ['/', '/chat-stream.js', '/ai-config.js']) {
+        const response = await fetch(baseUrl + file);
+        assert.equal(response.status, 200, file);
+    }
+    const module = await fetch(`${baseUrl}/chat-stream.js`);
+    assert.match(module.headers.get('content-type'), /javascript/);
+});
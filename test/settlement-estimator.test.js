@@ -0,0 +1,116 @@
+/**
+ * Settlement estimates: input validation, base ranges from settlement records and the multiplier maths
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    validateEstimateInput,
+    estimateSettlement,
+    exposureMultiplier,
+    baseRangeFromSettlements,
+    defaultBaseRange,
+    EstimateError
+} from '../settlement-estimator.js';
+import { parseSettlementRange } from '../settlement-amounts.js';
+
+function assertEstimateError(input, message) {
+    assert.throws(() => validateEstimateInput(input), error =>
+        error instanceof EstimateError && error.status === 400 && error.message === message);
+}
+
+test('input defaults to moderate severity and ten years of exposure', () => {
+    assert.deepEqual(validateEstimateInput({ condition: ' Mesothelioma ', severity: 'SEVERE', state: 'Texas' }), {
+        condition: 'Mesothelioma',
+        severity: 'severe',
+        exposureYears: 10,
+        state: 'Texas'
+    });
+    assert.deepEqual(validateEstimateInput({ condition: 'silicosis', exposureYears: '0' }), {
+        condition: 'silicosis',
+        severity: 'moderate',
+        exposureYears: 0,
+        state: null
+    });
+});
+
+test('each invalid input has its own error', () => {
+    assertEstimateError({}, 'condition is required');
+    assertEstimateError({ condition: '   ' }, 'condition is required');
+    assertEstimateError({ condition: 42 }, 'condition must be text of at most 100 characters');
+    assertEstimateError({ condition: 'x'.repeat(101) }, 'condition must be text of at most 100 characters');
+    assertEstimateError({ condition: 'asbestosis', severity: 'catastrophic' },
+        'severity must be one of: mild, moderate, severe, terminal');
+    assertEstimateError({ condition: 'asbestosis', severity: 'x'.repeat(21) },
+        'severity must be text of at most 20 characters');
+    for (const exposureYears of ['ten', -1, 81, Infinity]) {
+        assertEstimateError({ condition: 'asbestosis', exposureYears }, 'exposureYears must be a number between 0 and 80');
+    }
+    assertEstimateError({ condition: 'asbestosis', state: ['TX'] }, 'state must be text of at most 50 characters');
+});
+
+test('exposure adds 5% a year beyond five years, capped at 1.5', () => {
+    assert.equal(exposureMultiplier(5), 1);
+    assert.equal(exposureMultiplier(0), 0.75);
+    assert.equal(exposureMultiplier(15), 1.5);
+    assert.equal(exposureMultiplier(40), 1.5);
+});
+
+test('the estimate multiplies the base range by severity, exposure and state', () => {
+    const input = validateEstimateInput({ condition: 'mesothelioma', severity: 'severe', exposureYears: 7, state: 'CA' });
+    const estimate = estimateSettlement(input, { min: 100000, max: 200000, source: 'hubspot', stateMultiplier: 1.2 });
+
+    assert.deepEqual(estimate.multipliers, { severity: 1.5, exposure: 1.1, state: 1.2 });
+    assert.equal(estimate.min, 198000);
+    assert.equal(estimate.max, 396000);
+    assert.deepEqual(estimate.baseRange, { min: 100000, max: 200000 });
+    assert.equal(estimate.source, 'hubspot');
+});
+
+test("a source's severity multipliers override the defaults", () => {
+    const input = validateEstimateInput({ condition: 'mesothelioma', severity: 'terminal', exposureYears: 5 });
+    const estimate = estimateSettlement(input, { min: 100000, max: 100000, source: 'hubspot', severityMultipliers: { terminal: 3 } });
+
+    assert.deepEqual(estimate.multipliers, { severity: 3, exposure: 1, state: 1 });
+    assert.equal(estimate.max, 300000);
+});
+
+test('settlement ranges are parsed from text', () => {
+    assert.deepEqual(parseSettlementRange('$1.2M'), { low: 1200000, high: 1200000, value: 1200000 });
+    assert.deepEqual(parseSettlementRange('$500,000 to $1.5 million'), { low: 500000, high: 1500000, value: 1000000 });
+    assert.deepEqual(parseSettlementRange('$2.4 million - $1.2 million'), { low: 1200000, high: 2400000, value: 1800000 });
+    assert.equal(parseSettlementRange('Varies by case'), null);
+});
+
+test('the base range comes from the first record with a dollar range', () => {
+    const base = baseRangeFromSettlements([
+        { settlementRange: 'Varies by case', source: 'sheets' },
+        { settlementRange: '', averageSettlement: '$1.2M', source: 'database' },
+        { settlementRange: '$1 to $2', source: 'hubspot' }
+    ]);
+    assert.deepEqual(base, { min: 1200000, max: 1200000, source: 'database' });
+
+    assert.equal(baseRangeFromSettlements([{ settlementRange: 'Varies by case' }]), null);
+    assert.equal(baseRangeFromSettlements(), null);
+});
+
+test('a HubSpot record carries its multipliers into the base range', () => {
+    const base = baseRangeFromSettlements([{
+        settlementRange: '$250,000 to $1,000,000',
+        source: 'hubspot',
+        stateMultiplier: 1.3,
+        severityMultipliers: { severe: 2 }
+    }]);
+    assert.deepEqual(base, {
+        min: 250000,
+        max: 1000000,
+        source: 'hubspot',
+        stateMultiplier: 1.3,
+        severityMultipliers: { severe: 2 }
+    });
+});
+
+test('conditions without data get the default or fallback range', () => {
+    assert.deepEqual(defaultBaseRange('Mesothelioma'), { min: 1200000, max: 2400000, source: 'default' });
+    assert.deepEqual(defaultBaseRange('whiplash'), { min: 100000, max: 500000, source: 'fallback' });
+});
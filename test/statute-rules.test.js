@@ -0,0 +1,116 @@
+/**
+ * StatuteRules.computeDeadline: leap days, earlier limits, discovery rules and state notes
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Writable } from 'stream';
+import { StatuteRules, DeadlineError } from '../statute-rules.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ destination: new Writable({ write: (chunk, encoding, done) => done() }) });
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'statutes-'));
+const file = path.join(directory, 'statutes.json');
+fs.writeFileSync(file, JSON.stringify({
+    version: 2,
+    generalNotes: ['General note.'],
+    states: [
+        {
+            code: 'FS', name: 'Fullstate', personalInjury: 2, wrongfulDeath: 2, productLiability: 3,
+            discoveryRule: 'full', productLiabilityRepose: 10,
+            earlierLimits: { personalInjury: [{ before: '2020-01-01', years: 4 }, { before: '2015-01-01', years: 6 }] },
+            notes: [
+                'Every claim.',
+                { text: 'Asbestos claims.', injuries: ['asbestos', 'mesothelioma'] },
+                { text: 'Wrongful death claims.', claimTypes: ['wrongful-death'] }
+            ]
+        },
+        { code: 'LS', name: 'Limitedstate', personalInjury: 2, wrongfulDeath: 2, productLiability: 2, discoveryRule: 'limited' },
+        { code: 'NS', name: 'Nonestate', personalInjury: 3, wrongfulDeath: 2, productLiability: 3, discoveryRule: 'none' }
+    ]
+}));
+const rules = new StatuteRules({ file });
+fs.rmSync(directory, { recursive: true, force: true });
+
+function deadline(input) {
+    return rules.computeDeadline({ asOf: '2024-06-01', ...input });
+}
+
+test('a February 29 injury runs out on February 28', () => {
+    const result = deadline({ state: 'NS', injuryDate: '2024-02-29', asOf: '2024-03-01' });
+    assert.equal(result.deadline, '2027-02-28');
+    assert.equal(result.rule.years, 3);
+});
+
+test('days remaining and expiry are counted from asOf', () => {
+    assert.equal(deadline({ state: 'NS', injuryDate: '2021-06-01' }).daysRemaining, 0);
+    const expired = deadline({ state: 'NS', injuryDate: '2021-05-31' });
+    assert.equal(expired.daysRemaining, -1);
+    assert.equal(expired.expired, true);
+});
+
+test('injuries before a change in the law get the earliest limit that covers them', () => {
+    assert.equal(deadline({ state: 'FS', injuryDate: '2014-06-01', asOf: '2019-01-01' }).rule.years, 6);
+    assert.equal(deadline({ state: 'FS', injuryDate: '2018-06-01' }).rule.years, 4);
+    assert.equal(deadline({ state: 'FS', injuryDate: '2018-06-01' }).rule.appliesToInjuriesBefore, '2020-01-01');
+    assert.equal(deadline({ state: 'FS', injuryDate: '2020-01-01' }).rule.years, 2);
+});
+
+test('a full discovery rule starts the clock at diagnosis', () => {
+    const result = deadline({ state: 'FS', injuryDate: '2020-03-01', diagnosisDate: '2023-01-10' });
+    assert.equal(result.rule.clockStarts, 'diagnosis');
+    assert.equal(result.deadline, '2025-01-10');
+    assert.equal(result.alternativeDeadline, null);
+});
+
+test('a limited discovery rule keeps the injury date and notes the alternative', () => {
+    const result = deadline({ state: 'LS', injuryDate: '2020-03-01', diagnosisDate: '2023-01-10' });
+    assert.equal(result.rule.clockStarts, 'injury');
+    assert.equal(result.deadline, '2022-03-01');
+    assert.equal(result.alternativeDeadline, '2025-01-10');
+    assert.ok(result.notes.some(note => note.includes('2025-01-10')));
+});
+
+test('no discovery rule ignores the diagnosis date', () => {
+    const result = deadline({ state: 'NS', injuryDate: '2020-03-01', diagnosisDate: '2023-01-10' });
+    assert.equal(result.deadline, '2023-03-01');
+    assert.equal(result.alternativeDeadline, null);
+});
+
+test('wrongful death runs from the death, even with an earlier diagnosis', () => {
+    const result = deadline({ state: 'FS', claimType: 'wrongful-death', injuryDate: '2023-05-01', diagnosisDate: '2022-01-01' });
+    assert.equal(result.rule.clockStarts, 'death');
+    assert.equal(result.deadline, '2025-05-01');
+});
+
+test('only the notes for this claim are shown, then the general notes', () => {
+    assert.deepEqual(deadline({ state: 'FS', injuryType: 'Mesothelioma', injuryDate: '2023-01-01' }).notes,
+        ['Every claim.', 'Asbestos claims.', 'General note.']);
+    assert.deepEqual(deadline({ state: 'FS', injuryType: 'car accident', injuryDate: '2023-01-01' }).notes,
+        ['Every claim.', 'General note.']);
+    assert.deepEqual(deadline({ state: 'FS', claimType: 'wrongful-death', injuryDate: '2023-01-01' }).notes,
+        ['Every claim.', 'Wrongful death claims.', 'General note.']);
+});
+
+test('product claims note the repose period', () => {
+    const result = deadline({ state: 'FS', claimType: 'product-liability', injuryDate: '2023-01-01' });
+    assert.equal(result.rule.productLiabilityRepose, 10);
+    assert.ok(result.notes.some(note => note.includes('within 10 years')));
+});
+
+test('invalid input is rejected', () => {
+    for (const [input, message] of [
+        [{ injuryDate: '2023-01-01' }, 'state is required'],
+        [{ state: 'ZZ', injuryDate: '2023-01-01' }, 'Unknown state: ZZ'],
+        [{ state: 'NS' }, 'injuryDate is required'],
+        [{ state: 'NS', injuryDate: '2023-02-29' }, 'injuryDate is not a valid date'],
+        [{ state: 'NS', injuryDate: '2025-01-01' }, 'injuryDate cannot be in the future'],
+        [{ state: 'NS', injuryDate: '2023-01-01', diagnosisDate: '2022-01-01' }, 'diagnosisDate cannot be before injuryDate']
+    ]) {
+        assert.throws(() => deadline(input), error => error instanceof DeadlineError && error.message === message);
+    }
+});
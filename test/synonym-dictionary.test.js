@@ -0,0 +1,64 @@
+/**
+ * SynonymDictionary lookups: how many typos each term length tolerates
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Writable } from 'stream';
+import { SynonymDictionary } from '../synonym-dictionary.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ destination: new Writable({ write: (chunk, encoding, done) => done() }) });
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'synonyms-'));
+const file = path.join(directory, 'synonyms.json');
+fs.writeFileSync(file, JSON.stringify({
+    entries: [
+        { id: 'mesothelioma', type: 'condition', name: 'Mesothelioma' },
+        { id: 'roundup', type: 'product', name: 'Roundup', aliases: ['glyphosate'] },
+        { id: 'talc', type: 'product', name: 'Talc' },
+        { id: 'non-hodgkin-lymphoma', type: 'condition', name: 'Non-Hodgkin Lymphoma' }
+    ]
+}));
+const dictionary = new SynonymDictionary({ file });
+fs.rmSync(directory, { recursive: true, force: true });
+
+function ids(query) {
+    return dictionary.lookup(query).map(entry => entry.id);
+}
+
+test('exact names and aliases match', () => {
+    assert.deepEqual(ids('roundup'), ['roundup']);
+    assert.deepEqual(ids('Is glyphosate safe?'), ['roundup']);
+});
+
+test('short terms must match exactly', () => {
+    assert.deepEqual(ids('talc'), ['talc']);
+    assert.deepEqual(ids('tals'), []);
+});
+
+test('terms of five to eight characters allow one edit', () => {
+    assert.deepEqual(ids('roundop'), ['roundup']);
+    assert.deepEqual(ids('rondup'), ['roundup']);
+    assert.deepEqual(ids('rondop'), []);
+});
+
+test('terms of nine or more characters allow two edits', () => {
+    assert.deepEqual(ids('mesotheleoma'), ['mesothelioma']);
+    assert.deepEqual(ids('mesothelomia'), ['mesothelioma']);
+    assert.deepEqual(ids('mesotheleomaa'), ['mesothelioma']);
+    assert.deepEqual(ids('mesothaleomaa'), []);
+});
+
+test('a swap of adjacent characters counts as one edit', () => {
+    assert.deepEqual(ids('ruondup'), ['roundup']);
+    assert.deepEqual(ids('ruondpu'), []);
+});
+
+test('multi-word terms are compared across the same number of query words', () => {
+    assert.deepEqual(ids('non hodgkins lymphoma'), ['non-hodgkin-lymphoma']);
+    assert.deepEqual(ids('hodgkin'), []);
+});
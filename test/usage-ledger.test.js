@@ -0,0 +1,45 @@
+/**
+ * UsageLedger page rollups: client-supplied pages only get their own rollup when they are known
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Writable } from 'stream';
+import { UsageLedger } from '../usage-ledger.js';
+import { configureLogger } from '../logger.js';
+
+configureLogger({ destination: new Writable({ write: (chunk, encoding, done) => done() }) });
+
+function createLedger(t, isKnownPage) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-ledger-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return new UsageLedger({ file: path.join(directory, 'usage.jsonl'), isKnownPage });
+}
+
+const usage = { prompt_tokens: 10, completion_tokens: 5 };
+
+test('unknown pages are recorded as other', async t => {
+    const ledger = createLedger(t, async slug => slug === 'roundup-cancer');
+
+    await ledger.record({ route: '/api/chat', page: 'roundup-cancer', model: 'mock', usage });
+    await ledger.record({ route: '/api/chat', page: 'made-up-page-1', model: 'mock', usage });
+    await ledger.record({ route: '/api/chat', page: 'made-up-page-2', model: 'mock', usage });
+    await ledger.record({ route: '/api/chat', page: { not: 'a slug' }, model: 'mock', usage });
+    await ledger.record({ route: '/api/chat', model: 'mock', usage });
+
+    const { byPage } = await ledger.getSummary();
+    assert.deepEqual(
+        Object.fromEntries(byPage.map(({ page, requests }) => [page, requests])),
+        { 'roundup-cancer': 1, other: 3, none: 1 }
+    );
+});
+
+test('a failing page check records the page as other', async t => {
+    const ledger = createLedger(t, async () => { throw new Error('articles unavailable'); });
+
+    const entry = await ledger.record({ route: '/api/chat', page: 'roundup-cancer', model: 'mock', usage });
+    assert.equal(entry.page, 'other');
+});
@@ -0,0 +1,223 @@
+/**
+ * Usage Ledger
+ * Records the token usage and estimated cost of every AI completion to an append-only
+ * JSON Lines file, and keeps daily rollups in memory for reporting and spend caps
+ *
+ * Ledger entry (one per line):
+ *   { "timestamp": "2025-01-01T12:00:00.000Z", "route": "/api/chat", "promptId": "general",
+ *     "page": "roundup-cancer", "model": "gpt-4o-mini", "promptTokens": 812,
+ *     "completionTokens": 164, "cost": 0.000220, "estimated": false }
+ *
+ * Days are UTC. Costs are estimates in USD from SERVER_AI_CONFIG.usage.prices.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { SERVER_AI_CONFIG, estimateTokens } from './server-ai-config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('usage');
+
+function emptyTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+function addToTotals(totals, entry) {
+    totals.requests++;
+    totals.promptTokens += entry.promptTokens;
+    totals.completionTokens += entry.completionTokens;
+    totals.cost += entry.cost;
+}
+
+function roundCost(totals) {
+    return { ...totals, cost: Number(totals.cost.toFixed(6)) };
+}
+
+export class UsageLedger {
+    constructor(config = {}) {
+        const defaults = SERVER_AI_CONFIG.usage;
+
+        this.file = path.resolve(config.file || defaults.ledgerFile);
+        this.prices = config.prices || defaults.prices;
+        this.dailyCaps = config.dailyCaps || defaults.dailyCaps;
+        // Pages that fail this check are recorded as 'other', so arbitrary strings can't grow the rollups
+        this.isKnownPage = config.isKnownPage || (async () => true);
+
+        // day -> { totals, byPrompt: Map, byPage: Map, byModel: Map }
+        this.days = new Map();
+        this.ready = this.load();
+    }
+
+    /**
+     * Rebuild the in-memory rollups from the ledger file
+     */
+    async load() {
+        let stream;
+        try {
+            await fs.promises.access(this.file);
+            stream = fs.createReadStream(this.file, 'utf8');
+        } catch (error) {
+            return;
+        }
+
+        let count = 0;
+        for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+            if (!line.trim()) continue;
+            try {
+                this.addToRollups(JSON.parse(line));
+                count++;
+            } catch (error) {
+                log.warn('Skipping unreadable usage ledger line', error);
+            }
+        }
+        log.info('Loaded usage ledger entries', { count });
+    }
+
+    /**
+     * Record one completion
+     * @param {object} call - route, promptId, page, model, usage (OpenAI shape), and the
+     *   request messages and response text, used to estimate tokens when usage is missing
+     */
+    async record({ route, promptId = null, page = null, model, usage = null, messages = [], response = '' }) {
+        await this.ready;
+
+        const promptTokens = usage?.prompt_tokens ??
+            messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+        const completionTokens = usage?.completion_tokens ?? estimateTokens(response);
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            route,
+            promptId,
+            page: await this.normalizePage(page),
+            model,
+            promptTokens,
+            completionTokens,
+            cost: this.estimateCost(model, promptTokens, completionTokens),
+            estimated: !usage
+        };
+
+        this.addToRollups(entry);
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.promises.appendFile(this.file, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            // Losing a ledger line is better than failing the user's request
+            log.error('Error writing usage ledger', error);
+        }
+
+        return entry;
+    }
+
+    // The page to record: null, a known page, or 'other'
+    async normalizePage(page) {
+        if (page == null) return null;
+        try {
+            return typeof page === 'string' && await this.isKnownPage(page) ? page : 'other';
+        } catch (error) {
+            log.warn('Could not check usage page, recording it as other', error);
+            return 'other';
+        }
+    }
+
+    estimateCost(model, promptTokens, completionTokens) {
+        const price = this.priceFor(model);
+        if (!price) return 0;
+
+        // Prices are per million tokens
+        const cost = (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+        return Number(cost.toFixed(6));
+    }
+
+    // Price for a model name, matching dated versions (gpt-4o-mini-2024-07-18) to their base model
+    priceFor(model) {
+        if (this.prices[model]) return this.prices[model];
+
+        const prefix = Object.keys(this.prices)
+            .filter(name => name !== 'default' && model?.startsWith(`${name}-`))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? this.prices[prefix] : this.prices.default;
+    }
+
+    addToRollups(entry) {
+        const day = entry.timestamp.slice(0, 10);
+        if (!this.days.has(day)) {
+            this.days.set(day, { totals: emptyTotals(), byPrompt: new Map(), byPage: new Map(), byModel: new Map() });
+        }
+
+        const rollup = this.days.get(day);
+        addToTotals(rollup.totals, entry);
+
+        for (const [group, key] of [
+            [rollup.byPrompt, entry.promptId || 'none'],
+            [rollup.byPage, entry.page || 'none'],
+            [rollup.byModel, entry.model || 'unknown']
+        ]) {
+            if (!group.has(key)) group.set(key, emptyTotals());
+            addToTotals(group.get(key), entry);
+        }
+    }
+
+    /**
+     * Whether today's spend has reached the total cap or the cap for this prompt
+     */
+    async isOverDailyCap(promptId = null) {
+        await this.ready;
+
+        const today = this.days.get(new Date().toISOString().slice(0, 10));
+        if (!today) return false;
+
+        const { total, prompts = {} } = this.dailyCaps;
+        if (total != null && today.totals.cost >= total) return true;
+
+        const promptCap = promptId ? prompts[promptId] : null;
+        const promptSpend = today.byPrompt.get(promptId)?.cost || 0;
+        return promptCap != null && promptSpend >= promptCap;
+    }
+
+    /**
+     * Daily, per-prompt, per-page and per-model rollups for a range of days (YYYY-MM-DD, inclusive)
+     */
+    async getSummary({ from = null, to = null } = {}) {
+        await this.ready;
+
+        const days = [...this.days.entries()]
+            .filter(([day]) => (!from || day >= from) && (!to || day <= to))
+            .sort(([a], [b]) => a.localeCompare(b));
+
+        const totals = emptyTotals();
+        const groups = { byPrompt: new Map(), byPage: new Map(), byModel: new Map() };
+
+        for (const [, rollup] of days) {
+            for (const field of ['requests', 'promptTokens', 'completionTokens', 'cost']) {
+                totals[field] += rollup.totals[field];
+            }
+            for (const [name, group] of Object.entries(groups)) {
+                for (const [key, value] of rollup[name]) {
+                    if (!group.has(key)) group.set(key, emptyTotals());
+                    const target = group.get(key);
+                    for (const field of Object.keys(value)) {
+                        target[field] += value[field];
+                    }
+                }
+            }
+        }
+
+        const toList = (group, keyName) => [...group.entries()]
+            .map(([key, value]) => ({ [keyName]: key, ...roundCost(value) }))
+            .sort((a, b) => b.cost - a.cost);
+
+        return {
+            from: from || days[0]?.[0] || null,
+            to: to || days[days.length - 1]?.[0] || null,
+            totals: roundCost(totals),
+            daily: days.map(([day, rollup]) => ({ day, ...roundCost(rollup.totals) })),
+            byPrompt: toList(groups.byPrompt, 'promptId'),
+            byPage: toList(groups.byPage, 'page'),
+            byModel: toList(groups.byModel, 'model'),
+            dailyCaps: this.dailyCaps
+        };
+    }
+}